@@ -0,0 +1,2643 @@
+/**
+ * PDD Trainer Bot application
+ * Commands, quiz flows and callback routing for one Telegram client. bot.js creates it
+ * with the real client and question banks; tests pass a client of a fake Bot API server
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Import utilities
+const { calculateUserStats, formatUserStats } = require('./utils/userStats');
+const { applyAnswerToMistakes, getMistakeQuestionIds } = require('./utils/mistakes');
+const { getTopicTitle, getAvailableTopics } = require('./utils/topics');
+const { shuffle, seededShuffle, pickRandom } = require('./utils/random');
+const { DEFAULT_SETTINGS, SETTING_TOGGLES, getUserSettings, updateUserSettings } = require('./utils/settings');
+const { t, isMessage, getSettingsLocale, localizeQuestion, getLanguageOptions } = require('./utils/i18n');
+const {
+  getLocalDate,
+  isValidTimeZone,
+  applyAnswerToSchedule,
+  getDueQuestionIds
+} = require('./utils/spacedRepetition');
+const ReminderScheduler = require('./utils/reminderScheduler');
+const LeaderboardScheduler = require('./utils/leaderboardScheduler');
+const {
+  LEADERBOARD_TIMEZONE,
+  TOP_SIZE,
+  PARTICIPANTS_SET,
+  LEADERBOARD_MODES,
+  getWeekStart,
+  backfillAllTimeResults,
+  recordLeaderboardResult,
+  getWeeklyLeaderboard,
+  getAllTimeLeaderboard,
+  normalizeNickname,
+  claimNickname,
+  backfillParticipants,
+  getDisplayName,
+  formatWeek,
+  formatEntry,
+  formatLeaderboard,
+  formatOwnPlace
+} = require('./utils/leaderboard');
+const MessageSender = require('./utils/messageSender');
+const { Metrics, sumSeries } = require('./utils/metrics');
+const { createLogger, createCorrelationId, runWithContext } = require('./utils/logger');
+const FileIdCache = require('./utils/fileIdCache');
+const {
+  parseAdminIds,
+  formatAdminOverview,
+  formatQueueReport,
+  formatHardestQuestions,
+  formatUserLookup,
+  formatAuditLog
+} = require('./utils/admin');
+const { getBroadcastContent, countFinished, formatBroadcastReport } = require('./utils/broadcast');
+const {
+  getTelegramErrorCode,
+  getRetryAfter,
+  isTransientError,
+  isRetryableError,
+  getDropReason
+} = require('./utils/telegramErrors');
+const { AnswerGuard, createAttemptId, parseAnswerCallback } = require('./utils/answerGuard');
+const { PROGRESS_DOC, isResumable, createProgress, formatProgressTarget, formatResumeText, isResumeText } = require('./utils/progress');
+const QuestionBank = require('./utils/questionBank');
+const { EXPLANATION_MODES, shouldShowReview, formatAnswerReview } = require('./utils/explanation');
+const { generateProgressBar, generateProgressText, generateStatistics } = require('./utils/progressBar');
+const {
+  MODE_BUTTONS,
+  generateTicketKeyboard,
+  generateTopicKeyboard,
+  generateCategoryKeyboard,
+  generateAnswerKeyboard,
+  generateCompletionKeyboard,
+  generateModeCompletionKeyboard,
+  generateResumeKeyboard,
+  generateRemindersKeyboard,
+  generateLeaderboardKeyboard,
+  generateSettingsKeyboard,
+  generateLanguageKeyboard,
+  generateAdminKeyboard,
+  generateFailedJobsKeyboard,
+  generateAdminBackKeyboard,
+  generateBroadcastKeyboard,
+  removeKeyboard
+} = require('./utils/keyboard');
+const {
+  EXAM_DURATION_MINUTES,
+  EXTRA_QUESTIONS_PER_BLOCK,
+  EXTRA_MINUTES_PER_BLOCK,
+  MAX_MISTAKES,
+  createExamState,
+  getBlockIndex,
+  pickExtraQuestions,
+  formatDuration,
+  generateExamReport
+} = require('./utils/exam');
+
+// Configuration
+const MISTAKES_REQUIRED_STREAK = parseInt(process.env.MISTAKES_REQUIRED_STREAK) || 2;
+const MISTAKES_QUIZ_SIZE = 20;
+const REVIEW_QUIZ_SIZE = 20;
+const CAPTION_LIMIT = 1024;
+const IMAGES_DIR = path.join(__dirname, 'images');
+const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.gif'];
+const REMINDER_CHECK_MINUTES = parseInt(process.env.REMINDER_CHECK_MINUTES) || 15;
+// Local hour on Monday (DEFAULT_TIMEZONE) when the results of the previous week are sent
+const LEADERBOARD_ANNOUNCE_HOUR = parseInt(process.env.LEADERBOARD_ANNOUNCE_HOUR) || 12;
+const ADMIN_IDS = parseAdminIds(process.env.ADMIN_IDS);
+const AUDIT_LOG_SIZE = 15;
+const BROADCAST_ATTEMPTS = 5;
+const BROADCAST_LOCK_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+// How often each instance finishes exams whose time ran out while the user was away
+const EXAM_CHECK_MS = 60 * 1000;
+const EXAM_LOCK_TTL_MS = 24 * 60 * 60 * 1000;
+// Updates handled slower than this are logged as warnings, the others only at debug level
+const SLOW_UPDATE_MS = 1000;
+const DEFAULT_CATEGORY = DEFAULT_SETTINGS.category;
+// Replaced bank versions kept for sessions started before a reload
+const RETIRED_BANKS_LIMIT = 5;
+// Modes whose pass rate is exported
+const PASS_RATE_MODES = ['ticket', 'exam'];
+
+const log = createLogger('Bot');
+const adminLog = createLogger('Admin');
+const broadcastLog = createLogger('Broadcast');
+
+/**
+ * Create the bot application
+ * Nothing is received before start(). Storage, sessions, queues and the HTTP server
+ * are initialized and shut down by the caller
+ * @param {Object} options - Dependencies and settings
+ * @param {Object} options.bot - TelegramBot instance without polling
+ * @param {Object} options.questionBanks - Map of category -> QuestionBank
+ * @param {Object} options.storageManager - Initialized StorageManager
+ * @param {Object} options.sessionManager - SessionManager
+ * @param {Object} options.queueManager - QueueManager (direct processing when not enabled)
+ * @param {Function|null} options.loadQuestionBanks - Loads the banks from disk for reloads (null - no reloads)
+ * @param {Object|null} options.httpServer - HttpServer receiving webhook updates
+ * @param {Object} options.metrics - Metrics (per-process ones when omitted)
+ * @param {string} options.role - all, ingress or worker
+ * @param {string} options.mode - polling or webhook
+ * @param {Object} options.webhook - Webhook settings ({ url, secret, path, certPath })
+ * @param {number} options.workerIndex - Queue partition consumed by a worker
+ * @param {Object} options.senderOptions - MessageSender limits
+ * @returns {Object} { handleUpdate, dispatchUpdate, reloadQuestionBanks, messageSender, metrics, start, stop }
+ */
+function createBot(options) {
+  const {
+    bot,
+    storageManager,
+    sessionManager,
+    queueManager,
+    loadQuestionBanks = null,
+    httpServer = null,
+    metrics = new Metrics(),
+    role = 'all',
+    mode = 'polling',
+    webhook = {},
+    workerIndex = 0,
+    senderOptions = {}
+  } = options;
+  let questionBanks = options.questionBanks;
+  let categories = Object.keys(questionBanks);
+  
+  // Banks replaced by a reload, keyed by "category:version", oldest first
+  const retiredBanks = new Map();
+  
+  // Telegram file_ids of uploaded question images, shared through storage
+  const fileIdCache = new FileIdCache(storageManager, __dirname);
+  
+  // All outgoing messages and edits go through the rate-limited sender
+  const messageSender = new MessageSender(bot, { ...senderOptions, metrics });
+  
+  // Rejects answers to questions that are not current (old messages, previous tickets, double taps)
+  const answerGuard = new AnswerGuard();
+  
+  // Initialize review reminders (private chat ID equals user ID)
+  const reminderScheduler = new ReminderScheduler(storageManager, async (userId, dueCount) => {
+    const locale = await getUserLocale(userId);
+    await messageSender.sendMessage(userId, t(locale, 'review.reminder', {
+      questions: t(locale, 'plural.questions', { count: dueCount })
+    }), {
+      reply_markup: generateModeCompletionKeyboard(t(locale, 'buttons.startReview'), 'start_review', locale)
+    });
+  }, REMINDER_CHECK_MINUTES);
+  
+  // Weekly leaderboard results, sent to the participants of the finished week
+  const leaderboardScheduler = new LeaderboardScheduler(storageManager, async (userId, { weekStart, place, total, winners }) => {
+    const locale = await getUserLocale(userId);
+    const lines = winners.map(winner => formatEntry(winner, getDisplayName(winner.settings, winner.userId, locale), locale));
+    await messageSender.sendMessage(userId, t(locale, 'leaderboard.weekResults', {
+      week: formatWeek(weekStart),
+      winners: lines.join('\n'),
+      place,
+      total
+    }));
+  }, LEADERBOARD_ANNOUNCE_HOUR);
+
+  // Periodic check of abandoned exams, started with the bot
+  let examTimer = null;
+
+  // ==================== Helper Functions ====================
+
+  /**
+   * Get UI language of a user
+   * The language_code of the user's Telegram app is remembered in settings when it
+   * changes, so messages sent outside an update (reminders) use it too
+   * @param {number} userId - Telegram user ID
+   * @param {string|null} languageCode - language_code of the update's sender, if any
+   * @returns {Promise<string>} Locale chosen with /language, or the one of the Telegram app
+   */
+  async function getUserLocale(userId, languageCode = null) {
+    const settings = await getUserSettings(storageManager, userId);
+    if (languageCode && settings.languageCode !== languageCode) {
+      await updateUserSettings(storageManager, userId, { languageCode });
+    }
+    return getSettingsLocale(settings, languageCode);
+  }
+
+  /**
+   * Get the question bank of a category
+   * Categories come from settings, sessions and callback data, so only own keys
+   * count ('constructor' or '__proto__' are not banks)
+   * @param {string} category - Licence category code
+   * @returns {QuestionBank|null} Loaded bank or null
+   */
+  function getBank(category) {
+    return Object.hasOwn(questionBanks, category) ? questionBanks[category] : null;
+  }
+
+  /**
+   * Get question bank of the user's selected category
+   * @param {number} userId - Telegram user ID
+   * @returns {Promise<QuestionBank>} Selected bank or the default one
+   */
+  async function getUserBank(userId) {
+    const { category } = await getUserSettings(storageManager, userId);
+    return getBank(category) || questionBanks[DEFAULT_CATEGORY];
+  }
+
+  /**
+   * Get question bank a session was started with
+   * Sessions started before a reload keep the replaced version while it is retained,
+   * otherwise they continue on the current one
+   * @param {Object} session - User session
+   * @returns {QuestionBank} Session bank
+   */
+  function getSessionBank(session) {
+    const current = getBank(session.category) || questionBanks[DEFAULT_CATEGORY];
+    if (!session.bankVersion || session.bankVersion === current.version) {
+      return current;
+    }
+    return retiredBanks.get(`${session.category}:${session.bankVersion}`) || current;
+  }
+
+  /**
+   * Get current question for user session
+   * @param {Object} session - User session
+   * @returns {Object|null} Current question or null
+   */
+  function getCurrentQuestion(session) {
+    const questionId = session.questionIds[session.currentQuestion - 1];
+    return getSessionBank(session).getQuestion(questionId);
+  }
+
+  /**
+   * Persist an answer and update the user's mistakes list and review schedule
+   * Storage errors are logged without interrupting the quiz flow
+   * @param {number} userId - Telegram user ID
+   * @param {Object} session - User session
+   * @param {Object} question - Answered question
+   * @param {number} answerIndex - Selected answer index
+   * @param {boolean} isCorrect - Whether the answer is correct
+   */
+  async function recordAnswer(userId, session, question, answerIndex, isCorrect) {
+    try {
+      await storageManager.recordAnswer({
+        userId,
+        questionId: question.questionId,
+        answerIndex,
+        isCorrect,
+        timestamp: new Date().toISOString(),
+        mode: session.mode,
+        category: session.category
+      });
+      
+      const counterField = `${session.category}:${question.questionId}`;
+      await storageManager.incrementCounter('question_attempts', counterField);
+      if (!isCorrect) {
+        await storageManager.incrementCounter('question_mistakes', counterField);
+      }
+      
+      const mistakesDoc = QuestionBank.getUserDocName('mistakes', session.category);
+      const mistakes = await storageManager.getUserData(userId, mistakesDoc) || {};
+      if (applyAnswerToMistakes(mistakes, question.questionId, isCorrect, MISTAKES_REQUIRED_STREAK)) {
+        await storageManager.setUserData(userId, mistakesDoc, mistakes);
+      }
+      
+      const { timezone } = await getUserSettings(storageManager, userId);
+      const srsDoc = QuestionBank.getUserDocName('srs', session.category);
+      const schedule = await storageManager.getUserData(userId, srsDoc) || {};
+      applyAnswerToSchedule(schedule, question.questionId, isCorrect, getLocalDate(Date.now(), timezone));
+      await storageManager.setUserData(userId, srsDoc, schedule);
+    } catch (error) {
+      log.error('Error recording answer', { err: error });
+    }
+  }
+
+  /**
+   * Persist a finished ticket or exam
+   * @param {number} userId - Telegram user ID
+   * @param {Object} session - Finished session
+   * @param {boolean} passed - Whether the ticket/exam is passed
+   */
+  async function recordTicket(userId, session, passed) {
+    metrics.increment('pdd_tickets_completed_total', {
+      mode: session.mode,
+      category: session.category,
+      result: passed ? 'passed' : 'failed'
+    });
+    
+    // Counted before the ticket is stored: a user's first result backfills the earlier history
+    if (LEADERBOARD_MODES.includes(session.mode)) {
+      try {
+        await recordLeaderboardResult(storageManager, userId, {
+          correct: session.correctAnswers,
+          answered: session.correctAnswers + session.incorrectAnswers,
+          passed
+        });
+      } catch (error) {
+        log.error('Error recording leaderboard result', { err: error });
+      }
+    }
+    
+    try {
+      await storageManager.recordTicket({
+        userId,
+        mode: session.mode,
+        category: session.category,
+        ticketNumber: session.currentTicket,
+        correct: session.correctAnswers,
+        incorrect: session.incorrectAnswers,
+        total: session.questionIds.length,
+        passed,
+        startTime: session.startTime,
+        finishTime: new Date().toISOString()
+      });
+    } catch (error) {
+      log.error('Error recording ticket', { err: error });
+    }
+  }
+
+  /**
+   * Save progress of a ticket or topic session to durable storage
+   * Called whenever a question is shown, so it survives session expiry and restarts
+   * @param {number} userId - Telegram user ID
+   * @param {Object} session - User session
+   */
+  async function saveProgress(userId, session) {
+    if (!isResumable(session)) {
+      return;
+    }
+    
+    try {
+      await storageManager.setUserData(userId, PROGRESS_DOC, createProgress(session));
+    } catch (error) {
+      log.error('Error saving progress', { err: error });
+    }
+  }
+
+  /**
+   * Get saved progress of an interrupted ticket or topic
+   * @param {number} userId - Telegram user ID
+   * @returns {Promise<Object|null>} Saved progress of a loaded category or null
+   */
+  async function getSavedProgress(userId) {
+    try {
+      const progress = await storageManager.getUserData(userId, PROGRESS_DOC);
+      return progress && getBank(progress.category) ? progress : null;
+    } catch (error) {
+      log.error('Error reading progress', { err: error });
+      return null;
+    }
+  }
+
+  /**
+   * Forget saved progress once its session is finished
+   * @param {number} userId - Telegram user ID
+   * @param {Object} session - Finished session
+   */
+  async function clearProgress(userId, session) {
+    if (!isResumable(session)) {
+      return;
+    }
+    
+    try {
+      await storageManager.setUserData(userId, PROGRESS_DOC, null);
+    } catch (error) {
+      log.error('Error clearing progress', { err: error });
+    }
+  }
+
+  /**
+   * Send an image from disk, reusing its cached file_id when it was uploaded before
+   * @param {number} chatId - Telegram chat ID
+   * @param {string} imagePath - Absolute image path
+   * @param {Object} options - sendPhoto options
+   * @returns {Promise<Object>} Sent message
+   */
+  async function sendCachedPhoto(chatId, imagePath, options) {
+    const fileId = await fileIdCache.get(imagePath);
+    
+    if (fileId) {
+      try {
+        return await messageSender.sendPhoto(chatId, fileId, options);
+      } catch (error) {
+        // A file_id is only valid for the bot that uploaded it; upload the file again
+        if (getTelegramErrorCode(error) !== 400) {
+          throw error;
+        }
+        log.warn('Cached file_id rejected, uploading again', { image: fileIdCache.key(imagePath) });
+        await fileIdCache.delete(imagePath);
+      }
+    }
+    
+    const message = await messageSender.sendPhoto(chatId, imagePath, options);
+    if (message.photo && message.photo.length > 0) {
+      await fileIdCache.set(imagePath, message.photo[message.photo.length - 1].file_id);
+    }
+    return message;
+  }
+
+  /**
+   * Upload all images from the images directory to an admin chat, so their file_ids
+   * are cached before users need them. Uploaded messages are deleted right away
+   * @param {number} chatId - Admin chat ID
+   * @param {number} adminId - Admin user ID
+   * @param {string} locale - UI language
+   */
+  async function warmUpImages(chatId, adminId, locale) {
+    const files = (await fs.promises.readdir(IMAGES_DIR))
+      .filter(file => IMAGE_EXTENSIONS.includes(path.extname(file).toLowerCase()));
+    const result = { uploaded: 0, cached: 0, failed: 0 };
+    
+    for (const file of files) {
+      const imagePath = path.join(IMAGES_DIR, file);
+      if (await fileIdCache.get(imagePath)) {
+        result.cached++;
+        continue;
+      }
+      
+      try {
+        const message = await sendCachedPhoto(chatId, imagePath, { disable_notification: true });
+        result.uploaded++;
+        await messageSender.deleteMessage(chatId, message.message_id).catch(() => {});
+      } catch (error) {
+        result.failed++;
+        log.error('Error uploading image', { image: file, err: error });
+      }
+    }
+    
+    await auditAdminAction(adminId, 'warmup_result', result);
+    await messageSender.sendMessage(chatId, t(locale, 'admin.warmup.finished', result));
+  }
+
+  /**
+   * Start image warm-up in the background
+   * @param {number} chatId - Admin chat ID
+   * @param {number} adminId - Admin user ID
+   * @param {string} locale - UI language
+   */
+  async function startImageWarmUp(chatId, adminId, locale) {
+    await messageSender.sendMessage(chatId, t(locale, 'admin.warmup.started'));
+    
+    warmUpImages(chatId, adminId, locale).catch(error => {
+      log.error('Image warm-up stopped', { err: error });
+    });
+  }
+
+  /**
+   * Remove answer buttons from an answered question so it cannot be answered again
+   * @param {number} chatId - Telegram chat ID
+   * @param {Object} message - Answered question message
+   */
+  async function clearAnswerKeyboard(chatId, message) {
+    try {
+      await messageSender.editMessageReplyMarkup({ inline_keyboard: [] }, {
+        chat_id: chatId,
+        message_id: message.message_id
+      });
+    } catch (error) {
+      log.error('Error removing answer keyboard', { err: error });
+    }
+  }
+
+  /**
+   * Replace an answered question message with the next question
+   * A text message cannot get a photo and a photo cannot lose it, so when the kind
+   * changes the old message is deleted and the caller sends a new one
+   * @param {number} chatId - Telegram chat ID
+   * @param {Object} message - Answered question message
+   * @param {string} text - Next question text
+   * @param {Object} keyboard - Next question answer keyboard
+   * @param {string|null} imagePath - Next question image, if any
+   * @returns {Promise<boolean>} True if edited in place
+   */
+  async function editQuestionMessage(chatId, message, text, keyboard, imagePath) {
+    const target = { chat_id: chatId, message_id: message.message_id };
+    
+    if (Boolean(message.photo) !== Boolean(imagePath)) {
+      try {
+        await messageSender.deleteMessage(chatId, message.message_id);
+      } catch (error) {
+        // Messages older than 48 hours cannot be deleted
+        await clearAnswerKeyboard(chatId, message);
+      }
+      return false;
+    }
+    
+    if (!imagePath) {
+      await messageSender.editMessageText(text, { ...target, reply_markup: keyboard });
+      return true;
+    }
+    
+    const fileId = await fileIdCache.get(imagePath);
+    const edited = await messageSender.editMessageMedia(
+      { type: 'photo', media: fileId || `attach://${imagePath}`, caption: text },
+      { ...target, reply_markup: keyboard }
+    );
+    if (!fileId && edited.photo && edited.photo.length > 0) {
+      await fileIdCache.set(imagePath, edited.photo[edited.photo.length - 1].file_id);
+    }
+    return true;
+  }
+
+  /**
+   * Get display order of the current question's options
+   * The shuffle is seeded by the attempt and position, so the review shows the same order
+   * @param {Object} session - User session
+   * @param {Object} question - Current question
+   * @returns {number[]|null} Original option indexes in display order, or null for file order
+   */
+  function getOptionOrder(session, question) {
+    if (!session.shuffleOptions) {
+      return null;
+    }
+    const indexes = question.options.map((option, index) => index);
+    return seededShuffle(indexes, `${session.attemptId}:${session.currentQuestion}`);
+  }
+
+  /**
+   * Send question to user
+   * The answered question, if given, is edited into this one in single message mode,
+   * otherwise its answer buttons are removed
+   * @param {number} chatId - Telegram chat ID
+   * @param {string} locale - UI language
+   * @param {Object} question - Question object
+   * @param {Object} session - User session
+   * @param {Object|null} answeredMessage - Message of the previous question
+   */
+  async function sendQuestion(chatId, locale, question, session, answeredMessage = null) {
+    const totalQuestions = session.questionIds.length;
+    const shown = localizeQuestion(question, locale);
+    
+    // Generate progress bar
+    const progressBar = generateProgressBar(session.currentQuestion, totalQuestions);
+    const progressText = generateProgressText(session.currentQuestion, totalQuestions, locale);
+    
+    // Prepare message text
+    let messageText = `${progressText}\n${progressBar}\n\n${shown.text}`;
+    
+    if (session.mode === 'exam') {
+      const timeLeft = formatDuration(session.exam.deadline - Date.now());
+      messageText = `${t(locale, 'exam.timeLeft', { time: timeLeft })}\n${messageText}`;
+    }
+    
+    // Prepare answer keyboard
+    const keyboard = generateAnswerKeyboard(shown.options, session.attemptId, session.currentQuestion, {
+      optionOrder: getOptionOrder(session, question),
+      stoppable: session.mode === 'marathon',
+      locale
+    });
+    
+    // Check if image exists
+    const imagePath = question.imageUrl ? path.join(__dirname, question.imageUrl) : null;
+    const hasImage = Boolean(imagePath) && fs.existsSync(imagePath);
+    
+    if (answeredMessage && session.singleMessage) {
+      try {
+        if (await editQuestionMessage(chatId, answeredMessage, messageText, keyboard, hasImage ? imagePath : null)) {
+          return;
+        }
+      } catch (error) {
+        log.error('Error replacing question in place, sending a new one', { err: error });
+        await clearAnswerKeyboard(chatId, answeredMessage);
+      }
+    } else if (answeredMessage) {
+      await clearAnswerKeyboard(chatId, answeredMessage);
+    }
+    
+    if (hasImage) {
+      try {
+        // Send photo with caption (uploaded once, then by cached file_id)
+        await sendCachedPhoto(chatId, imagePath, {
+          caption: messageText,
+          reply_markup: keyboard
+        });
+        return;
+      } catch (error) {
+        // Fall back to text when the photo is rejected or could not be sent after retries
+        log.error('Error sending question photo, sending text', { err: error });
+      }
+    }
+    
+    // Send text message only (a failure here reaches the update handler's log)
+    await messageSender.sendMessage(chatId, messageText, {
+      reply_markup: keyboard
+    });
+  }
+
+  /**
+   * Show answer review in place of the answered question
+   * Falls back to a follow-up message when the review does not fit a caption
+   * or the original message cannot be edited
+   * @param {number} chatId - Telegram chat ID
+   * @param {Object} message - Answered question message
+   * @param {Object} question - Question object in the user's language
+   * @param {number} answerIndex - Selected answer index
+   * @param {number[]|null} optionOrder - Original option indexes in the order they were shown
+   */
+  async function sendAnswerReview(chatId, message, question, answerIndex, optionOrder = null) {
+    const review = formatAnswerReview(question, answerIndex, optionOrder);
+    const target = { chat_id: chatId, message_id: message.message_id };
+    
+    try {
+      if (!message.photo) {
+        await messageSender.editMessageText(review, target);
+      } else if (review.length <= CAPTION_LIMIT) {
+        await messageSender.editMessageCaption(review, target);
+      } else {
+        await messageSender.editMessageReplyMarkup({ inline_keyboard: [] }, target);
+        await messageSender.sendMessage(chatId, review);
+      }
+    } catch (error) {
+      log.error('Error editing answered question', { err: error });
+      await messageSender.sendMessage(chatId, review);
+    }
+  }
+
+  /**
+   * Send user settings menu
+   * @param {number} chatId - Telegram chat ID
+   * @param {Object} settings - User settings
+   * @param {string} locale - UI language
+   */
+  async function sendSettings(chatId, settings, locale) {
+    await messageSender.sendMessage(chatId, t(locale, 'settings.intro'), {
+      reply_markup: generateSettingsKeyboard(settings, EXPLANATION_MODES, SETTING_TOGGLES, locale)
+    });
+  }
+
+  /**
+   * Send interface language menu
+   * @param {number} chatId - Telegram chat ID
+   * @param {Object} settings - User settings
+   * @param {string} locale - UI language
+   */
+  async function sendLanguageSelection(chatId, settings, locale) {
+    await messageSender.sendMessage(chatId, t(locale, 'language.menu', { language: describeLanguage(settings, locale) }), {
+      reply_markup: generateLanguageKeyboard(getLanguageOptions(), settings.language, locale)
+    });
+  }
+
+  /**
+   * Describe the user's interface language setting
+   * @param {Object} settings - User settings
+   * @param {string} locale - UI language in effect
+   * @returns {string} Language name, or "same as Telegram (<name>)"
+   */
+  function describeLanguage(settings, locale) {
+    const name = getLanguageOptions().find(({ code }) => code === locale).name;
+    return settings.language ? name : t(locale, 'language.autoCurrent', { language: name });
+  }
+
+  /**
+   * Send ticket selection menu for the user's category
+   * @param {number} chatId - Telegram chat ID
+   * @param {number} userId - Telegram user ID
+   * @param {string} locale - UI language
+   */
+  async function sendTicketSelection(chatId, userId, locale) {
+    const bank = await getUserBank(userId);
+    let welcomeText = `${t(locale, 'menu.welcome')}\n\n`;
+    
+    if (categories.length > 1) {
+      welcomeText += `${t(locale, 'menu.category', { title: bank.getTitle() })}\n\n`;
+    }
+    welcomeText += t(locale, 'menu.chooseTicket');
+    
+    // Offer to continue an interrupted ticket of this category
+    const progress = await getSavedProgress(userId);
+    const resumeText = progress && progress.category === bank.category ? formatResumeText(progress, locale) : null;
+    
+    await messageSender.sendMessage(chatId, welcomeText, {
+      reply_markup: generateTicketKeyboard(bank.ticketNumbers, resumeText, locale)
+    });
+  }
+
+  /**
+   * Send licence category selection menu
+   * @param {number} chatId - Telegram chat ID
+   * @param {string|null} currentCategory - Currently selected category, if any
+   * @param {string} locale - UI language
+   */
+  async function sendCategorySelection(chatId, currentCategory, locale) {
+    const options = categories.map(category => ({
+      id: category,
+      title: questionBanks[category].getTitle()
+    }));
+    
+    await messageSender.sendMessage(chatId, t(locale, 'menu.chooseCategory'), {
+      reply_markup: generateCategoryKeyboard(options, currentCategory, locale)
+    });
+  }
+
+  /**
+   * Start a practice quiz over an arbitrary list of questions
+   * @param {number} chatId - Telegram chat ID
+   * @param {number} userId - Telegram user ID
+   * @param {string} locale - UI language
+   * @param {Object} options - Quiz options
+   * @param {string} options.mode - Session mode ('ticket', 'mistakes', 'topic', 'review', 'marathon')
+   * @param {string} options.title - Title shown before the first question
+   * @param {string[]} options.questionIds - Question IDs in order
+   * @param {number|null} options.ticketNumber - Ticket number, if any
+   * @param {string|null} options.topic - Topic ID, if any
+   * @param {string} options.category - Category of the question bank
+   * @param {string|null} options.seed - Seed the question order was shuffled with, if any
+   */
+  async function startQuiz(chatId, userId, locale, { mode, title, questionIds, ticketNumber = null, topic = null, category, seed = null }) {
+    const { singleMessage, shuffleOptions } = await getUserSettings(storageManager, userId);
+    
+    // Create new session
+    const session = await sessionManager.set(userId, {
+      attemptId: createAttemptId(),
+      mode,
+      category,
+      bankVersion: questionBanks[category].version,
+      singleMessage,
+      shuffleOptions,
+      currentTicket: ticketNumber,
+      topic,
+      questionIds,
+      seed,
+      currentQuestion: 1,
+      correctAnswers: 0,
+      incorrectAnswers: 0,
+      startTime: new Date().toISOString()
+    });
+    metrics.increment('pdd_tickets_started_total', { mode, category });
+    await saveProgress(userId, session);
+    
+    // Remove reply keyboard and send confirmation
+    await messageSender.sendMessage(chatId, t(locale, 'quiz.start', {
+      title,
+      questions: t(locale, 'plural.questions', { count: questionIds.length })
+    }), {
+      reply_markup: removeKeyboard()
+    });
+    
+    // Send first question
+    await sendQuestion(chatId, locale, getCurrentQuestion(session), session);
+  }
+
+  /**
+   * Continue the saved ticket or topic from its current question
+   * The resumed session is a new attempt, so buttons of messages sent before are not counted
+   * @param {number} chatId - Telegram chat ID
+   * @param {number} userId - Telegram user ID
+   * @param {string} locale - UI language
+   */
+  async function resumeProgress(chatId, userId, locale) {
+    const progress = await getSavedProgress(userId);
+    
+    if (!progress) {
+      await messageSender.sendMessage(chatId, t(locale, 'progress.nothingToResume'));
+      await sendTicketSelection(chatId, userId, locale);
+      return;
+    }
+    
+    const { savedAt, ...fields } = progress;
+    if (fields.seed) {
+      fields.questionIds = getMarathonQuestionIds(getSessionBank(fields), fields.seed);
+    }
+    const session = await sessionManager.set(userId, { ...fields, attemptId: createAttemptId() });
+    
+    await messageSender.sendMessage(chatId, t(locale, 'progress.resumed', {
+      target: formatProgressTarget(progress, locale),
+      question: progress.currentQuestion,
+      correct: progress.correctAnswers,
+      incorrect: progress.incorrectAnswers
+    }), {
+      reply_markup: removeKeyboard()
+    });
+    
+    // Questions removed from the bank meanwhile are skipped
+    await continueSession(chatId, userId, locale, session);
+  }
+
+  /**
+   * Get completion title and keyboard for a finished practice session
+   * @param {Object} session - Finished session
+   * @param {string} locale - UI language
+   * @returns {{title: string, keyboard: Object}}
+   */
+  function getCompletionView(session, locale) {
+    if (session.mode === 'mistakes') {
+      return {
+        title: t(locale, 'completion.mistakes'),
+        keyboard: generateModeCompletionKeyboard(t(locale, 'buttons.continueMistakes'), 'start_mistakes', locale)
+      };
+    }
+    
+    if (session.mode === 'review') {
+      return {
+        title: t(locale, 'completion.review'),
+        keyboard: generateModeCompletionKeyboard(t(locale, 'buttons.continueReview'), 'start_review', locale)
+      };
+    }
+    
+    if (session.mode === 'marathon') {
+      return {
+        title: t(locale, 'completion.marathon', {
+          questions: t(locale, 'plural.questions', { count: session.correctAnswers + session.incorrectAnswers })
+        }),
+        keyboard: generateModeCompletionKeyboard(t(locale, 'buttons.newMarathon'), 'start_marathon', locale)
+      };
+    }
+    
+    if (session.mode === 'topic') {
+      return {
+        title: t(locale, 'completion.topic', { topic: getTopicTitle(session.topic, locale) }),
+        keyboard: generateModeCompletionKeyboard(t(locale, 'buttons.repeatTopic'), `topic_${session.topic}`, locale)
+      };
+    }
+    
+    return {
+      title: t(locale, 'completion.ticket', { number: session.currentTicket }),
+      keyboard: generateCompletionKeyboard(session.currentTicket, locale)
+    };
+  }
+
+  /**
+   * Start a new ticket
+   * @param {number} chatId - Telegram chat ID
+   * @param {number} userId - Telegram user ID
+   * @param {string} locale - UI language
+   * @param {number} ticketNumber - Ticket number to start
+   */
+  async function startTicket(chatId, userId, locale, ticketNumber) {
+    const bank = await getUserBank(userId);
+    const ticketQuestions = bank.getTicketQuestions(ticketNumber);
+    
+    if (ticketQuestions.length === 0) {
+      await messageSender.sendMessage(chatId, t(locale, 'menu.ticketNotFound', { number: ticketNumber }));
+      await sendTicketSelection(chatId, userId, locale);
+      return;
+    }
+    
+    const { shuffleQuestions } = await getUserSettings(storageManager, userId);
+    const questionIds = ticketQuestions.map(q => q.questionId);
+    
+    await startQuiz(chatId, userId, locale, {
+      mode: 'ticket',
+      title: t(locale, 'quiz.ticketTitle', { number: ticketNumber }),
+      questionIds: shuffleQuestions ? shuffle(questionIds) : questionIds,
+      ticketNumber,
+      category: bank.category
+    });
+  }
+
+  /**
+   * Start a quiz from the user's mistakes list
+   * @param {number} chatId - Telegram chat ID
+   * @param {number} userId - Telegram user ID
+   * @param {string} locale - UI language
+   */
+  async function startMistakes(chatId, userId, locale) {
+    const bank = await getUserBank(userId);
+    const mistakes = await storageManager.getUserData(userId, QuestionBank.getUserDocName('mistakes', bank.category)) || {};
+    const questionIds = getMistakeQuestionIds(mistakes)
+      .filter(questionId => bank.getQuestion(questionId))
+      .slice(0, MISTAKES_QUIZ_SIZE);
+    
+    if (questionIds.length === 0) {
+      await messageSender.sendMessage(chatId, t(locale, 'mistakes.none'));
+      await sendTicketSelection(chatId, userId, locale);
+      return;
+    }
+    
+    await startQuiz(chatId, userId, locale, {
+      mode: 'mistakes',
+      title: t(locale, 'mistakes.title', { streak: t(locale, 'plural.correctInRow', { count: MISTAKES_REQUIRED_STREAK }) }),
+      questionIds,
+      category: bank.category
+    });
+  }
+
+  /**
+   * Start a review of questions due today by the spaced repetition schedule
+   * @param {number} chatId - Telegram chat ID
+   * @param {number} userId - Telegram user ID
+   * @param {string} locale - UI language
+   */
+  async function startReview(chatId, userId, locale) {
+    const { timezone } = await getUserSettings(storageManager, userId);
+    const bank = await getUserBank(userId);
+    const schedule = await storageManager.getUserData(userId, QuestionBank.getUserDocName('srs', bank.category)) || {};
+    const questionIds = getDueQuestionIds(schedule, getLocalDate(Date.now(), timezone))
+      .filter(questionId => bank.getQuestion(questionId))
+      .slice(0, REVIEW_QUIZ_SIZE);
+    
+    if (questionIds.length === 0) {
+      await messageSender.sendMessage(chatId, t(locale, 'review.nothing'));
+      await sendTicketSelection(chatId, userId, locale);
+      return;
+    }
+    
+    await startQuiz(chatId, userId, locale, {
+      mode: 'review',
+      title: t(locale, 'review.title'),
+      questionIds,
+      category: bank.category
+    });
+  }
+
+  /**
+   * Send reminder settings
+   * @param {number} chatId - Telegram chat ID
+   * @param {Object} settings - User settings
+   * @param {string} locale - UI language
+   */
+  async function sendReminderSettings(chatId, settings, locale) {
+    const { start, end } = settings.quietHours;
+    const text = t(locale, 'reminders.status', {
+      state: t(locale, settings.reminders ? 'reminders.stateOn' : 'reminders.stateOff'),
+      timezone: settings.timezone,
+      start,
+      end
+    });
+    
+    await messageSender.sendMessage(chatId, text, {
+      reply_markup: generateRemindersKeyboard(settings.reminders, locale)
+    });
+  }
+
+  /**
+   * Enable or disable daily reminders for a user
+   * @param {number} userId - Telegram user ID
+   * @param {boolean} enabled - New state
+   * @returns {Promise<Object>} Updated settings
+   */
+  async function setReminders(userId, enabled) {
+    if (enabled) {
+      await storageManager.addToSet('reminders', userId);
+    } else {
+      await storageManager.removeFromSet('reminders', userId);
+    }
+    return updateUserSettings(storageManager, userId, { reminders: enabled });
+  }
+
+  /**
+   * Send the weekly and all-time leaderboards with the user's own places
+   * @param {number} chatId - Telegram chat ID
+   * @param {number} userId - Telegram user ID
+   * @param {string} locale - UI language
+   */
+  async function sendLeaderboard(chatId, userId, locale) {
+    const now = Date.now();
+    const weekStart = getWeekStart(getLocalDate(now, LEADERBOARD_TIMEZONE));
+    const [weekly, allTime, settings] = await Promise.all([
+      getWeeklyLeaderboard(storageManager, weekStart),
+      getAllTimeLeaderboard(storageManager, now),
+      getUserSettings(storageManager, userId)
+    ]);
+    
+    // Settings are read only for the users shown in the tops
+    const names = {};
+    const shownIds = new Set([...weekly, ...allTime].filter(result => result.place <= TOP_SIZE).map(result => result.userId));
+    await Promise.all([...shownIds].map(async id => {
+      names[id] = getDisplayName(await getUserSettings(storageManager, id), id, locale);
+    }));
+    
+    const sections = [
+      formatLeaderboard(t(locale, 'leaderboard.weekTitle', { week: formatWeek(weekStart) }), weekly, names, locale),
+      formatLeaderboard(t(locale, 'leaderboard.allTimeTitle'), allTime, names, locale),
+      settings.leaderboard
+        ? t(locale, 'leaderboard.own', {
+          name: getDisplayName(settings, userId, locale),
+          week: formatOwnPlace(weekly, userId, locale),
+          allTime: formatOwnPlace(allTime, userId, locale)
+        })
+        : t(locale, 'leaderboard.notParticipating')
+    ];
+    
+    await messageSender.sendMessage(chatId, sections.join('\n\n'), {
+      reply_markup: generateLeaderboardKeyboard(settings.leaderboard, locale)
+    });
+  }
+
+  /**
+   * Show or hide a user on the leaderboards
+   * @param {number} userId - Telegram user ID
+   * @param {boolean} enabled - New state
+   * @returns {Promise<Object>} Updated settings
+   */
+  async function setLeaderboard(userId, enabled) {
+    if (enabled) {
+      await backfillAllTimeResults(storageManager, userId);
+      await storageManager.addToSet(PARTICIPANTS_SET, userId);
+    } else {
+      await storageManager.removeFromSet(PARTICIPANTS_SET, userId);
+    }
+    return updateUserSettings(storageManager, userId, { leaderboard: enabled });
+  }
+
+  /**
+   * Send topic selection menu for the user's category
+   * @param {number} chatId - Telegram chat ID
+   * @param {number} userId - Telegram user ID
+   * @param {string} locale - UI language
+   */
+  async function sendTopicSelection(chatId, userId, locale) {
+    const { questionsByTopic } = await getUserBank(userId);
+    const topics = getAvailableTopics(questionsByTopic).map(id => ({
+      id,
+      title: getTopicTitle(id, locale),
+      count: questionsByTopic[id].length
+    }));
+    
+    if (topics.length === 0) {
+      await messageSender.sendMessage(chatId, t(locale, 'topics.none'));
+      return;
+    }
+    
+    await messageSender.sendMessage(chatId, t(locale, 'topics.choose'), {
+      reply_markup: generateTopicKeyboard(topics)
+    });
+  }
+
+  /**
+   * Start a quiz from all questions on a topic in random order
+   * @param {number} chatId - Telegram chat ID
+   * @param {number} userId - Telegram user ID
+   * @param {string} locale - UI language
+   * @param {string} topicId - Topic ID
+   */
+  async function startTopic(chatId, userId, locale, topicId) {
+    const bank = await getUserBank(userId);
+    const topicQuestions = bank.questionsByTopic[topicId] || [];
+    
+    if (topicQuestions.length === 0) {
+      await messageSender.sendMessage(chatId, t(locale, 'topics.notFound'));
+      await sendTopicSelection(chatId, userId, locale);
+      return;
+    }
+    
+    await startQuiz(chatId, userId, locale, {
+      mode: 'topic',
+      title: getTopicTitle(topicId, locale),
+      questionIds: shuffle(topicQuestions).map(q => q.questionId),
+      topic: topicId,
+      category: bank.category
+    });
+  }
+
+  /**
+   * Get the question order of a marathon
+   * Saved progress keeps only the seed; after a bank reload the order is rebuilt from the current bank
+   * @param {QuestionBank} bank - Marathon bank
+   * @param {string} seed - Marathon seed
+   * @returns {string[]} Question IDs in order
+   */
+  function getMarathonQuestionIds(bank, seed) {
+    return seededShuffle(bank.questions.map(q => q.questionId), seed);
+  }
+
+  /**
+   * Start a marathon: all questions of the bank in random order until the user stops
+   * @param {number} chatId - Telegram chat ID
+   * @param {number} userId - Telegram user ID
+   * @param {string} locale - UI language
+   */
+  async function startMarathon(chatId, userId, locale) {
+    const bank = await getUserBank(userId);
+    const seed = crypto.randomBytes(6).toString('hex');
+    
+    await startQuiz(chatId, userId, locale, {
+      mode: 'marathon',
+      title: t(locale, 'marathon.title', { stop: t(locale, 'buttons.stopMarathon') }),
+      questionIds: getMarathonQuestionIds(bank, seed),
+      category: bank.category,
+      seed
+    });
+  }
+
+  /**
+   * Finish a marathon at the user's request
+   * @param {Object} query - Telegram callback query of the stop button
+   * @param {string} attemptId - Attempt the button belongs to
+   * @param {string} locale - UI language
+   */
+  async function stopMarathon(query, attemptId, locale) {
+    const userId = query.from.id;
+    const session = await sessionManager.get(userId);
+    
+    // Deleting the session first lets only one of several taps finish the marathon
+    if (!session || session.mode !== 'marathon' || session.attemptId !== attemptId ||
+        !await sessionManager.delete(userId)) {
+      await bot.answerCallbackQuery(query.id, { text: t(locale, 'marathon.alreadyFinished') });
+      return;
+    }
+    
+    await bot.answerCallbackQuery(query.id);
+    await finishPractice(query.message.chat.id, userId, locale, session, query.message);
+  }
+
+  /**
+   * Start an exam on a random ticket
+   * @param {number} chatId - Telegram chat ID
+   * @param {number} userId - Telegram user ID
+   * @param {string} locale - UI language
+   */
+  async function startExam(chatId, userId, locale) {
+    const bank = await getUserBank(userId);
+    const [ticketNumber] = pickRandom(bank.ticketNumbers, 1);
+    const ticketQuestions = bank.getTicketQuestions(ticketNumber);
+    const { singleMessage, shuffleOptions } = await getUserSettings(storageManager, userId);
+    
+    const session = await sessionManager.set(userId, {
+      attemptId: createAttemptId(),
+      mode: 'exam',
+      category: bank.category,
+      bankVersion: bank.version,
+      singleMessage,
+      shuffleOptions,
+      currentTicket: ticketNumber,
+      questionIds: ticketQuestions.map(q => q.questionId),
+      currentQuestion: 1,
+      correctAnswers: 0,
+      incorrectAnswers: 0,
+      startTime: new Date().toISOString(),
+      exam: createExamState(ticketQuestions.length)
+    });
+    await storageManager.addToSet('open_exams', userId);
+    metrics.increment('pdd_tickets_started_total', { mode: 'exam', category: bank.category });
+    
+    await messageSender.sendMessage(chatId, t(locale, 'exam.intro', {
+      number: ticketNumber,
+      questions: t(locale, 'plural.questions', { count: ticketQuestions.length }),
+      minutes: t(locale, 'plural.minutes', { count: EXAM_DURATION_MINUTES }),
+      failMistakes: MAX_MISTAKES + 1,
+      extraQuestions: t(locale, 'plural.questions', { count: EXTRA_QUESTIONS_PER_BLOCK }),
+      extraMinutes: t(locale, 'plural.minutes', { count: EXTRA_MINUTES_PER_BLOCK })
+    }), {
+      reply_markup: removeKeyboard()
+    });
+    
+    await sendQuestion(chatId, locale, getCurrentQuestion(session), session);
+  }
+
+  /**
+   * Finish exam and send the report
+   * @param {number} chatId - Telegram chat ID
+   * @param {number} userId - Telegram user ID
+   * @param {string} locale - UI language
+   * @param {Object} session - Exam session
+   * @param {string|null} failReason - Fail reason key or null if passed
+   * @param {Object|null} answeredMessage - Last answered question, its buttons are removed
+   */
+  async function finishExam(chatId, userId, locale, session, failReason, answeredMessage = null) {
+    if (answeredMessage) {
+      await clearAnswerKeyboard(chatId, answeredMessage);
+    }
+    
+    const report = generateExamReport(session, failReason, getSessionBank(session).questionById, locale);
+    
+    await recordTicket(userId, session, !failReason);
+    
+    await messageSender.sendMessage(chatId, report, {
+      reply_markup: generateModeCompletionKeyboard(t(locale, 'buttons.newExam'), 'start_exam', locale)
+    });
+    
+    await sessionManager.delete(userId);
+    await storageManager.removeFromSet('open_exams', userId);
+  }
+
+  /**
+   * Finish the user's exam if its time ran out without an answer
+   * The lock keeps several instances (or an update and the periodic check) from finishing it twice
+   * @param {number} chatId - Telegram chat ID
+   * @param {number} userId - Telegram user ID
+   * @param {string} locale - UI language
+   * @returns {Promise<boolean>} True if an exam was finished
+   */
+  async function finishOverdueExam(chatId, userId, locale) {
+    const session = await sessionManager.get(userId);
+    if (!session || session.mode !== 'exam' || Date.now() <= session.exam.deadline) {
+      return false;
+    }
+    if (!await storageManager.acquireLock(`exam_timeout:${session.attemptId}`, EXAM_LOCK_TTL_MS)) {
+      return false;
+    }
+    
+    await messageSender.sendMessage(chatId, t(locale, 'exam.timeUp'));
+    await finishExam(chatId, userId, locale, session, 'timeout');
+    return true;
+  }
+
+  /**
+   * Finish and record abandoned exams past their deadline
+   * Users leave the open exams set when their session is no longer an exam
+   */
+  async function finishOverdueExams() {
+    const userIds = await storageManager.getSetMembers('open_exams');
+    
+    for (const member of userIds) {
+      const userId = Number(member);
+      try {
+        const session = await sessionManager.get(userId);
+        if (!session || session.mode !== 'exam') {
+          await storageManager.removeFromSet('open_exams', userId);
+          continue;
+        }
+        // Private chat ID equals user ID
+        await finishOverdueExam(userId, userId, await getUserLocale(userId));
+      } catch (error) {
+        log.error('Error finishing overdue exam', { userId, err: error });
+      }
+    }
+  }
+
+  /**
+   * Process answer in exam mode (no feedback until the end)
+   * @param {number} chatId - Telegram chat ID
+   * @param {number} userId - Telegram user ID
+   * @param {string} locale - UI language
+   * @param {Object} session - Exam session
+   * @param {Object} question - Answered question
+   * @param {number} answerIndex - Selected answer index
+   * @param {string} callbackQueryId - Callback query ID for popup
+   * @param {Object} message - Message with the answered question
+   */
+  async function processExamAnswer(chatId, userId, locale, session, question, answerIndex, callbackQueryId, message) {
+    // An answer after the deadline finishes the exam (abandoned ones are finished by finishOverdueExams)
+    if (Date.now() > session.exam.deadline) {
+      await bot.answerCallbackQuery(callbackQueryId, {
+        text: t(locale, 'exam.timeUp'),
+        show_alert: false
+      });
+      await finishExam(chatId, userId, locale, session, 'timeout', message);
+      return;
+    }
+    
+    await bot.answerCallbackQuery(callbackQueryId, {
+      text: t(locale, 'exam.answerAccepted'),
+      show_alert: false
+    });
+    
+    const isCorrect = answerIndex === question.correctAnswerIndex;
+    await recordAnswer(userId, session, question, answerIndex, isCorrect);
+    
+    if (isCorrect) {
+      session.correctAnswers = await sessionManager.increment(userId, 'correctAnswers');
+    } else {
+      session.incorrectAnswers = await sessionManager.increment(userId, 'incorrectAnswers');
+      session.exam.mistakes.push({ questionId: question.questionId, answerIndex });
+      
+      if (session.currentQuestion > session.exam.baseQuestions) {
+        await finishExam(chatId, userId, locale, session, 'extraMistake', message);
+        return;
+      }
+      
+      if (session.incorrectAnswers > MAX_MISTAKES) {
+        await finishExam(chatId, userId, locale, session, 'tooManyMistakes', message);
+        return;
+      }
+      
+      // A mistake in a block adds 5 extra questions from it (once per block)
+      const blockIndex = getBlockIndex(question.questionNumber);
+      if (!session.exam.extendedBlocks.includes(blockIndex)) {
+        const extraQuestions = pickExtraQuestions(getSessionBank(session).questions, blockIndex, session.questionIds);
+        session.questionIds.push(...extraQuestions.map(q => q.questionId));
+        session.exam.extendedBlocks.push(blockIndex);
+        session.exam.deadline += EXTRA_MINUTES_PER_BLOCK * 60 * 1000;
+      }
+      
+      await sessionManager.update(userId, { questionIds: session.questionIds, exam: session.exam });
+    }
+    
+    session.currentQuestion = await sessionManager.increment(userId, 'currentQuestion');
+    await continueSession(chatId, userId, locale, session, message);
+  }
+
+  /**
+   * Finish a practice session and send the statistics
+   * @param {number} chatId - Telegram chat ID
+   * @param {number} userId - Telegram user ID
+   * @param {string} locale - UI language
+   * @param {Object} session - Finished session
+   * @param {Object|null} answeredMessage - Last answered question, its buttons are removed
+   */
+  async function finishPractice(chatId, userId, locale, session, answeredMessage = null) {
+    if (answeredMessage) {
+      await clearAnswerKeyboard(chatId, answeredMessage);
+    }
+    
+    const { title, keyboard } = getCompletionView(session, locale);
+    const stats = generateStatistics(
+      session.correctAnswers,
+      session.incorrectAnswers,
+      title,
+      locale
+    );
+    
+    await recordTicket(userId, session, session.incorrectAnswers <= MAX_MISTAKES);
+    await clearProgress(userId, session);
+    
+    await messageSender.sendMessage(chatId, stats, {
+      reply_markup: keyboard
+    });
+    
+    // Clear session
+    await sessionManager.delete(userId);
+  }
+
+  /**
+   * Send the session's current question or finish the session after the last one
+   * Questions removed from the bank by a reload are skipped
+   * @param {number} chatId - Telegram chat ID
+   * @param {number} userId - Telegram user ID
+   * @param {string} locale - UI language
+   * @param {Object} session - User session with currentQuestion already advanced
+   * @param {Object|null} answeredMessage - Message of the answered question still showing answer buttons
+   */
+  async function continueSession(chatId, userId, locale, session, answeredMessage = null) {
+    while (session.currentQuestion <= session.questionIds.length && !getCurrentQuestion(session)) {
+      session.currentQuestion = await sessionManager.increment(userId, 'currentQuestion');
+      if (session.currentQuestion === null) {
+        return;
+      }
+    }
+    
+    if (session.currentQuestion <= session.questionIds.length) {
+      await saveProgress(userId, session);
+      await sendQuestion(chatId, locale, getCurrentQuestion(session), session, answeredMessage);
+    } else if (session.mode === 'exam') {
+      await finishExam(chatId, userId, locale, session, null, answeredMessage);
+    } else {
+      await finishPractice(chatId, userId, locale, session, answeredMessage);
+    }
+  }
+
+  /**
+   * Process user's answer
+   * Only an answer to the current question of the current attempt is counted
+   * @param {number} chatId - Telegram chat ID
+   * @param {number} userId - Telegram user ID
+   * @param {string} locale - UI language
+   * @param {Object|null} callback - Parsed answer callback ({ attemptId, position, answerIndex })
+   * @param {string} callbackQueryId - Callback query ID for popup
+   * @param {Object} message - Message with the answered question
+   */
+  async function processAnswer(chatId, userId, locale, callback, callbackQueryId, message) {
+    const session = await sessionManager.get(userId);
+    
+    if (!session) {
+      const progress = await getSavedProgress(userId);
+      
+      if (!progress) {
+        await bot.answerCallbackQuery(callbackQueryId, {
+          text: t(locale, 'quiz.sessionExpired'),
+          show_alert: true
+        });
+        return;
+      }
+      
+      await bot.answerCallbackQuery(callbackQueryId, {
+        text: t(locale, 'quiz.sessionExpiredShort'),
+        show_alert: false
+      });
+      await messageSender.sendMessage(chatId, t(locale, 'quiz.sessionExpiredSaved'), {
+        reply_markup: generateResumeKeyboard(formatResumeText(progress, locale))
+      });
+      return;
+    }
+    
+    const status = answerGuard.accept(session, callback);
+    
+    if (status === 'answered') {
+      await bot.answerCallbackQuery(callbackQueryId, {
+        text: t(locale, 'quiz.alreadyAnswered'),
+        show_alert: false
+      });
+      return;
+    }
+    
+    if (status === 'stale') {
+      await bot.answerCallbackQuery(callbackQueryId, {
+        text: t(locale, 'quiz.staleAttempt'),
+        show_alert: false
+      });
+      return;
+    }
+    
+    try {
+      await processCurrentAnswer(chatId, userId, locale, session, callback.answerIndex, callbackQueryId, message);
+    } finally {
+      answerGuard.release(callback);
+    }
+  }
+
+  /**
+   * Count an accepted answer to the session's current question and move on
+   * @param {number} chatId - Telegram chat ID
+   * @param {number} userId - Telegram user ID
+   * @param {string} locale - UI language
+   * @param {Object} session - User session
+   * @param {number} answerIndex - Selected answer index
+   * @param {string} callbackQueryId - Callback query ID for popup
+   * @param {Object} message - Message with the answered question
+   */
+  async function processCurrentAnswer(chatId, userId, locale, session, answerIndex, callbackQueryId, message) {
+    const question = getCurrentQuestion(session);
+    
+    if (!question) {
+      // The current question was removed by a reload: skip it instead of blocking the session
+      await bot.answerCallbackQuery(callbackQueryId, {
+        text: t(locale, 'quiz.questionSkipped'),
+        show_alert: true
+      });
+      session.currentQuestion = await sessionManager.increment(userId, 'currentQuestion');
+      await continueSession(chatId, userId, locale, session, message);
+      return;
+    }
+    
+    if (session.mode === 'exam') {
+      await processExamAnswer(chatId, userId, locale, session, question, answerIndex, callbackQueryId, message);
+      return;
+    }
+    
+    // Check if answer is correct
+    const isCorrect = answerIndex === question.correctAnswerIndex;
+    await recordAnswer(userId, session, question, answerIndex, isCorrect);
+    
+    const settings = await getUserSettings(storageManager, userId);
+    const showReview = shouldShowReview(settings.explanations, isCorrect);
+    
+    // Update session
+    if (isCorrect) {
+      session.correctAnswers = await sessionManager.increment(userId, 'correctAnswers');
+      await bot.answerCallbackQuery(callbackQueryId, {
+        text: t(locale, 'quiz.correct'),
+        show_alert: false
+      });
+    } else if (showReview) {
+      session.incorrectAnswers = await sessionManager.increment(userId, 'incorrectAnswers');
+      await bot.answerCallbackQuery(callbackQueryId, {
+        text: t(locale, 'quiz.incorrect'),
+        show_alert: false
+      });
+    } else {
+      session.incorrectAnswers = await sessionManager.increment(userId, 'incorrectAnswers');
+      const correctAnswer = localizeQuestion(question, locale).options[question.correctAnswerIndex];
+      await bot.answerCallbackQuery(callbackQueryId, {
+        text: t(locale, 'quiz.incorrectWithAnswer', { answer: correctAnswer }),
+        show_alert: true
+      });
+    }
+    
+    if (showReview) {
+      await sendAnswerReview(chatId, message, localizeQuestion(question, locale), answerIndex, getOptionOrder(session, question));
+    }
+    
+    // Move to next question, or show statistics when the ticket is completed.
+    // A reviewed question stays in the chat, otherwise it is replaced or its buttons removed
+    session.currentQuestion = await sessionManager.increment(userId, 'currentQuestion');
+    await continueSession(chatId, userId, locale, session, showReview ? null : message);
+  }
+
+  // ==================== Admin ====================
+
+  /**
+   * Check whether a user is a bot administrator
+   * @param {number} userId - Telegram user ID
+   * @returns {boolean}
+   */
+  function isAdmin(userId) {
+    return ADMIN_IDS.has(userId);
+  }
+
+  /**
+   * Write an admin action (or a refused attempt) to the audit log
+   * @param {number} userId - Telegram user ID
+   * @param {string} action - Action name
+   * @param {Object} details - Action parameters and outcome
+   * @param {boolean} allowed - Whether the user is an admin
+   */
+  async function auditAdminAction(userId, action, details = {}, allowed = true) {
+    adminLog.info(allowed ? 'Admin action' : 'Admin action refused', { action, adminId: userId, details });
+    try {
+      await storageManager.recordAudit({
+        timestamp: new Date().toISOString(),
+        adminId: userId,
+        action,
+        details,
+        allowed
+      });
+    } catch (error) {
+      log.error('Error writing audit log', { err: error });
+    }
+  }
+
+  /**
+   * Check admin access, refusing politely and logging the attempt otherwise
+   * @param {number} chatId - Telegram chat ID
+   * @param {number} userId - Telegram user ID
+   * @param {string} locale - UI language
+   * @param {string} action - Requested action
+   * @returns {Promise<boolean>} True if the user is an admin
+   */
+  async function requireAdmin(chatId, userId, locale, action) {
+    if (isAdmin(userId)) {
+      return true;
+    }
+    
+    await auditAdminAction(userId, action, {}, false);
+    await messageSender.sendMessage(chatId, t(locale, 'common.adminOnly'));
+    return false;
+  }
+
+  /**
+   * Send admin panel with overview
+   * @param {number} chatId - Telegram chat ID
+   * @param {string} locale - UI language
+   */
+  async function sendAdminPanel(chatId, locale) {
+    const [sessionStats, queueStats, activeUsers, inactiveUsers] = await Promise.all([
+      sessionManager.getStats(),
+      queueManager.getStats(),
+      storageManager.getSetMembers('users'),
+      storageManager.getSetMembers('inactive_users')
+    ]);
+    const userCounts = { active: activeUsers.length, inactive: inactiveUsers.length };
+    
+    await messageSender.sendMessage(chatId, formatAdminOverview(sessionStats, queueStats, Object.values(questionBanks), userCounts,
+      messageSender.getStats(), locale), {
+      reply_markup: generateAdminKeyboard(locale)
+    });
+  }
+
+  /**
+   * Send queue depths with failed jobs and retry buttons
+   * @param {number} chatId - Telegram chat ID
+   * @param {string} locale - UI language
+   */
+  async function sendQueueReport(chatId, locale) {
+    const [queueStats, failedJobs] = await Promise.all([
+      queueManager.getStats(),
+      queueManager.getFailedJobs()
+    ]);
+    
+    await messageSender.sendMessage(chatId, formatQueueReport(queueStats, failedJobs, locale), {
+      reply_markup: generateFailedJobsKeyboard(failedJobs, locale)
+    });
+  }
+
+  /**
+   * Send the questions answered wrong most often
+   * @param {number} chatId - Telegram chat ID
+   * @param {string} locale - UI language
+   */
+  async function sendHardestQuestions(chatId, locale) {
+    const [attempts, mistakes] = await Promise.all([
+      storageManager.getCounters('question_attempts'),
+      storageManager.getCounters('question_mistakes')
+    ]);
+    const getQuestion = (category, questionId) =>
+      getBank(category) ? getBank(category).getQuestion(questionId) : null;
+    
+    await messageSender.sendMessage(chatId, formatHardestQuestions(attempts, mistakes, getQuestion, locale), {
+      reply_markup: generateAdminBackKeyboard(locale)
+    });
+  }
+
+  /**
+   * Send user card for admin lookup
+   * @param {number} chatId - Telegram chat ID
+   * @param {number} targetId - Looked up user ID
+   * @param {string} locale - UI language
+   */
+  async function sendUserLookup(chatId, targetId, locale) {
+    const settings = await getUserSettings(storageManager, targetId);
+    const [answers, tickets, session, mistakes] = await Promise.all([
+      storageManager.getAnswers(targetId),
+      storageManager.getTickets(targetId),
+      sessionManager.get(targetId),
+      storageManager.getUserData(targetId, QuestionBank.getUserDocName('mistakes', settings.category))
+    ]);
+    
+    const stats = calculateUserStats(answers, tickets, settings.timezone);
+    const mistakesCount = getMistakeQuestionIds(mistakes || {}).length;
+    
+    await messageSender.sendMessage(chatId, formatUserLookup(targetId, settings, stats, session, mistakesCount, locale), {
+      reply_markup: generateAdminBackKeyboard(locale)
+    });
+  }
+
+  /**
+   * Reload question banks from disk
+   * The new banks are fully loaded and validated before they replace the current
+   * ones in a single assignment; on any error the current banks stay in use
+   * @returns {string[]} Categories whose bank changed
+   * @throws {Error} If the new banks cannot be loaded, a loaded category is missing or reloads are not configured
+   */
+  function reloadQuestionBanks() {
+    if (!loadQuestionBanks) {
+      throw new Error('question banks are not loaded from files');
+    }
+    
+    const banks = loadQuestionBanks();
+    
+    // A file being replaced may be briefly missing; removing a category needs a restart
+    const missing = categories.filter(category => !banks[category]);
+    if (missing.length > 0) {
+      throw new Error(`question bank ${missing.join(', ')} is missing`);
+    }
+    
+    const changed = Object.keys(banks).filter(category =>
+      !questionBanks[category] || questionBanks[category].version !== banks[category].version);
+    if (changed.length === 0) {
+      return changed;
+    }
+    
+    changed.filter(category => questionBanks[category]).forEach(category => {
+      const retired = questionBanks[category];
+      retiredBanks.set(`${category}:${retired.version}`, retired);
+    });
+    while (retiredBanks.size > RETIRED_BANKS_LIMIT) {
+      retiredBanks.delete(retiredBanks.keys().next().value);
+    }
+    
+    questionBanks = banks;
+    categories = Object.keys(banks);
+    log.info('Question banks reloaded', { changed });
+    return changed;
+  }
+
+  /**
+   * Handle admin panel button
+   * @param {Object} query - Telegram callback query
+   * @param {string} action - Button action (callback data without "admin_")
+   * @param {string} locale - UI language
+   */
+  async function handleAdminCallback(query, action, locale) {
+    const chatId = query.message.chat.id;
+    const userId = query.from.id;
+    
+    if (!isAdmin(userId)) {
+      await auditAdminAction(userId, action, {}, false);
+      await bot.answerCallbackQuery(query.id, {
+        text: t(locale, 'common.adminOnlyShort'),
+        show_alert: true
+      });
+      return;
+    }
+    
+    if (action.startsWith('retry_')) {
+      const [, partition, jobId] = action.split('_');
+      const retried = await queueManager.retryJob(parseInt(partition), jobId);
+      await auditAdminAction(userId, 'retry_job', { partition: parseInt(partition), jobId, retried });
+      await bot.answerCallbackQuery(query.id, {
+        text: t(locale, retried ? 'admin.queues.retried' : 'admin.queues.notFound')
+      });
+      await sendQueueReport(chatId, locale);
+      return;
+    }
+    
+    await auditAdminAction(userId, action);
+    await bot.answerCallbackQuery(query.id);
+    
+    switch (action) {
+      case 'panel':
+      case 'sessions':
+        await sendAdminPanel(chatId, locale);
+        break;
+      case 'queues':
+        await sendQueueReport(chatId, locale);
+        break;
+      case 'questions':
+        await sendHardestQuestions(chatId, locale);
+        break;
+      case 'user':
+        await messageSender.sendMessage(chatId, t(locale, 'admin.user.prompt'));
+        break;
+      case 'broadcast':
+        await messageSender.sendMessage(chatId, t(locale, 'broadcast.help'));
+        break;
+      case 'warmup':
+        await startImageWarmUp(chatId, userId, locale);
+        break;
+      case 'broadcast_send':
+        await startBroadcast(chatId, userId, locale);
+        break;
+      case 'broadcast_cancel':
+        await storageManager.setUserData(userId, 'broadcast_draft', null);
+        await messageSender.sendMessage(chatId, t(locale, 'broadcast.cancelled'));
+        break;
+      case 'reload':
+        try {
+          const changed = reloadQuestionBanks();
+          const summary = Object.values(questionBanks).map(bank => `${bank.category}: ${bank.questions.length}`).join(', ');
+          await auditAdminAction(userId, 'reload_result', { ok: true, changed, summary });
+          await messageSender.sendMessage(chatId, changed.length > 0
+            ? t(locale, 'admin.reload.changed', { summary, changed: changed.join(', ') })
+            : t(locale, 'admin.reload.unchanged', { summary }));
+        } catch (error) {
+          await auditAdminAction(userId, 'reload_result', { ok: false, error: error.message });
+          await messageSender.sendMessage(chatId, t(locale, 'admin.reload.failed', { error: error.message }));
+        }
+        break;
+      case 'audit':
+        await messageSender.sendMessage(chatId, formatAuditLog(await storageManager.getAuditLog(AUDIT_LOG_SIZE), locale), {
+          reply_markup: generateAdminBackKeyboard(locale)
+        });
+        break;
+    }
+  }
+
+  // ==================== Broadcasts ====================
+
+  /**
+   * Wait for a given time
+   * @param {number} ms - Milliseconds
+   * @returns {Promise<void>}
+   */
+  function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  /**
+   * Send broadcast content (text or photo with caption)
+   * @param {number} chatId - Telegram chat ID
+   * @param {Object} content - Broadcast content ({ text, photo })
+   * @param {Object} options - Extra send options (e.g. reply_markup)
+   * @param {Object} delivery - Message sender delivery options
+   */
+  async function sendBroadcastContent(chatId, content, options = {}, delivery = {}) {
+    if (content.photo) {
+      await messageSender.sendPhoto(chatId, content.photo, { caption: content.text, ...options }, delivery);
+    } else {
+      await messageSender.sendMessage(chatId, content.text, options, delivery);
+    }
+  }
+
+  /**
+   * Save a broadcast draft and show its preview with confirmation buttons
+   * @param {number} chatId - Telegram chat ID
+   * @param {number} adminId - Admin user ID
+   * @param {Object} content - Broadcast content ({ text, photo })
+   * @param {string} locale - UI language
+   */
+  async function sendBroadcastPreview(chatId, adminId, content, locale) {
+    const recipients = await storageManager.getSetMembers('users');
+    const draft = { id: crypto.randomBytes(6).toString('hex'), content, createdAt: new Date().toISOString() };
+    await storageManager.setUserData(adminId, 'broadcast_draft', draft);
+    
+    await messageSender.sendMessage(chatId, t(locale, 'broadcast.preview', { count: recipients.length }));
+    await sendBroadcastContent(chatId, content, { reply_markup: generateBroadcastKeyboard(locale) });
+  }
+
+  /**
+   * Send the confirmed draft to all active users
+   * Goes through the rate-limited broadcast queue, or is sent in the background
+   * by this process when queues are disabled
+   * @param {number} chatId - Telegram chat ID
+   * @param {number} adminId - Admin user ID
+   * @param {string} locale - UI language
+   */
+  async function startBroadcast(chatId, adminId, locale) {
+    const draft = await storageManager.getUserData(adminId, 'broadcast_draft');
+    
+    // The lock keeps a double-tapped button from sending the draft twice
+    if (!draft || !await storageManager.acquireLock(`broadcast:${draft.id}`, BROADCAST_LOCK_TTL_MS)) {
+      await messageSender.sendMessage(chatId, t(locale, 'broadcast.noDraft'));
+      return;
+    }
+    await storageManager.setUserData(adminId, 'broadcast_draft', null);
+    
+    const recipients = await storageManager.getSetMembers('users');
+    const jobs = recipients.map(userId => ({
+      broadcastId: draft.id,
+      userId: Number(userId),
+      adminId,
+      total: recipients.length,
+      content: draft.content
+    }));
+    
+    await auditAdminAction(adminId, 'broadcast_started', { broadcastId: draft.id, recipients: recipients.length });
+    await messageSender.sendMessage(chatId, t(locale, 'broadcast.started', { count: recipients.length }));
+    
+    if (jobs.length === 0) {
+      await finishBroadcastIfDone({ broadcastId: draft.id, adminId, total: 0 });
+      return;
+    }
+    
+    if (!await queueManager.addBroadcastJobs(jobs, BROADCAST_ATTEMPTS)) {
+      deliverBroadcastsDirectly(jobs).catch(error => {
+        broadcastLog.error('Broadcast stopped', { broadcastId: draft.id, err: error });
+      });
+    }
+  }
+
+  /**
+   * Send a broadcast message to one user
+   * The message sender tries it once: a 429 or 5xx response is rethrown while attempts remain,
+   * so the caller retries it, and a message given up on is counted as dropped here
+   * @param {Object} data - Job data ({ broadcastId, userId, adminId, total, content })
+   * @param {number} attemptsMade - Failed attempts so far
+   * @returns {Promise<string>} Outcome: delivered, blocked or failed
+   */
+  async function sendBroadcastMessage(data, attemptsMade) {
+    try {
+      await sendBroadcastContent(data.userId, data.content, {}, { retry: false });
+      return 'delivered';
+    } catch (error) {
+      if (isRetryableError(error) && attemptsMade + 1 < BROADCAST_ATTEMPTS) {
+        throw error;
+      }
+      if (getTelegramErrorCode(error) === 403) {
+        return 'blocked';
+      }
+      if (isTransientError(error)) {
+        metrics.increment('pdd_messages_dropped_total', { reason: getDropReason(error) });
+      }
+      broadcastLog.error('Failed to deliver broadcast', { broadcastId: data.broadcastId, recipientId: data.userId, err: error });
+      return 'failed';
+    }
+  }
+
+  /**
+   * Count the outcome of a broadcast message
+   * Users who blocked the bot (403) are marked inactive and skipped by later broadcasts.
+   * Storage errors are only logged: the message is already handled and must not be sent again
+   * @param {Object} data - Job data
+   * @param {string} outcome - delivered, blocked or failed
+   * @returns {Promise<boolean>} True if the outcome was counted
+   */
+  async function recordBroadcastOutcome({ broadcastId, userId }, outcome) {
+    try {
+      if (outcome === 'blocked') {
+        await storageManager.removeFromSet('users', userId);
+        await storageManager.addToSet('inactive_users', userId);
+      }
+      await storageManager.incrementCounter(`broadcast_${broadcastId}`, outcome);
+      return true;
+    } catch (error) {
+      broadcastLog.error('Failed to record broadcast outcome', { broadcastId, recipientId: userId, outcome, err: error });
+      return false;
+    }
+  }
+
+  /**
+   * Deliver a queued broadcast message and count the outcome
+   * Only the send throws, so the queue retries a rate-limited or 5xx message but never one already sent
+   * @param {Object} data - Job data
+   * @param {number} attemptsMade - Failed attempts so far
+   */
+  async function deliverBroadcast(data, attemptsMade) {
+    const outcome = await sendBroadcastMessage(data, attemptsMade);
+    if (!await recordBroadcastOutcome(data, outcome)) {
+      return;
+    }
+    
+    try {
+      await finishBroadcastIfDone(data);
+    } catch (error) {
+      broadcastLog.error('Failed to report broadcast', { broadcastId: data.broadcastId, err: error });
+    }
+  }
+
+  /**
+   * Deliver broadcast messages one by one without queues
+   * Outcomes are tallied in memory, so the report needs no counter reads
+   * @param {Object[]} jobs - Job data
+   */
+  async function deliverBroadcastsDirectly(jobs) {
+    const counts = {};
+    
+    for (const data of jobs) {
+      let outcome = 'failed';
+      for (let attemptsMade = 0; attemptsMade < BROADCAST_ATTEMPTS; attemptsMade++) {
+        try {
+          outcome = await sendBroadcastMessage(data, attemptsMade);
+          break;
+        } catch (error) {
+          await sleep((getRetryAfter(error) || 1) * 1000);
+        }
+      }
+      counts[outcome] = (counts[outcome] || 0) + 1;
+      await recordBroadcastOutcome(data, outcome);
+      await sleep(1000 / queueManager.broadcastRate);
+    }
+    
+    await finishBroadcastIfDone(jobs[0], counts);
+  }
+
+  /**
+   * Send the report to the admin once every message of a broadcast is handled
+   * @param {Object} data - Job data ({ broadcastId, adminId, total })
+   * @param {Object} [counts] - Outcome counts; read from the broadcast counter when omitted
+   */
+  async function finishBroadcastIfDone({ broadcastId, adminId, total }, counts = null) {
+    counts = counts || await storageManager.getCounters(`broadcast_${broadcastId}`);
+    if (countFinished(counts) < total) {
+      return;
+    }
+    
+    // Several workers may see the last message handled; only one reports
+    if (!await storageManager.acquireLock(`broadcast:${broadcastId}:report`, BROADCAST_LOCK_TTL_MS)) {
+      return;
+    }
+    
+    await auditAdminAction(adminId, 'broadcast_result', { broadcastId, total, ...counts });
+    await messageSender.sendMessage(adminId, formatBroadcastReport(counts, total, await getUserLocale(adminId)));
+  }
+
+  // ==================== Command Handlers ====================
+
+  // Every matching handler runs, as with TelegramBot.onText, but awaited in
+  // registration order so a queued update is fully handled before the next one
+  const commandHandlers = [];
+
+  /**
+   * Register a command handler
+   * @param {RegExp} regexp - Pattern matched against message text
+   * @param {Function} handler - Async handler (msg, match)
+   */
+  function onCommand(regexp, handler) {
+    commandHandlers.push({ regexp, handler });
+  }
+
+  // /start command
+  onCommand(/\/start/, async (msg, match, locale) => {
+    const chatId = msg.chat.id;
+    const userId = msg.from.id;
+    
+    // Clear any existing session
+    await sessionManager.delete(userId);
+    
+    // Register the user for broadcasts (again, if they had blocked the bot)
+    await storageManager.addToSet('users', userId);
+    await storageManager.removeFromSet('inactive_users', userId);
+    
+    // Ask for the licence category once when several banks are available
+    const storedSettings = await storageManager.getUserData(userId, 'settings') || {};
+    if (categories.length > 1 && !storedSettings.category) {
+      await sendCategorySelection(chatId, null, locale);
+      return;
+    }
+    
+    await sendTicketSelection(chatId, userId, locale);
+  });
+
+  // /category command
+  onCommand(/\/category/, async (msg, match, locale) => {
+    const { category } = await getUserSettings(storageManager, msg.from.id);
+    await sendCategorySelection(msg.chat.id, category, locale);
+  });
+
+  // /exam command
+  onCommand(/\/exam/, async (msg, match, locale) => {
+    await startExam(msg.chat.id, msg.from.id, locale);
+  });
+
+  // /review command
+  onCommand(/\/review/, async (msg, match, locale) => {
+    await startReview(msg.chat.id, msg.from.id, locale);
+  });
+
+  // /marathon command
+  onCommand(/\/marathon/, async (msg, match, locale) => {
+    await startMarathon(msg.chat.id, msg.from.id, locale);
+  });
+
+  // /reminders command with optional "tz <zone>" or "quiet <from>-<to>" arguments
+  onCommand(/\/reminders(?:\s+(\w+)\s+(\S+))?/, async (msg, match, locale) => {
+    const chatId = msg.chat.id;
+    const userId = msg.from.id;
+    const [, option, value] = match;
+    
+    if (option === 'tz') {
+      if (!isValidTimeZone(value)) {
+        await messageSender.sendMessage(chatId, t(locale, 'reminders.unknownTimezone'));
+        return;
+      }
+      await updateUserSettings(storageManager, userId, { timezone: value });
+    } else if (option === 'quiet') {
+      const hours = value.match(/^(\d{1,2})-(\d{1,2})$/);
+      if (!hours || parseInt(hours[1]) > 23 || parseInt(hours[2]) > 23) {
+        await messageSender.sendMessage(chatId, t(locale, 'reminders.badQuietHours'));
+        return;
+      }
+      await updateUserSettings(storageManager, userId, {
+        quietHours: { start: parseInt(hours[1]), end: parseInt(hours[2]) }
+      });
+    }
+    
+    await sendReminderSettings(chatId, await getUserSettings(storageManager, userId), locale);
+  });
+
+  // /settings command
+  onCommand(/\/settings/, async (msg, match, locale) => {
+    await sendSettings(msg.chat.id, await getUserSettings(storageManager, msg.from.id), locale);
+  });
+
+  // /language command
+  onCommand(/\/language/, async (msg, match, locale) => {
+    const settings = await getUserSettings(storageManager, msg.from.id);
+    await sendLanguageSelection(msg.chat.id, settings, locale);
+  });
+
+  // /topics command
+  onCommand(/\/topics/, async (msg, match, locale) => {
+    await sendTopicSelection(msg.chat.id, msg.from.id, locale);
+  });
+
+  // /mistakes command
+  onCommand(/\/mistakes/, async (msg, match, locale) => {
+    await startMistakes(msg.chat.id, msg.from.id, locale);
+  });
+
+  // /mystats command
+  onCommand(/\/mystats/, async (msg, match, locale) => {
+    const chatId = msg.chat.id;
+    const userId = msg.from.id;
+    
+    const { category } = await getUserBank(userId);
+    const { timezone } = await getUserSettings(storageManager, userId);
+    const [answers, tickets] = await Promise.all([
+      storageManager.getAnswers(userId),
+      storageManager.getTickets(userId)
+    ]);
+    
+    const stats = calculateUserStats(
+      answers.filter(a => QuestionBank.isRecordOfCategory(a, category)),
+      tickets.filter(ticket => QuestionBank.isRecordOfCategory(ticket, category)),
+      timezone
+    );
+    let text = formatUserStats(stats, locale);
+    if (categories.length > 1) {
+      text = `${t(locale, 'menu.categoryHeader', { title: questionBanks[category].getTitle() })}\n\n${text}`;
+    }
+    
+    await messageSender.sendMessage(chatId, text);
+  });
+
+  // /top command with optional "nick <name>" argument
+  onCommand(/\/top\b(?:\s+(nick)\b\s*(.*))?/, async (msg, match, locale) => {
+    const chatId = msg.chat.id;
+    const userId = msg.from.id;
+    const [, option, value] = match;
+    
+    if (option === 'nick') {
+      const nickname = normalizeNickname(value);
+      if (!nickname) {
+        await messageSender.sendMessage(chatId, t(locale, 'leaderboard.badNickname'));
+        return;
+      }
+      const settings = await getUserSettings(storageManager, userId);
+      if (!await claimNickname(storageManager, userId, nickname, settings.nickname)) {
+        await messageSender.sendMessage(chatId, t(locale, 'leaderboard.nicknameTaken'));
+        return;
+      }
+      await updateUserSettings(storageManager, userId, { nickname });
+      await messageSender.sendMessage(chatId, t(locale, 'leaderboard.nicknameSet', { name: nickname }));
+      return;
+    }
+    
+    await sendLeaderboard(chatId, userId, locale);
+  });
+
+  // /help command
+  onCommand(/\/help/, async (msg, match, locale) => {
+    const chatId = msg.chat.id;
+    
+    const helpText = t(locale, 'help.text', {
+      adminCommand: isAdmin(msg.from.id) ? t(locale, 'help.adminCommand') : ''
+    });
+    
+    await messageSender.sendMessage(chatId, helpText, { parse_mode: 'Markdown' });
+  });
+
+  // /admin command with optional "user <id>" lookup
+  onCommand(/^\/admin(?:\s+user\s+(\d+))?/, async (msg, match, locale) => {
+    const chatId = msg.chat.id;
+    const userId = msg.from.id;
+    const targetId = match[1] ? parseInt(match[1]) : null;
+    
+    if (!await requireAdmin(chatId, userId, locale, targetId ? 'user_lookup' : 'panel')) {
+      return;
+    }
+    
+    if (targetId) {
+      await auditAdminAction(userId, 'user_lookup', { targetId });
+      await sendUserLookup(chatId, targetId, locale);
+      return;
+    }
+    
+    await auditAdminAction(userId, 'panel');
+    await sendAdminPanel(chatId, locale);
+  });
+
+  // /broadcast command (admin) - text, or a photo with the command in its caption
+  onCommand(/^\/broadcast(?:\s+([\s\S]+))?/, async (msg, match, locale) => {
+    const chatId = msg.chat.id;
+    const userId = msg.from.id;
+    
+    if (!await requireAdmin(chatId, userId, locale, 'broadcast')) {
+      return;
+    }
+    
+    const content = getBroadcastContent(msg, match[1] || '');
+    if (!content.text && !content.photo) {
+      await messageSender.sendMessage(chatId, t(locale, 'broadcast.usage'));
+      return;
+    }
+    
+    if (content.photo && content.text.length > CAPTION_LIMIT) {
+      await messageSender.sendMessage(chatId, t(locale, 'broadcast.captionTooLong', { limit: CAPTION_LIMIT }));
+      return;
+    }
+    
+    await auditAdminAction(userId, 'broadcast_preview', { photo: Boolean(content.photo), length: content.text.length });
+    await sendBroadcastPreview(chatId, userId, content, locale);
+  });
+
+  // /warmup command (admin) - pre-upload question images
+  onCommand(/^\/warmup/, async (msg, match, locale) => {
+    if (!await requireAdmin(msg.chat.id, msg.from.id, locale, 'warmup')) {
+      return;
+    }
+    
+    await auditAdminAction(msg.from.id, 'warmup');
+    await startImageWarmUp(msg.chat.id, msg.from.id, locale);
+  });
+
+  // /stats command (admin - for monitoring)
+  onCommand(/^\/stats/, async (msg, match, locale) => {
+    if (!await requireAdmin(msg.chat.id, msg.from.id, locale, 'stats')) {
+      return;
+    }
+    
+    await auditAdminAction(msg.from.id, 'stats');
+    await sendAdminPanel(msg.chat.id, locale);
+  });
+
+  // ==================== Message Handlers ====================
+
+  /**
+   * Handle an incoming message: commands, mode buttons and ticket selection
+   * @param {Object} msg - Telegram message
+   */
+  async function handleMessage(msg) {
+    const chatId = msg.chat.id;
+    const userId = msg.from.id;
+    const locale = await getUserLocale(userId, msg.from.language_code);
+    // Photo captions can carry commands too (/broadcast with a photo)
+    const text = msg.text || msg.caption || '';
+    
+    await finishOverdueExam(chatId, userId, locale);
+    
+    if (text.startsWith('/')) {
+      for (const { regexp, handler } of commandHandlers) {
+        const match = regexp.exec(text);
+        if (match) {
+          await handler(msg, match, locale);
+        }
+      }
+      return;
+    }
+    
+    // Mode buttons of a keyboard sent before a language change are recognized too
+    if (isMessage(text, MODE_BUTTONS.exam)) {
+      await startExam(chatId, userId, locale);
+      return;
+    }
+    
+    if (isMessage(text, MODE_BUTTONS.mistakes)) {
+      await startMistakes(chatId, userId, locale);
+      return;
+    }
+    
+    if (isMessage(text, MODE_BUTTONS.topics)) {
+      await sendTopicSelection(chatId, userId, locale);
+      return;
+    }
+    
+    if (isMessage(text, MODE_BUTTONS.review)) {
+      await startReview(chatId, userId, locale);
+      return;
+    }
+    
+    if (isMessage(text, MODE_BUTTONS.marathon)) {
+      await startMarathon(chatId, userId, locale);
+      return;
+    }
+    
+    if (isResumeText(text)) {
+      await resumeProgress(chatId, userId, locale);
+      return;
+    }
+    
+    // Check for ticket selection pattern (📋 1, 📋 2, etc.)
+    const ticketMatch = text.match(/📋\s*(\d+)/);
+    
+    if (ticketMatch) {
+      const ticketNumber = parseInt(ticketMatch[1]);
+      const bank = await getUserBank(userId);
+      
+      if (bank.getTicketQuestions(ticketNumber).length > 0) {
+        await startTicket(chatId, userId, locale, ticketNumber);
+      } else {
+        await messageSender.sendMessage(chatId, t(locale, 'menu.ticketOutOfRange', { count: bank.getTicketCount() }));
+      }
+    }
+  }
+
+  // ==================== Callback Query Handlers ====================
+
+  /**
+   * Handle an inline keyboard button press
+   * @param {Object} query - Telegram callback query
+   */
+  async function handleCallbackQuery(query) {
+    const chatId = query.message.chat.id;
+    const userId = query.from.id;
+    const data = query.data;
+    const locale = await getUserLocale(userId, query.from.language_code);
+    
+    try {
+      // Answers to an overdue exam finish it themselves, with the time-up popup
+      if (!data.startsWith('answer_')) {
+        await finishOverdueExam(chatId, userId, locale);
+      }
+      
+      // Handle answer callbacks
+      if (data.startsWith('answer_')) {
+        await processAnswer(chatId, userId, locale, parseAnswerCallback(data), query.id, query.message);
+      }
+      // Handle restart ticket
+      else if (data.startsWith('restart_')) {
+        const ticketNumber = parseInt(data.split('_')[1]);
+        await bot.answerCallbackQuery(query.id);
+        await startTicket(chatId, userId, locale, ticketNumber);
+      }
+      // Handle exam start
+      else if (data === 'start_exam') {
+        await bot.answerCallbackQuery(query.id);
+        await startExam(chatId, userId, locale);
+      }
+      // Handle topic selection
+      else if (data.startsWith('topic_')) {
+        await bot.answerCallbackQuery(query.id);
+        await startTopic(chatId, userId, locale, data.slice('topic_'.length));
+      }
+      // Handle interrupted ticket continuation
+      else if (data === 'resume') {
+        await bot.answerCallbackQuery(query.id);
+        await resumeProgress(chatId, userId, locale);
+      }
+      // Handle marathon start
+      else if (data === 'start_marathon') {
+        await bot.answerCallbackQuery(query.id);
+        await startMarathon(chatId, userId, locale);
+      }
+      // Handle marathon stop
+      else if (data.startsWith('marathon_stop_')) {
+        await stopMarathon(query, data.slice('marathon_stop_'.length), locale);
+      }
+      // Handle review continuation
+      else if (data === 'start_review') {
+        await bot.answerCallbackQuery(query.id);
+        await startReview(chatId, userId, locale);
+      }
+      // Handle admin panel buttons
+      else if (data.startsWith('admin_')) {
+        await handleAdminCallback(query, data.slice('admin_'.length), locale);
+      }
+      // Handle licence category selection
+      else if (data.startsWith('category_')) {
+        const category = data.slice('category_'.length);
+        const bank = getBank(category);
+        if (bank) {
+          await updateUserSettings(storageManager, userId, { category });
+          await bot.answerCallbackQuery(query.id, { text: t(locale, 'menu.categoryButton', { title: bank.getTitle() }) });
+          await sessionManager.delete(userId);
+          await sendTicketSelection(chatId, userId, locale);
+        } else {
+          await bot.answerCallbackQuery(query.id);
+        }
+      }
+      // Handle reminders toggle
+      else if (data === 'reminders_on' || data === 'reminders_off') {
+        const settings = await setReminders(userId, data === 'reminders_on');
+        await bot.answerCallbackQuery(query.id, {
+          text: t(locale, settings.reminders ? 'reminders.enabled' : 'reminders.disabled')
+        });
+        await messageSender.editMessageReplyMarkup(generateRemindersKeyboard(settings.reminders, locale), {
+          chat_id: chatId,
+          message_id: query.message.message_id
+        });
+      }
+      // Handle leaderboard participation toggle
+      else if (data === 'leaderboard_on' || data === 'leaderboard_off') {
+        const settings = await setLeaderboard(userId, data === 'leaderboard_on');
+        await bot.answerCallbackQuery(query.id, {
+          text: t(locale, settings.leaderboard ? 'leaderboard.joined' : 'leaderboard.left')
+        });
+        await messageSender.editMessageReplyMarkup(generateLeaderboardKeyboard(settings.leaderboard, locale), {
+          chat_id: chatId,
+          message_id: query.message.message_id
+        });
+      }
+      // Handle explanations setting
+      else if (data.startsWith('explanations_')) {
+        const mode = data.slice('explanations_'.length);
+        if (EXPLANATION_MODES.includes(mode)) {
+          const settings = await updateUserSettings(storageManager, userId, { explanations: mode });
+          await bot.answerCallbackQuery(query.id, {
+            text: t(locale, 'settings.explanations', { mode: t(locale, `settings.explanationModes.${mode}`) })
+          });
+          await messageSender.editMessageReplyMarkup(generateSettingsKeyboard(settings, EXPLANATION_MODES, SETTING_TOGGLES, locale), {
+            chat_id: chatId,
+            message_id: query.message.message_id
+          });
+        } else {
+          await bot.answerCallbackQuery(query.id);
+        }
+      }
+      // Handle on/off settings
+      else if (Object.hasOwn(SETTING_TOGGLES, data)) {
+        const { field, messages } = SETTING_TOGGLES[data];
+        const current = await getUserSettings(storageManager, userId);
+        const settings = await updateUserSettings(storageManager, userId, { [field]: !current[field] });
+        await bot.answerCallbackQuery(query.id, {
+          text: t(locale, settings[field] ? `${messages}.enabled` : `${messages}.disabled`)
+        });
+        await messageSender.editMessageReplyMarkup(generateSettingsKeyboard(settings, EXPLANATION_MODES, SETTING_TOGGLES, locale), {
+          chat_id: chatId,
+          message_id: query.message.message_id
+        });
+      }
+      // Handle interface language choice
+      else if (data.startsWith('language_')) {
+        const language = data.slice('language_'.length);
+        if (language === 'auto' || getLanguageOptions().some(({ code }) => code === language)) {
+          const settings = await updateUserSettings(storageManager, userId, { language: language === 'auto' ? null : language });
+          const newLocale = getSettingsLocale(settings, query.from.language_code);
+          await bot.answerCallbackQuery(query.id);
+          await messageSender.editMessageText(t(newLocale, 'language.changed', { language: describeLanguage(settings, newLocale) }), {
+            chat_id: chatId,
+            message_id: query.message.message_id,
+            reply_markup: generateLanguageKeyboard(getLanguageOptions(), settings.language, newLocale)
+          });
+        } else {
+          await bot.answerCallbackQuery(query.id);
+        }
+      }
+      // Handle mistakes replay
+      else if (data === 'start_mistakes') {
+        await bot.answerCallbackQuery(query.id);
+        await startMistakes(chatId, userId, locale);
+      }
+      // Handle choose another ticket
+      else if (data === 'choose_ticket') {
+        await bot.answerCallbackQuery(query.id);
+        await sessionManager.delete(userId);
+        await sendTicketSelection(chatId, userId, locale);
+      }
+    } catch (error) {
+      log.error('Error handling callback', { err: error });
+      await bot.answerCallbackQuery(query.id, {
+        text: t(locale, 'common.error'),
+        show_alert: true
+      });
+    }
+  }
+
+  // ==================== Update Dispatch ====================
+
+  /**
+   * Handle a Telegram update to completion
+   * Everything logged while handling carries the update's correlation id and user id.
+   * Errors are rethrown so queued updates end up in the failed job list
+   * @param {Object} update - { message } or { callback_query }, with the correlationId given on receipt
+   */
+  async function handleUpdate(update) {
+    const type = update.message ? 'message' : update.callback_query ? 'callback_query' : 'other';
+    const { from, chat } = update.message || update.callback_query || {};
+    const context = {
+      correlationId: update.correlationId || createCorrelationId(),
+      updateType: type,
+      userId: from ? from.id : chat && chat.id
+    };
+
+    await runWithContext(context, async () => {
+      const startedAt = Date.now();
+      const stopTimer = metrics.startTimer('pdd_update_duration_seconds', { type });
+
+      try {
+        if (update.message) {
+          await handleMessage(update.message);
+        } else if (update.callback_query) {
+          await handleCallbackQuery(update.callback_query);
+        }
+      } catch (error) {
+        metrics.increment('pdd_update_errors_total', { type });
+        log.error('Error handling update', { err: error });
+        throw error;
+      } finally {
+        stopTimer();
+        metrics.increment('pdd_updates_total', { type });
+        const durationMs = Date.now() - startedAt;
+        if (durationMs >= SLOW_UPDATE_MS) {
+          log.warn('Slow update', { durationMs });
+        } else {
+          log.debug('Update handled', { durationMs });
+        }
+      }
+    });
+  }
+
+  /**
+   * Route a received update: into the user's queue partition when queues are
+   * enabled, otherwise handle it in this process
+   * @param {Object} update - { message } or { callback_query }, with its correlationId
+   */
+  async function dispatchUpdate(update) {
+    if (!queueManager.isEnabled) {
+      await handleUpdate(update).catch(() => {});
+      return;
+    }
+    
+    const { from, chat } = update.message || update.callback_query;
+    const userId = from ? from.id : chat.id;
+    try {
+      // The correlation id travels in the job, so the worker's lines carry it too
+      await queueManager.addUpdateJob(userId, update);
+      log.debug('Update queued', { correlationId: update.correlationId, userId });
+    } catch (error) {
+      log.error('Error queueing update', { correlationId: update.correlationId, userId, err: error });
+    }
+  }
+  
+  // Ingress: received updates are dispatched (workers only consume queues)
+  if (role !== 'worker') {
+    bot.on('message', (msg) => dispatchUpdate({ message: msg, correlationId: createCorrelationId() }));
+    bot.on('callback_query', (query) => dispatchUpdate({ callback_query: query, correlationId: createCorrelationId() }));
+  }
+  
+  // ==================== Metrics ====================
+  
+  /**
+   * Gauges read on every scrape: sessions, update queues and pass rates
+   * @param {Map<string, number>} values - Counter totals
+   * @returns {Promise<Object[]>} Gauges
+   */
+  async function collectGauges(values) {
+    const sessionStats = await sessionManager.getStats();
+    const queueStats = await queueManager.getStats();
+    
+    const gauges = [{
+      name: 'pdd_active_sessions',
+      help: 'Active quiz sessions (of all instances when sessions are stored in Redis)',
+      samples: [{ labels: { store: sessionStats.store }, value: sessionStats.activeSessions }]
+    }];
+    
+    if (queueStats.enabled) {
+      gauges.push({
+        name: 'pdd_queue_jobs',
+        help: 'Jobs in the update queues, by partition and state',
+        samples: queueStats.updates.flatMap((counts, partition) =>
+          Object.entries(counts).map(([state, value]) => ({ labels: { partition, state }, value })))
+      });
+    }
+    
+    // Modes nothing was finished in yet have no pass rate
+    gauges.push({
+      name: 'pdd_pass_ratio',
+      help: 'Share of finished tickets and exams that were passed',
+      samples: PASS_RATE_MODES
+        .map(mode => ({
+          mode,
+          finished: sumSeries(values, 'pdd_tickets_completed_total', { mode }),
+          passed: sumSeries(values, 'pdd_tickets_completed_total', { mode, result: 'passed' })
+        }))
+        .filter(({ finished }) => finished > 0)
+        .map(({ mode, finished, passed }) => ({ labels: { mode }, value: passed / finished }))
+    });
+    
+    return gauges;
+  }
+  
+  metrics.addCollector(collectGauges);
+  
+  // ==================== Error Handling ====================
+  
+  bot.on('polling_error', (error) => {
+    metrics.increment('pdd_telegram_errors_total', { method: 'getUpdates', code: getTelegramErrorCode(error) || 'network' });
+    log.error('Polling error', { err: error });
+  });
+  
+  bot.on('error', (error) => {
+    log.error('Bot client error', { err: error });
+  });
+  
+  // ==================== Start and Stop ====================
+  
+  /**
+   * Register the webhook and check its delivery status
+   */
+  async function startWebhook() {
+    httpServer.setWebhookHandler(webhook.path, webhook.secret, (update) => bot.processUpdate(update));
+    
+    const options = {
+      secret_token: webhook.secret,
+      allowed_updates: JSON.stringify(['message', 'callback_query'])
+    };
+    // A self-signed certificate has to be uploaded to Telegram
+    if (webhook.certPath) {
+      options.certificate = webhook.certPath;
+    }
+    
+    await bot.setWebHook(`${webhook.url}${webhook.path}`, options);
+    
+    const info = await bot.getWebHookInfo();
+    log.info('Webhook set', { url: webhook.url, pendingUpdates: info.pending_update_count });
+    if (info.last_error_message) {
+      log.warn('Last webhook delivery error', { error: info.last_error_message });
+    }
+  }
+  
+  /**
+   * Start reminders, leaderboard announcements, queue consumers and receiving updates (polling or webhook)
+   */
+  async function start() {
+    reminderScheduler.start();
+    leaderboardScheduler.start();
+    backfillParticipants(storageManager).catch(error => {
+      log.error('Leaderboard backfill failed', { err: error });
+    });
+    examTimer = setInterval(() => {
+      finishOverdueExams().catch(error => {
+        log.error('Overdue exams check failed', { err: error });
+      });
+    }, EXAM_CHECK_MS);
+    
+    if (role === 'worker' && !queueManager.isEnabled) {
+      throw new Error('BOT_ROLE=worker requires Redis for the update queues');
+    }
+    
+    // Consume queued updates: a worker owns one partition, a single instance owns all
+    if (queueManager.isEnabled && role !== 'ingress') {
+      if (role === 'worker') {
+        if (workerIndex < queueManager.partitions) {
+          queueManager.processUpdates(workerIndex, handleUpdate);
+        } else {
+          log.warn('Worker has no partition, staying idle', { workerIndex, partitions: queueManager.partitions });
+        }
+      } else {
+        for (let partition = 0; partition < queueManager.partitions; partition++) {
+          queueManager.processUpdates(partition, handleUpdate);
+        }
+      }
+    }
+    
+    // Broadcast jobs are shared by every instance that handles updates
+    if (queueManager.isEnabled && role !== 'ingress') {
+      queueManager.processBroadcasts(deliverBroadcast);
+    }
+    
+    if (role === 'ingress' && !queueManager.isEnabled) {
+      log.warn('Queues unavailable, ingress handles updates itself');
+    }
+    
+    // Polling and webhook updates share the same dispatch pipeline
+    if (role !== 'worker') {
+      if (mode === 'webhook') {
+        await startWebhook();
+      } else {
+        await bot.startPolling();
+      }
+    }
+  }
+  
+  /**
+   * Stop receiving updates and the reminder and leaderboard schedulers
+   */
+  async function stop() {
+    if (role !== 'worker' && mode === 'webhook') {
+      try {
+        await bot.deleteWebHook();
+        log.info('Webhook removed');
+      } catch (error) {
+        log.error('Error removing webhook', { err: error });
+      }
+    } else {
+      await bot.stopPolling();
+    }
+    
+    reminderScheduler.stop();
+    leaderboardScheduler.stop();
+    clearInterval(examTimer);
+  }
+  
+  return {
+    handleUpdate,
+    dispatchUpdate,
+    reloadQuestionBanks,
+    messageSender,
+    metrics,
+    start,
+    stop
+  };
+}
+
+module.exports = {
+  createBot
+};
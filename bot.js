@@ -1,6 +1,8 @@
 /**
  * PDD Trainer Bot - Main Entry Point
  * Telegram bot for practicing Russian driving theory (ПДД) tickets
+ * Reads the configuration, loads question banks and connects storage, sessions and
+ * queues; the handlers live in app.js
  */
 
 require('dotenv').config();
@@ -8,397 +10,220 @@ require('dotenv').config();
 const TelegramBot = require('node-telegram-bot-api');
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 
 // Import utilities
 const SessionManager = require('./utils/sessionManager');
 const QueueManager = require('./queues/queueManager');
-const { generateProgressBar, generateProgressText, generateStatistics } = require('./utils/progressBar');
-const { generateTicketKeyboard, generateAnswerKeyboard, generateCompletionKeyboard, removeKeyboard } = require('./utils/keyboard');
+const StorageManager = require('./storage/storageManager');
+const HttpServer = require('./utils/httpServer');
+const { Metrics } = require('./utils/metrics');
+const { createLogger } = require('./utils/logger');
+const FileWatcher = require('./utils/fileWatcher');
+const QuestionBank = require('./utils/questionBank');
+const { DEFAULT_SETTINGS } = require('./utils/settings');
+const { createBot } = require('./app');
 
 // Configuration
 const BOT_TOKEN = process.env.TELEGRAM_BOT_TOKEN;
 const SESSION_TTL = parseInt(process.env.SESSION_TTL_MINUTES) || 30;
+// strict - refuse to start on any validation error, lenient - skip invalid entries
+const QUESTIONS_VALIDATION = process.env.QUESTIONS_VALIDATION || 'lenient';
+// all - poll and handle updates, ingress - poll and enqueue, worker - handle queued updates
+const BOT_ROLE = process.env.BOT_ROLE || 'all';
+const WORKER_COUNT = parseInt(process.env.WORKER_COUNT) || 1;
+// PM2 sets NODE_APP_INSTANCE to 0..N-1 for cluster instances
+const WORKER_INDEX = parseInt(process.env.NODE_APP_INSTANCE || process.env.WORKER_INDEX) || 0;
+// Broadcast messages per second, below Telegram's ~30 msg/s to leave room for regular replies
+const BROADCAST_RATE_LIMIT = parseInt(process.env.BROADCAST_RATE_LIMIT) || 25;
+// Outgoing messages per second from this process (Telegram allows ~30 per bot, 1 per chat)
+const MESSAGE_RATE_LIMIT = parseInt(process.env.MESSAGE_RATE_LIMIT) || 30;
+const DEFAULT_CATEGORY = DEFAULT_SETTINGS.category;
+// polling - getUpdates long polling, webhook - Telegram posts updates to the HTTP server
+const BOT_MODE = process.env.BOT_MODE || 'polling';
+const WEBHOOK_URL = (process.env.WEBHOOK_URL || '').replace(/\/+$/, '');
+const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET;
+const WEBHOOK_PATH = process.env.WEBHOOK_PATH ||
+  `/webhook/${crypto.createHash('sha256').update(BOT_TOKEN || '').digest('hex').slice(0, 32)}`;
+// HTTP server for the webhook and health probes (starts when set or in webhook mode)
+const HTTP_PORT = parseInt(process.env.HTTP_PORT) || (BOT_MODE === 'webhook' ? 8080 : null);
+// Reload question banks when their files change
+const QUESTIONS_HOT_RELOAD = process.env.QUESTIONS_HOT_RELOAD !== 'false';
+
+const log = createLogger('Bot');
+// Bearer token required on /metrics (open when empty)
+const METRICS_TOKEN = process.env.METRICS_TOKEN || null;
+
 
 // Validate token
 if (!BOT_TOKEN) {
-  console.error('Error: TELEGRAM_BOT_TOKEN is not set in environment variables');
-  console.error('Please copy .env.example to .env and set your bot token');
+  log.error('TELEGRAM_BOT_TOKEN is not set in environment variables. Please copy .env.example to .env and set your bot token');
   process.exit(1);
 }
 
-// Load questions data
-let questions = [];
-try {
-  const questionsPath = path.join(__dirname, 'pdd_questions.json');
-  const questionsData = fs.readFileSync(questionsPath, 'utf8');
-  questions = JSON.parse(questionsData);
-  console.log(`[Bot] Loaded ${questions.length} questions`);
-} catch (error) {
-  console.error('Error loading questions:', error.message);
+if (!['all', 'ingress', 'worker'].includes(BOT_ROLE)) {
+  log.error('Unknown BOT_ROLE (expected all, ingress or worker)', { role: BOT_ROLE });
   process.exit(1);
 }
 
-// Create indexes for fast question lookup
-const questionsByTicket = {};
-const questionById = {};
-
-questions.forEach(q => {
-  if (!questionsByTicket[q.ticketNumber]) {
-    questionsByTicket[q.ticketNumber] = [];
-  }
-  questionsByTicket[q.ticketNumber].push(q);
-  questionById[q.questionId] = q;
-});
-
-console.log(`[Bot] Indexed ${Object.keys(questionsByTicket).length} tickets`);
-
-// Initialize session manager
-const sessionManager = new SessionManager(SESSION_TTL);
-
-// Initialize queue manager
-const queueManager = new QueueManager();
-
-// Initialize Telegram bot
-const bot = new TelegramBot(BOT_TOKEN, { polling: true });
-
-console.log('[Bot] Starting PDD Trainer Bot...');
-
-// ==================== Helper Functions ====================
+if (!['polling', 'webhook'].includes(BOT_MODE)) {
+  log.error('Unknown BOT_MODE (expected polling or webhook)', { mode: BOT_MODE });
+  process.exit(1);
+}
 
-/**
- * Get questions for a specific ticket
- * @param {number} ticketNumber - Ticket number (1-40)
- * @returns {Array} Array of questions
- */
-function getTicketQuestions(ticketNumber) {
-  return questionsByTicket[ticketNumber] || [];
+if (BOT_MODE === 'webhook' && BOT_ROLE !== 'worker' && (!WEBHOOK_URL || !WEBHOOK_SECRET)) {
+  log.error('BOT_MODE=webhook requires WEBHOOK_URL and WEBHOOK_SECRET');
+  process.exit(1);
 }
 
 /**
- * Get current question for user session
- * @param {Object} session - User session
- * @returns {Object|null} Current question or null
+ * Get configured question bank files ("CATEGORY:file" pairs in QUESTION_BANKS,
+ * e.g. "AB:pdd_questions.json,CD:pdd_questions_cd.json")
+ * @returns {{category: string, file: string, bankPath: string}[]}
  */
-function getCurrentQuestion(session) {
-  const ticketQuestions = getTicketQuestions(session.currentTicket);
-  return ticketQuestions[session.currentQuestion - 1] || null;
+function getQuestionBankFiles() {
+  return (process.env.QUESTION_BANKS || 'AB:pdd_questions.json').split(',').map(entry => {
+    const [category, file] = entry.trim().split(':');
+    return { category, file, bankPath: path.resolve(__dirname, file) };
+  });
 }
 
 /**
- * Send question to user
- * @param {number} chatId - Telegram chat ID
- * @param {Object} question - Question object
- * @param {Object} session - User session
+ * Load all configured question banks
+ * @returns {Object} Map of category -> QuestionBank
+ * @throws {Error} If a bank cannot be parsed, is invalid in strict mode or the default bank is missing
  */
-async function sendQuestion(chatId, question, session) {
-  const ticketQuestions = getTicketQuestions(session.currentTicket);
-  const totalQuestions = ticketQuestions.length;
-  
-  // Generate progress bar
-  const progressBar = generateProgressBar(session.currentQuestion, totalQuestions);
-  const progressText = generateProgressText(session.currentQuestion, totalQuestions);
-  
-  // Prepare message text
-  const messageText = `${progressText}\n${progressBar}\n\n${question.text}`;
+function loadQuestionBanks() {
+  const banks = {};
   
-  // Prepare answer keyboard
-  const keyboard = generateAnswerKeyboard(question.options, question.questionId);
-  
-  // Check if image exists
-  const imagePath = path.join(__dirname, question.imageUrl);
-  
-  try {
-    if (fs.existsSync(imagePath)) {
-      // Send photo with caption
-      await bot.sendPhoto(chatId, imagePath, {
-        caption: messageText,
-        reply_markup: keyboard
-      });
-    } else {
-      // Send text message only
-      await bot.sendMessage(chatId, messageText, {
-        reply_markup: keyboard
+  getQuestionBankFiles().forEach(({ category, file, bankPath }) => {
+    if (!fs.existsSync(bankPath)) {
+      log.warn('Question bank not found', { category, file });
+      return;
+    }
+    
+    try {
+      const bank = QuestionBank.load(category.toUpperCase(), bankPath, {
+        baseDir: __dirname,
+        strict: QUESTIONS_VALIDATION === 'strict'
       });
+      banks[bank.category] = bank;
+      log.info('Question bank loaded', { category: bank.category, questions: bank.questions.length, tickets: bank.ticketNumbers.length });
+    } catch (error) {
+      throw new Error(`question bank ${category}: ${error.message}`);
     }
-  } catch (error) {
-    console.error(`[Bot] Error sending question: ${error.message}`);
-    // Fallback to text message
-    await bot.sendMessage(chatId, messageText, {
-      reply_markup: keyboard
-    });
-  }
-}
-
-/**
- * Send ticket selection menu
- * @param {number} chatId - Telegram chat ID
- */
-async function sendTicketSelection(chatId) {
-  const welcomeText = '🚗 Добро пожаловать в ПДД Тренер!\n\n' +
-    'Выберите номер билета для начала тренировки:';
-  
-  await bot.sendMessage(chatId, welcomeText, {
-    reply_markup: generateTicketKeyboard()
   });
-}
-
-/**
- * Start a new ticket
- * @param {number} chatId - Telegram chat ID
- * @param {number} userId - Telegram user ID
- * @param {number} ticketNumber - Ticket number to start
- */
-async function startTicket(chatId, userId, ticketNumber) {
-  const ticketQuestions = getTicketQuestions(ticketNumber);
   
-  if (ticketQuestions.length === 0) {
-    await bot.sendMessage(chatId, `❌ Билет ${ticketNumber} не найден. Пожалуйста, выберите другой билет.`);
-    await sendTicketSelection(chatId);
-    return;
+  if (!banks[DEFAULT_CATEGORY]) {
+    throw new Error(`question bank for default category ${DEFAULT_CATEGORY} is not loaded`);
   }
   
-  // Create new session
-  const session = sessionManager.set(userId, {
-    currentTicket: ticketNumber,
-    currentQuestion: 1,
-    correctAnswers: 0,
-    incorrectAnswers: 0,
-    startTime: new Date().toISOString()
-  });
-  
-  // Remove reply keyboard and send confirmation
-  await bot.sendMessage(chatId, `📋 Билет ${ticketNumber}\nВсего вопросов: ${ticketQuestions.length}\n\nНачинаем!`, {
-    reply_markup: removeKeyboard()
-  });
-  
-  // Send first question
-  const firstQuestion = ticketQuestions[0];
-  await sendQuestion(chatId, firstQuestion, session);
+  return banks;
 }
 
-/**
- * Process user's answer
- * @param {number} chatId - Telegram chat ID
- * @param {number} userId - Telegram user ID
- * @param {string} questionId - Question ID
- * @param {number} answerIndex - Selected answer index
- * @param {string} callbackQueryId - Callback query ID for popup
- */
-async function processAnswer(chatId, userId, questionId, answerIndex, callbackQueryId) {
-  const session = sessionManager.get(userId);
-  
-  if (!session) {
-    await bot.answerCallbackQuery(callbackQueryId, {
-      text: '⚠️ Сессия истекла. Начните заново с /start',
-      show_alert: true
-    });
-    return;
-  }
-  
-  const question = questionById[questionId];
-  
-  if (!question) {
-    await bot.answerCallbackQuery(callbackQueryId, {
-      text: '❌ Вопрос не найден',
-      show_alert: true
-    });
-    return;
-  }
-  
-  // Check if answer is correct
-  const isCorrect = answerIndex === question.correctAnswerIndex;
-  
-  // Update session
-  if (isCorrect) {
-    session.correctAnswers++;
-    await bot.answerCallbackQuery(callbackQueryId, {
-      text: '✅ Правильно!',
-      show_alert: false
-    });
-  } else {
-    session.incorrectAnswers++;
-    const correctAnswer = question.options[question.correctAnswerIndex];
-    await bot.answerCallbackQuery(callbackQueryId, {
-      text: `❌ Неправильно!\n\nПравильный ответ:\n${correctAnswer}`,
-      show_alert: true
-    });
-  }
-  
-  // Move to next question
-  session.currentQuestion++;
-  sessionManager.update(userId, session);
-  
-  // Check if ticket is completed
-  const ticketQuestions = getTicketQuestions(session.currentTicket);
-  
-  if (session.currentQuestion > ticketQuestions.length) {
-    // Ticket completed - show statistics
-    const stats = generateStatistics(
-      session.correctAnswers,
-      session.incorrectAnswers,
-      session.currentTicket
-    );
-    
-    await bot.sendMessage(chatId, stats, {
-      reply_markup: generateCompletionKeyboard(session.currentTicket)
-    });
-    
-    // Clear session
-    sessionManager.delete(userId);
-  } else {
-    // Send next question
-    const nextQuestion = getCurrentQuestion(session);
-    if (nextQuestion) {
-      await sendQuestion(chatId, nextQuestion, session);
-    }
-  }
+let questionBanks;
+try {
+  questionBanks = loadQuestionBanks();
+} catch (error) {
+  log.error('Error loading questions. Check QUESTION_BANKS and DEFAULT_CATEGORY in .env, run `npm run questions:check` for the full report', { err: error });
+  process.exit(1);
 }
 
-// ==================== Command Handlers ====================
-
-// /start command
-bot.onText(/\/start/, async (msg) => {
-  const chatId = msg.chat.id;
-  const userId = msg.from.id;
-  
-  // Clear any existing session
-  sessionManager.delete(userId);
-  
-  await sendTicketSelection(chatId);
-});
+// Initialize session manager
+const sessionManager = new SessionManager(SESSION_TTL);
 
-// /help command
-bot.onText(/\/help/, async (msg) => {
-  const chatId = msg.chat.id;
-  
-  const helpText = '📖 *Справка по ПДД Тренер*\n\n' +
-    '*Команды:*\n' +
-    '/start - Начать тренировку\n' +
-    '/help - Показать справку\n' +
-    '/stats - Статистика сессий (админ)\n\n' +
-    '*Как пользоваться:*\n' +
-    '1. Выберите номер билета (1-40)\n' +
-    '2. Отвечайте на вопросы, нажимая кнопки\n' +
-    '3. После каждого ответа вы увидите результат\n' +
-    '4. В конце билета отобразится статистика\n\n' +
-    '*Удачи на экзамене!* 🍀';
-  
-  await bot.sendMessage(chatId, helpText, { parse_mode: 'Markdown' });
+// Initialize queue manager (one partition per worker)
+const queueManager = new QueueManager({}, WORKER_COUNT, BROADCAST_RATE_LIMIT);
+
+// Initialize persistent storage (file by default, Redis optional)
+const storageManager = new StorageManager();
+
+// Initialize metrics (cluster totals through Redis, per-process without it)
+const metrics = new Metrics();
+
+// Initialize Telegram bot (polling or webhook starts in app.start() on ingress instances)
+const bot = new TelegramBot(BOT_TOKEN, { polling: false });
+
+// Initialize HTTP server for the webhook, /healthz, /readyz probes and /metrics
+const httpServer = HTTP_PORT ? new HttpServer({
+  port: HTTP_PORT,
+  host: process.env.HTTP_HOST,
+  certPath: process.env.WEBHOOK_CERT,
+  keyPath: process.env.WEBHOOK_KEY
+}) : null;
+
+// Handlers and quiz flows
+const app = createBot({
+  bot,
+  questionBanks,
+  storageManager,
+  sessionManager,
+  queueManager,
+  loadQuestionBanks,
+  httpServer,
+  metrics,
+  role: BOT_ROLE,
+  mode: BOT_MODE,
+  webhook: {
+    url: WEBHOOK_URL,
+    secret: WEBHOOK_SECRET,
+    path: WEBHOOK_PATH,
+    certPath: process.env.WEBHOOK_CERT
+  },
+  workerIndex: WORKER_INDEX,
+  senderOptions: { globalRate: MESSAGE_RATE_LIMIT }
 });
 
-// /stats command (admin - for monitoring)
-bot.onText(/\/stats/, async (msg) => {
-  const chatId = msg.chat.id;
-  
-  const sessionStats = sessionManager.getStats();
-  const queueStats = await queueManager.getStats();
-  
-  let statsText = '📊 *Статистика бота*\n\n';
-  statsText += `👥 Активные сессии: ${sessionStats.activeSessions}\n`;
-  statsText += `⏱ TTL сессии: ${sessionStats.ttlMinutes} мин\n`;
-  statsText += `📚 Всего вопросов: ${questions.length}\n`;
-  statsText += `📋 Всего билетов: ${Object.keys(questionsByTicket).length}\n\n`;
-  
-  if (queueStats.enabled) {
-    statsText += '*Очереди (Redis):*\n';
-    statsText += `📨 Сообщения: ${JSON.stringify(queueStats.messages)}\n`;
-    statsText += `🔔 Callbacks: ${JSON.stringify(queueStats.callbacks)}\n`;
-  } else {
-    statsText += '⚙️ Режим: прямая обработка (без Redis)\n';
-  }
-  
-  await bot.sendMessage(chatId, statsText, { parse_mode: 'Markdown' });
-});
-
-// ==================== Message Handlers ====================
+if (httpServer) {
+  httpServer.setMetricsHandler(() => metrics.render(), METRICS_TOKEN);
+}
 
-// Handle ticket selection from reply keyboard
-bot.on('message', async (msg) => {
-  // Skip commands
-  if (msg.text && msg.text.startsWith('/')) {
-    return;
-  }
-  
-  const chatId = msg.chat.id;
-  const userId = msg.from.id;
-  const text = msg.text || '';
-  
-  // Check for ticket selection pattern (📋 1, 📋 2, etc.)
-  const ticketMatch = text.match(/📋\s*(\d+)/);
-  
-  if (ticketMatch) {
-    const ticketNumber = parseInt(ticketMatch[1]);
-    
-    if (ticketNumber >= 1 && ticketNumber <= 40) {
-      await startTicket(chatId, userId, ticketNumber);
-    } else {
-      await bot.sendMessage(chatId, '❌ Пожалуйста, выберите билет от 1 до 40');
+// Reload question banks on every instance when their files change
+const questionsWatcher = QUESTIONS_HOT_RELOAD ? new FileWatcher(
+  getQuestionBankFiles().map(({ bankPath }) => bankPath),
+  () => {
+    try {
+      app.reloadQuestionBanks();
+    } catch (error) {
+      log.error('Question banks not reloaded, keeping current ones', { err: error });
     }
   }
-});
+) : null;
 
-// ==================== Callback Query Handlers ====================
-
-bot.on('callback_query', async (query) => {
-  const chatId = query.message.chat.id;
-  const userId = query.from.id;
-  const data = query.data;
-  
-  try {
-    // Handle answer callbacks
-    if (data.startsWith('answer_')) {
-      const parts = data.split('_');
-      const questionId = `${parts[1]}_${parts[2]}`;
-      const answerIndex = parseInt(parts[3]);
-      
-      await processAnswer(chatId, userId, questionId, answerIndex, query.id);
-    }
-    // Handle restart ticket
-    else if (data.startsWith('restart_')) {
-      const ticketNumber = parseInt(data.split('_')[1]);
-      await bot.answerCallbackQuery(query.id);
-      await startTicket(chatId, userId, ticketNumber);
-    }
-    // Handle choose another ticket
-    else if (data === 'choose_ticket') {
-      await bot.answerCallbackQuery(query.id);
-      sessionManager.delete(userId);
-      await sendTicketSelection(chatId);
-    }
-  } catch (error) {
-    console.error(`[Bot] Error handling callback: ${error.message}`);
-    await bot.answerCallbackQuery(query.id, {
-      text: '❌ Произошла ошибка. Попробуйте ещё раз.',
-      show_alert: true
-    });
-  }
-});
-
-// ==================== Error Handling ====================
-
-bot.on('polling_error', (error) => {
-  console.error('[Bot] Polling error:', error.message);
-});
-
-bot.on('error', (error) => {
-  console.error('[Bot] Error:', error.message);
-});
+log.info('Starting PDD Trainer Bot');
 
 // ==================== Graceful Shutdown ====================
 
 async function shutdown(signal) {
-  console.log(`\n[Bot] Received ${signal}. Shutting down gracefully...`);
+  log.info('Shutting down gracefully', { signal });
+  
+  if (httpServer) {
+    httpServer.setReady(false);
+  }
   
-  // Stop polling
-  await bot.stopPolling();
+  // Stop receiving updates and the reminder scheduler
+  await app.stop();
   
-  // Clean up session manager
-  sessionManager.destroy();
+  if (httpServer) {
+    await httpServer.stop();
+  }
+  
+  // Stop file watcher, close session store
+  if (questionsWatcher) {
+    questionsWatcher.stop();
+  }
+  await sessionManager.shutdown();
   
   // Close queue connections
   await queueManager.shutdown();
   
-  console.log('[Bot] Shutdown complete');
+  // Close storage connections
+  await storageManager.shutdown();
+  
+  // Add the last counts to the cluster totals
+  await metrics.shutdown();
+  
+  log.info('Shutdown complete');
   process.exit(0);
 }
 
@@ -408,34 +233,44 @@ process.on('SIGTERM', () => shutdown('SIGTERM'));
 // ==================== Initialization ====================
 
 async function init() {
+  // Health probes are served while the rest starts up (/readyz reports 503)
+  if (httpServer) {
+    await httpServer.start();
+  }
+  
+  // Initialize persistent storage (falls back to files without Redis)
+  await storageManager.initialize();
+  
+  if (questionsWatcher) {
+    questionsWatcher.start();
+  }
+  
+  // Share sessions between instances through Redis (falls back to memory)
+  await sessionManager.initialize();
+  
   // Try to initialize queue manager (optional - works without Redis)
   await queueManager.initialize();
   
-  // If queue is enabled, set up processors
-  if (queueManager.isEnabled) {
-    queueManager.processMessages(async (data) => {
-      // Queue-based message processing would go here
-      console.log('[Queue] Processing message:', data);
-    });
-    
-    queueManager.processCallbacks(async (data) => {
-      // Queue-based callback processing would go here
-      console.log('[Queue] Processing callback:', data);
-    });
+  // Aggregate metrics of all instances in Redis (falls back to this process)
+  await metrics.initialize();
+  
+  // Reminders, queue consumers, polling or webhook
+  await app.start();
+  
+  if (httpServer) {
+    httpServer.setReady(true);
   }
   
-  console.log('[Bot] PDD Trainer Bot is running!');
-  console.log(`[Bot] Session TTL: ${SESSION_TTL} minutes`);
-  console.log('[Bot] Press Ctrl+C to stop');
+  // Signal that bot is ready (for PM2)
+  if (process.send) {
+    process.send('ready');
+  }
+  
+  log.info('PDD Trainer Bot is running', { role: BOT_ROLE, mode: BOT_MODE, sessionTtlMinutes: SESSION_TTL });
 }
 
 // Start the bot
 init().catch(error => {
-  console.error('[Bot] Initialization error:', error);
+  log.error('Initialization error', { err: error });
   process.exit(1);
 });
-
-// Signal that bot is ready (for PM2)
-if (process.send) {
-  process.send('ready');
-}
@@ -1,29 +1,62 @@
 // PM2 Ecosystem Configuration for horizontal scaling
+// One ingress process polls Telegram and pushes updates into Bull queues (Redis),
+// WORKER_COUNT worker instances each consume one queue partition
+const WORKER_COUNT = 4; // Number of workers (adjust based on CPU cores)
+// Workers share one port for /healthz and /readyz; the ingress uses HTTP_PORT from .env
+const WORKER_HTTP_PORT = 8081;
+
+const shared = {
+  max_memory_restart: '200M',
+  // Restart on file changes (development only)
+  watch: false,
+  // Logging
+  log_date_format: 'YYYY-MM-DD HH:mm:ss',
+  error_file: 'logs/err.log',
+  out_file: 'logs/out.log',
+  merge_logs: true,
+  // Graceful shutdown
+  kill_timeout: 5000,
+  wait_ready: true,
+  listen_timeout: 10000
+};
+
 module.exports = {
   apps: [
     {
+      ...shared,
+      name: 'pdd-trainer-ingress',
+      script: 'bot.js',
+      instances: 1, // Telegram allows a single polling consumer per token
+      exec_mode: 'fork',
+      env: {
+        NODE_ENV: 'production',
+        BOT_ROLE: 'ingress',
+        WORKER_COUNT
+      },
+      env_development: {
+        NODE_ENV: 'development',
+        BOT_ROLE: 'ingress',
+        WORKER_COUNT
+      }
+    },
+    {
+      ...shared,
       name: 'pdd-trainer-bot',
       script: 'bot.js',
-      instances: 4, // Number of instances (adjust based on CPU cores)
+      instances: WORKER_COUNT,
       exec_mode: 'cluster',
-      max_memory_restart: '200M',
       env: {
-        NODE_ENV: 'production'
+        NODE_ENV: 'production',
+        BOT_ROLE: 'worker',
+        WORKER_COUNT,
+        HTTP_PORT: WORKER_HTTP_PORT
       },
       env_development: {
-        NODE_ENV: 'development'
-      },
-      // Restart on file changes (development only)
-      watch: false,
-      // Logging
-      log_date_format: 'YYYY-MM-DD HH:mm:ss',
-      error_file: 'logs/err.log',
-      out_file: 'logs/out.log',
-      merge_logs: true,
-      // Graceful shutdown
-      kill_timeout: 5000,
-      wait_ready: true,
-      listen_timeout: 10000
+        NODE_ENV: 'development',
+        BOT_ROLE: 'worker',
+        WORKER_COUNT,
+        HTTP_PORT: WORKER_HTTP_PORT
+      }
     }
   ]
 };
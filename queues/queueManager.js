@@ -1,24 +1,34 @@
 /**
  * Bull Queue Manager for horizontal scaling
- * Handles task distribution across multiple workers
+ * Distributes Telegram updates across workers: one queue per partition,
+ * users are assigned to partitions by ID and each partition has one consumer.
+ * Broadcast messages go through a separate rate-limited queue shared by all workers
  */
 
 const Queue = require('bull');
+const { getRetryAfter } = require('../utils/telegramErrors');
+const { createLogger } = require('../utils/logger');
+
+const log = createLogger('QueueManager');
 
 class QueueManager {
-  constructor(redisConfig = {}) {
+  constructor(redisConfig = {}, partitions = parseInt(process.env.WORKER_COUNT) || 1,
+    broadcastRate = parseInt(process.env.BROADCAST_RATE_LIMIT) || 25) {
     this.redisConfig = {
       host: redisConfig.host || process.env.REDIS_HOST || 'localhost',
       port: redisConfig.port || process.env.REDIS_PORT || 6379,
       password: redisConfig.password || process.env.REDIS_PASSWORD || undefined
     };
     
+    this.partitions = partitions;
+    this.broadcastRate = broadcastRate;
     this.queues = {};
+    this.broadcastQueue = null;
     this.isEnabled = false;
   }
 
   /**
-   * Initialize queues
+   * Initialize queues (checks Redis; partition queues are created on first use)
    * @returns {Promise<boolean>} Whether initialization was successful
    */
   async initialize() {
@@ -28,115 +38,152 @@ class QueueManager {
       const testClient = new Redis(this.redisConfig);
       
       await new Promise((resolve, reject) => {
+        // Timeout after 5 seconds
+        const timeout = setTimeout(() => {
+          testClient.disconnect();
+          reject(new Error('Redis connection timeout'));
+        }, 5000);
+        
         testClient.on('ready', () => {
-          testClient.quit();
+          clearTimeout(timeout);
+          testClient.quit().catch(() => {});
           resolve();
         });
         testClient.on('error', (err) => {
-          testClient.quit();
+          clearTimeout(timeout);
+          testClient.disconnect();
           reject(err);
         });
-        
-        // Timeout after 5 seconds
-        setTimeout(() => {
-          testClient.quit();
-          reject(new Error('Redis connection timeout'));
-        }, 5000);
       });
 
-      // Create queues
-      this.queues.messages = new Queue('pdd-messages', {
-        redis: this.redisConfig,
-        defaultJobOptions: {
-          removeOnComplete: true,
-          removeOnFail: 100,
-          attempts: 3,
-          backoff: {
-            type: 'exponential',
-            delay: 1000
-          }
-        }
-      });
+      this.isEnabled = true;
+      log.info('Connected to Redis', { partitions: this.partitions });
+      return true;
+    } catch (error) {
+      log.info('Redis not available, using direct processing', { reason: error.message });
+      this.isEnabled = false;
+      return false;
+    }
+  }
+
+  /**
+   * Get partition of a user
+   * All updates of one user go to the same partition
+   * @param {number} userId - Telegram user ID
+   * @returns {number} Partition index
+   */
+  getPartition(userId) {
+    return Math.abs(Number(userId) || 0) % this.partitions;
+  }
 
-      this.queues.callbacks = new Queue('pdd-callbacks', {
+  /**
+   * Get (and lazily create) the update queue of a partition
+   * @param {number} partition - Partition index
+   * @returns {Object} Bull queue
+   */
+  getQueue(partition) {
+    if (!this.queues[partition]) {
+      this.queues[partition] = new Queue(`pdd-updates-${partition}`, {
         redis: this.redisConfig,
         defaultJobOptions: {
           removeOnComplete: true,
           removeOnFail: 100,
-          attempts: 3,
-          backoff: {
-            type: 'exponential',
-            delay: 1000
-          }
+          // No retries: a retried job would run after newer updates of the same user
+          attempts: 1
         }
       });
-
-      this.isEnabled = true;
-      console.log('[QueueManager] Successfully connected to Redis');
-      return true;
-    } catch (error) {
-      console.log('[QueueManager] Redis not available, using direct processing:', error.message);
-      this.isEnabled = false;
-      return false;
     }
+    return this.queues[partition];
   }
 
   /**
-   * Add a message processing job to the queue
-   * @param {Object} messageData - Telegram message data
+   * Add a Telegram update to the queue of the user's partition
+   * @param {number} userId - Telegram user ID
+   * @param {Object} update - Telegram update ({ message } or { callback_query })
    * @returns {Promise<Object|null>} Job object or null if queues disabled
    */
-  async addMessageJob(messageData) {
+  async addUpdateJob(userId, update) {
     if (!this.isEnabled) {
       return null;
     }
 
-    return await this.queues.messages.add('process-message', messageData, {
-      priority: 1
-    });
+    return await this.getQueue(this.getPartition(userId)).add('process-update', update);
   }
 
   /**
-   * Add a callback processing job to the queue
-   * @param {Object} callbackData - Telegram callback data
-   * @returns {Promise<Object|null>} Job object or null if queues disabled
+   * Register update processor for a partition
+   * Jobs are processed one at a time, so each user's updates run in order
+   * @param {number} partition - Partition index
+   * @param {Function} processor - Async function to process updates
    */
-  async addCallbackJob(callbackData) {
+  processUpdates(partition, processor) {
     if (!this.isEnabled) {
-      return null;
+      return;
     }
 
-    return await this.queues.callbacks.add('process-callback', callbackData, {
-      priority: 1
+    this.getQueue(partition).process('process-update', 1, async (job) => {
+      return await processor(job.data);
     });
+    log.info('Processing partition', { partition });
   }
 
   /**
-   * Register message processor
-   * @param {Function} processor - Async function to process messages
+   * Get (and lazily create) the broadcast queue
+   * The limiter is stored in Redis, so the rate holds across all workers
+   * @returns {Object} Bull queue
    */
-  processMessages(processor) {
+  getBroadcastQueue() {
+    if (!this.broadcastQueue) {
+      this.broadcastQueue = new Queue('pdd-broadcast', {
+        redis: this.redisConfig,
+        limiter: { max: this.broadcastRate, duration: 1000 },
+        settings: {
+          backoffStrategies: {
+            // Wait as long as Telegram asks in a 429 response
+            retryAfter: (attemptsMade, err) => (getRetryAfter(err) || 1) * 1000
+          }
+        },
+        defaultJobOptions: {
+          removeOnComplete: true,
+          removeOnFail: 100
+        }
+      });
+    }
+    return this.broadcastQueue;
+  }
+
+  /**
+   * Add one job per broadcast recipient
+   * @param {Object[]} jobs - Job data
+   * @param {number} attempts - Delivery attempts per recipient
+   * @returns {Promise<boolean>} False if queues are disabled
+   */
+  async addBroadcastJobs(jobs, attempts) {
     if (!this.isEnabled) {
-      return;
+      return false;
     }
 
-    this.queues.messages.process('process-message', async (job) => {
-      return await processor(job.data);
-    });
+    await this.getBroadcastQueue().addBulk(jobs.map(data => ({
+      name: 'broadcast',
+      data,
+      opts: { attempts, backoff: { type: 'retryAfter' } }
+    })));
+    return true;
   }
 
   /**
-   * Register callback processor
-   * @param {Function} processor - Async function to process callbacks
+   * Register broadcast processor
+   * @param {Function} processor - Async (data, attemptsMade) => void
    */
-  processCallbacks(processor) {
+  processBroadcasts(processor) {
     if (!this.isEnabled) {
       return;
     }
 
-    this.queues.callbacks.process('process-callback', async (job) => {
-      return await processor(job.data);
+    this.getBroadcastQueue().process('broadcast', 1, async (job) => {
+      return await processor(job.data, job.attemptsMade);
     });
+    log.info('Processing broadcasts');
   }
 
   /**
@@ -148,18 +195,66 @@ class QueueManager {
       return { enabled: false };
     }
 
-    const [messageStats, callbackStats] = await Promise.all([
-      this.queues.messages.getJobCounts(),
-      this.queues.callbacks.getJobCounts()
-    ]);
+    const partitions = Array.from({ length: this.partitions }, (_, partition) => partition);
+    const updateStats = await Promise.all(partitions.map(partition => this.getQueue(partition).getJobCounts()));
 
     return {
       enabled: true,
-      messages: messageStats,
-      callbacks: callbackStats
+      partitions: this.partitions,
+      updates: updateStats
     };
   }
 
+  /**
+   * Get the most recent failed jobs across all partitions
+   * @param {number} limit - Max jobs to return
+   * @returns {Promise<Object[]>} { partition, id, failedReason, failedAt, userId }, newest first
+   */
+  async getFailedJobs(limit = 10) {
+    if (!this.isEnabled) {
+      return [];
+    }
+
+    const partitions = Array.from({ length: this.partitions }, (_, partition) => partition);
+    const failed = await Promise.all(partitions.map(async partition => {
+      const jobs = await this.getQueue(partition).getFailed(0, limit - 1);
+      return jobs.map(job => {
+        const { from, chat } = job.data.message || job.data.callback_query || {};
+        return {
+          partition,
+          id: job.id,
+          failedReason: job.failedReason,
+          failedAt: job.finishedOn,
+          userId: from ? from.id : chat && chat.id
+        };
+      });
+    }));
+
+    return failed.flat()
+      .sort((a, b) => b.failedAt - a.failedAt)
+      .slice(0, limit);
+  }
+
+  /**
+   * Retry a failed job
+   * @param {number} partition - Partition index
+   * @param {string} jobId - Job ID
+   * @returns {Promise<boolean>} True if the job was found and re-queued
+   */
+  async retryJob(partition, jobId) {
+    if (!this.isEnabled || partition >= this.partitions) {
+      return false;
+    }
+
+    const job = await this.getQueue(partition).getJob(jobId);
+    if (!job || !(await job.isFailed())) {
+      return false;
+    }
+
+    await job.retry();
+    return true;
+  }
+
   /**
    * Gracefully shutdown queues
    * @returns {Promise<void>}
@@ -169,12 +264,10 @@ class QueueManager {
       return;
     }
 
-    await Promise.all([
-      this.queues.messages?.close(),
-      this.queues.callbacks?.close()
-    ]);
+    const queues = Object.values(this.queues).concat(this.broadcastQueue || []);
+    await Promise.all(queues.map(queue => queue.close()));
 
-    console.log('[QueueManager] Queues closed');
+    log.info('Queues closed');
   }
 }
 
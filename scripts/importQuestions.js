@@ -0,0 +1,270 @@
+/**
+ * Question bank import CLI
+ * Imports ПДД tickets from CSV and JSON sources, validates the result
+ * and writes the question bank used by the bot
+ *
+ * Usage:
+ *   node scripts/importQuestions.js [options] <source.csv|source.json>...
+ *
+ * Options:
+ *   --category <AB|CD>  Import only entries of this category
+ *   --out <file>        Output file (default: pdd_questions.json)
+ *   --images-dir <dir>  Directory image paths are relative to (default: project root)
+ *   --require-images    Treat missing image files as errors
+ *   --skip-invalid      Write valid entries even if some entries fail validation
+ *   --check             Validate only, do not write output
+ *
+ * CSV columns (header row required, "," or ";" delimited):
+ *   category, ticket, question, text, option1..option5, correct (1-based),
+ *   image, topic, pdd_section, explanation, rule_refs ("|"-separated)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { validateQuestions, formatValidationReport } = require('../utils/questionValidator');
+
+const ROOT_DIR = path.join(__dirname, '..');
+
+/**
+ * Parse command line arguments
+ * @param {string[]} argv - Arguments without node and script path
+ * @returns {Object} Parsed options
+ */
+function parseArgs(argv) {
+  const options = {
+    category: null,
+    out: path.join(ROOT_DIR, 'pdd_questions.json'),
+    imagesDir: ROOT_DIR,
+    requireImages: false,
+    skipInvalid: false,
+    check: false,
+    sources: []
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    switch (arg) {
+      case '--category':
+        options.category = argv[++i].toUpperCase();
+        break;
+      case '--out':
+        options.out = path.resolve(argv[++i]);
+        break;
+      case '--images-dir':
+        options.imagesDir = path.resolve(argv[++i]);
+        break;
+      case '--require-images':
+        options.requireImages = true;
+        break;
+      case '--skip-invalid':
+        options.skipInvalid = true;
+        break;
+      case '--check':
+        options.check = true;
+        break;
+      default:
+        if (arg.startsWith('--')) {
+          throw new Error(`Неизвестный параметр: ${arg}`);
+        }
+        options.sources.push(path.resolve(arg));
+    }
+  }
+
+  if (options.sources.length === 0) {
+    throw new Error('Не указаны файлы-источники (CSV или JSON)');
+  }
+
+  return options;
+}
+
+/**
+ * Parse CSV text into rows (RFC 4180 quoting)
+ * @param {string} content - CSV file content
+ * @returns {string[][]} Rows of cells
+ */
+function parseCsv(content) {
+  const text = content.replace(/^\uFEFF/, '');
+  const firstLine = text.split('\n', 1)[0];
+  const delimiter = firstLine.split(';').length > firstLine.split(',').length ? ';' : ',';
+
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error('незакрытая кавычка в CSV');
+  }
+
+  if (cell || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows.filter(r => r.some(c => c.trim()));
+}
+
+/**
+ * Convert a CSV record to a question
+ * @param {Object} record - Map of column name -> cell value
+ * @returns {Object} Question with an optional category field
+ */
+function csvRecordToQuestion(record) {
+  const ticketNumber = Number(record.ticket);
+  const questionNumber = Number(record.question);
+  const options = [1, 2, 3, 4, 5]
+    .map(n => (record[`option${n}`] || '').trim())
+    .filter(Boolean);
+
+  const question = {
+    category: (record.category || '').trim().toUpperCase() || null,
+    questionId: `${ticketNumber}_${questionNumber}`,
+    ticketNumber,
+    questionNumber,
+    text: (record.text || '').trim(),
+    options,
+    correctAnswerIndex: Number(record.correct) - 1
+  };
+
+  if (record.image && record.image.trim()) {
+    question.imageUrl = record.image.trim();
+  }
+  if (record.topic && record.topic.trim()) {
+    question.topic = record.topic.trim();
+  }
+  if (record.pdd_section && record.pdd_section.trim()) {
+    question.pddSection = record.pdd_section.trim();
+  }
+  if (record.explanation && record.explanation.trim()) {
+    question.explanation = record.explanation.trim();
+  }
+  if (record.rule_refs && record.rule_refs.trim()) {
+    question.ruleRefs = record.rule_refs.split('|').map(ref => ref.trim()).filter(Boolean);
+  }
+
+  return question;
+}
+
+/**
+ * Load questions from a CSV or JSON source
+ * @param {string} sourcePath - Source file path
+ * @returns {Object[]} Questions with optional category fields
+ */
+function loadSource(sourcePath) {
+  const content = fs.readFileSync(sourcePath, 'utf8');
+
+  if (path.extname(sourcePath).toLowerCase() === '.csv') {
+    const [header, ...rows] = parseCsv(content);
+    if (!header) {
+      throw new Error('файл пуст');
+    }
+    const columns = header.map(name => name.trim().toLowerCase());
+    return rows.map(cells => {
+      const record = {};
+      columns.forEach((column, index) => {
+        record[column] = cells[index] || '';
+      });
+      return csvRecordToQuestion(record);
+    });
+  }
+
+  // JSON: either an array of questions or { category, questions: [...] }
+  const data = JSON.parse(content);
+  const items = Array.isArray(data) ? data : data.questions;
+  if (!Array.isArray(items)) {
+    throw new Error('ожидается массив вопросов или объект с полем questions');
+  }
+
+  return items.map(item => ({
+    ...item,
+    category: (item.category || data.category || '').toUpperCase() || null,
+    questionId: item.questionId || `${item.ticketNumber}_${item.questionNumber}`
+  }));
+}
+
+function main() {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`Ошибка: ${error.message}`);
+    console.error('Использование: node scripts/importQuestions.js [--category AB] [--out file] [--check] <source>...');
+    process.exit(2);
+  }
+
+  let imported = [];
+  for (const sourcePath of options.sources) {
+    let questions;
+    try {
+      questions = loadSource(sourcePath);
+    } catch (error) {
+      // Missing files and malformed JSON/CSV are input errors, like bad arguments
+      console.error(`Ошибка: не удалось прочитать ${path.relative(process.cwd(), sourcePath)}: ${error.message.split('\n')[0]}`);
+      process.exit(2);
+    }
+    console.log(`Прочитано ${questions.length} записей из ${path.relative(process.cwd(), sourcePath)}`);
+    imported.push(...questions);
+  }
+
+  if (options.category) {
+    imported = imported.filter(q => !q.category || q.category === options.category);
+    console.log(`Категория ${options.category}: ${imported.length} записей`);
+  }
+
+  const questions = imported
+    .map(({ category, ...question }) => question)
+    .sort((a, b) => a.ticketNumber - b.ticketNumber || a.questionNumber - b.questionNumber);
+
+  const result = validateQuestions(questions, {
+    baseDir: options.imagesDir,
+    requireImages: options.requireImages
+  });
+
+  console.log('');
+  console.log(formatValidationReport(result));
+  console.log('');
+
+  if (options.check) {
+    process.exit(result.errors.length > 0 ? 1 : 0);
+  }
+
+  if (result.errors.length > 0 && !options.skipInvalid) {
+    console.error('Импорт прерван из-за ошибок. Используйте --skip-invalid, чтобы записать только корректные вопросы.');
+    process.exit(1);
+  }
+
+  fs.writeFileSync(options.out, JSON.stringify(result.validQuestions, null, 2), 'utf8');
+  console.log(`Сохранено ${result.validQuestions.length} вопросов в ${options.out}`);
+}
+
+main();
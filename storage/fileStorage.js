@@ -0,0 +1,290 @@
+/**
+ * File-based storage backend
+ * Keeps append-only JSON Lines logs per user on local disk
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+class FileStorage {
+  constructor(dataDir) {
+    this.dataDir = dataDir;
+    this.name = 'file';
+    // Counter file path -> { offset, counters }: sums of the lines read so far
+    this.counterCache = new Map();
+  }
+
+  /**
+   * Prepare data directory
+   * @returns {Promise<void>}
+   */
+  async initialize() {
+    await fs.promises.mkdir(path.join(this.dataDir, 'users'), { recursive: true });
+  }
+
+  /**
+   * Get path of a user's data file
+   * @param {number} userId - Telegram user ID
+   * @param {string} fileName - File name inside user directory
+   * @returns {string} Absolute file path
+   */
+  userFile(userId, fileName) {
+    return path.join(this.dataDir, 'users', String(userId), fileName);
+  }
+
+  /**
+   * Append a record to a user's log file
+   * @param {number} userId - Telegram user ID
+   * @param {string} fileName - Log file name
+   * @param {Object} record - Record to append
+   * @returns {Promise<void>}
+   */
+  async appendRecord(userId, fileName, record) {
+    await this.appendLine(this.userFile(userId, fileName), record);
+  }
+
+  /**
+   * Append a record to a JSON Lines file
+   * @param {string} filePath - Log file path
+   * @param {Object} record - Record to append
+   * @returns {Promise<void>}
+   */
+  async appendLine(filePath, record) {
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    // Single appends with O_APPEND are safe across PM2 instances
+    await fs.promises.appendFile(filePath, JSON.stringify(record) + '\n', 'utf8');
+  }
+
+  /**
+   * Read all records from a user's log file
+   * @param {number} userId - Telegram user ID
+   * @param {string} fileName - Log file name
+   * @returns {Promise<Object[]>} Records in insertion order
+   */
+  async readRecords(userId, fileName) {
+    return this.readLines(this.userFile(userId, fileName));
+  }
+
+  /**
+   * Read all records from a JSON Lines file
+   * @param {string} filePath - Log file path
+   * @returns {Promise<Object[]>} Records in insertion order
+   */
+  async readLines(filePath) {
+    let content;
+    try {
+      content = await fs.promises.readFile(filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    return content
+      .split('\n')
+      .filter(line => line.trim())
+      .map(line => JSON.parse(line));
+  }
+
+  /**
+   * Write a JSON file atomically (temp file + rename)
+   * Every write gets its own temp file, so concurrent writes to one path do not collide
+   * @param {string} filePath - Target file path
+   * @param {*} value - Value to serialize
+   * @returns {Promise<void>}
+   */
+  async writeJson(filePath, value) {
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    const tmpPath = `${filePath}.${crypto.randomUUID()}.tmp`;
+    await fs.promises.writeFile(tmpPath, JSON.stringify(value), 'utf8');
+    await fs.promises.rename(tmpPath, filePath);
+  }
+
+  /**
+   * Read a JSON file
+   * @param {string} filePath - File path
+   * @returns {Promise<*>} Parsed value or null if missing
+   */
+  async readJson(filePath) {
+    try {
+      return JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async recordAnswer(record) {
+    await this.appendRecord(record.userId, 'answers.jsonl', record);
+  }
+
+  async recordTicket(record) {
+    await this.appendRecord(record.userId, 'tickets.jsonl', record);
+  }
+
+  async getAnswers(userId) {
+    return this.readRecords(userId, 'answers.jsonl');
+  }
+
+  async getTickets(userId) {
+    return this.readRecords(userId, 'tickets.jsonl');
+  }
+
+  async getUserData(userId, name) {
+    return this.readJson(this.userFile(userId, `${name}.json`));
+  }
+
+  async setUserData(userId, name, value) {
+    await this.writeJson(this.userFile(userId, `${name}.json`), value);
+  }
+
+  /**
+   * Get directory of a named set
+   * Sets are directories with one empty file per member, so concurrent
+   * adds and removes from several processes never overwrite each other
+   * @param {string} name - Set name
+   * @returns {string} Absolute directory path
+   */
+  setDir(name) {
+    return path.join(this.dataDir, 'sets', name);
+  }
+
+  async addToSet(name, member) {
+    await fs.promises.mkdir(this.setDir(name), { recursive: true });
+    await fs.promises.writeFile(path.join(this.setDir(name), String(member)), '');
+  }
+
+  async removeFromSet(name, member) {
+    await fs.promises.rm(path.join(this.setDir(name), String(member)), { force: true });
+  }
+
+  async getSetMembers(name) {
+    try {
+      return await fs.promises.readdir(this.setDir(name));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Get file of a key in a named map
+   * Maps are directories with one JSON file per key, so processes writing
+   * different keys never overwrite each other
+   * @param {string} name - Map name
+   * @param {string} key - Key
+   * @returns {string} Absolute file path
+   */
+  mapFile(name, key) {
+    return path.join(this.dataDir, 'maps', name, `${encodeURIComponent(key)}.json`);
+  }
+
+  async getMapValue(name, key) {
+    return this.readJson(this.mapFile(name, key));
+  }
+
+  async setMapValue(name, key, value) {
+    await this.writeJson(this.mapFile(name, key), value);
+  }
+
+  async deleteMapValue(name, key) {
+    await fs.promises.rm(this.mapFile(name, key), { force: true });
+  }
+
+  // Locks are files created with the exclusive 'wx' flag holding their expiry time
+  async acquireLock(key, ttlMs) {
+    const lockPath = path.join(this.dataDir, 'locks', encodeURIComponent(key));
+    await fs.promises.mkdir(path.dirname(lockPath), { recursive: true });
+
+    try {
+      await fs.promises.writeFile(lockPath, String(Date.now() + ttlMs), { flag: 'wx' });
+      return true;
+    } catch (error) {
+      if (error.code !== 'EEXIST') {
+        throw error;
+      }
+    }
+
+    const expiresAt = parseInt(await fs.promises.readFile(lockPath, 'utf8').catch(() => '0'));
+    if (Date.now() < expiresAt) {
+      return false;
+    }
+
+    // Expired lock: remove it and try once more
+    await fs.promises.rm(lockPath, { force: true });
+    try {
+      await fs.promises.writeFile(lockPath, String(Date.now() + ttlMs), { flag: 'wx' });
+      return true;
+    } catch (error) {
+      if (error.code === 'EEXIST') {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  // Counters are append-only logs of increments, summed on read. Each process keeps
+  // the sums and the read offset, so a read only parses the lines appended since the last one
+  async incrementCounter(name, field, by) {
+    await this.appendLine(path.join(this.dataDir, 'counters', `${name}.jsonl`), { field, by });
+  }
+
+  async getCounters(name) {
+    const filePath = path.join(this.dataDir, 'counters', `${name}.jsonl`);
+    let handle;
+    try {
+      handle = await fs.promises.open(filePath, 'r');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        this.counterCache.delete(filePath);
+        return {};
+      }
+      throw error;
+    }
+
+    let cached = this.counterCache.get(filePath);
+    try {
+      const { size } = await handle.stat();
+      // A shorter file was replaced: sum it again from the start
+      if (!cached || size < cached.offset) {
+        cached = { offset: 0, counters: {} };
+      }
+      if (size > cached.offset) {
+        const buffer = Buffer.alloc(size - cached.offset);
+        await handle.read(buffer, 0, buffer.length, cached.offset);
+        // A line still being appended by another process is left for the next read
+        const end = buffer.lastIndexOf('\n');
+        const counters = { ...cached.counters };
+        buffer.subarray(0, end + 1).toString('utf8').split('\n').filter(line => line.trim()).forEach(line => {
+          const { field, by } = JSON.parse(line);
+          counters[field] = (counters[field] || 0) + by;
+        });
+        cached = { offset: cached.offset + end + 1, counters };
+      }
+    } finally {
+      await handle.close();
+    }
+
+    this.counterCache.set(filePath, cached);
+    return { ...cached.counters };
+  }
+
+  async recordAudit(record) {
+    await this.appendLine(path.join(this.dataDir, 'audit.jsonl'), record);
+  }
+
+  async getAuditLog(limit) {
+    const records = await this.readLines(path.join(this.dataDir, 'audit.jsonl'));
+    return records.slice(-limit);
+  }
+
+  async close() {}
+}
+
+module.exports = FileStorage;
@@ -0,0 +1,107 @@
+/**
+ * In-memory session store
+ * Keeps sessions in a process-local Map with periodic TTL cleanup
+ */
+
+const { createLogger } = require('../utils/logger');
+
+const log = createLogger('SessionManager');
+
+class MemorySessionStore {
+  constructor(ttlMs) {
+    this.sessions = new Map();
+    this.ttlMs = ttlMs;
+    this.name = 'memory';
+
+    // Start cleanup interval (runs every 5 minutes)
+    this.cleanupInterval = setInterval(() => {
+      this.cleanup();
+    }, 5 * 60 * 1000);
+  }
+
+  async set(userId, data) {
+    const session = {
+      userId,
+      ...data,
+      lastActivity: Date.now()
+    };
+    this.sessions.set(userId, session);
+    return session;
+  }
+
+  async get(userId) {
+    const session = this.sessions.get(userId);
+
+    if (!session) {
+      return null;
+    }
+
+    // Check if session has expired
+    if (Date.now() - session.lastActivity > this.ttlMs) {
+      this.sessions.delete(userId);
+      return null;
+    }
+
+    // Update last activity
+    session.lastActivity = Date.now();
+    return session;
+  }
+
+  async update(userId, updates) {
+    const session = await this.get(userId);
+
+    if (!session) {
+      return null;
+    }
+
+    Object.assign(session, updates, { lastActivity: Date.now() });
+    return session;
+  }
+
+  async increment(userId, field, by) {
+    const session = await this.get(userId);
+
+    if (!session) {
+      return null;
+    }
+
+    session[field] = (session[field] || 0) + by;
+    return session[field];
+  }
+
+  async delete(userId) {
+    return this.sessions.delete(userId);
+  }
+
+  async count() {
+    return this.sessions.size;
+  }
+
+  /**
+   * Clean up expired sessions
+   */
+  cleanup() {
+    const now = Date.now();
+    let cleaned = 0;
+
+    for (const [userId, session] of this.sessions) {
+      if (now - session.lastActivity > this.ttlMs) {
+        this.sessions.delete(userId);
+        cleaned++;
+      }
+    }
+
+    if (cleaned > 0) {
+      log.info('Cleaned up expired sessions', { cleaned });
+    }
+  }
+
+  async close() {
+    if (this.cleanupInterval) {
+      clearInterval(this.cleanupInterval);
+      this.cleanupInterval = null;
+    }
+  }
+}
+
+module.exports = MemorySessionStore;
@@ -0,0 +1,129 @@
+/**
+ * Redis session store
+ * Keeps each session in a hash with a native key TTL, shared by all instances
+ * Field values are JSON-encoded, so integer counters stay valid for HINCRBY
+ */
+
+const KEY_PREFIX = 'pdd:session:';
+
+// Update fields only if the session still exists, then refresh its TTL
+const UPDATE_SCRIPT = `
+if redis.call('EXISTS', KEYS[1]) == 0 then return 0 end
+redis.call('HSET', KEYS[1], unpack(ARGV, 2))
+redis.call('PEXPIRE', KEYS[1], ARGV[1])
+return 1
+`;
+
+// Increment a counter only if the session still exists, then refresh its TTL
+const INCREMENT_SCRIPT = `
+if redis.call('EXISTS', KEYS[1]) == 0 then return false end
+local value = redis.call('HINCRBY', KEYS[1], ARGV[2], ARGV[3])
+redis.call('PEXPIRE', KEYS[1], ARGV[1])
+return value
+`;
+
+class RedisSessionStore {
+  constructor(client, ttlMs) {
+    this.client = client;
+    this.ttlMs = ttlMs;
+    this.name = 'redis';
+
+    this.client.defineCommand('sessionUpdate', { numberOfKeys: 1, lua: UPDATE_SCRIPT });
+    this.client.defineCommand('sessionIncrement', { numberOfKeys: 1, lua: INCREMENT_SCRIPT });
+  }
+
+  /**
+   * Build the Redis key of a user's session
+   * @param {number} userId - Telegram user ID
+   * @returns {string} Redis key
+   */
+  key(userId) {
+    return KEY_PREFIX + userId;
+  }
+
+  /**
+   * Flatten session fields into HSET arguments
+   * @param {Object} data - Session fields
+   * @returns {string[]} field, value, field, value, ...
+   */
+  encode(data) {
+    return Object.entries(data)
+      .filter(([, value]) => value !== undefined)
+      .flatMap(([field, value]) => [field, JSON.stringify(value)]);
+  }
+
+  /**
+   * Parse a hash read from Redis
+   * @param {Object} hash - Field -> JSON string
+   * @returns {Object} Session
+   */
+  decode(hash) {
+    const session = {};
+    Object.entries(hash).forEach(([field, value]) => {
+      session[field] = JSON.parse(value);
+    });
+    return session;
+  }
+
+  async set(userId, data) {
+    const session = {
+      userId,
+      ...data,
+      lastActivity: Date.now()
+    };
+    const key = this.key(userId);
+
+    await this.client.multi()
+      .del(key)
+      .hset(key, ...this.encode(session))
+      .pexpire(key, this.ttlMs)
+      .exec();
+
+    return session;
+  }
+
+  async get(userId) {
+    const key = this.key(userId);
+    const [[, hash]] = await this.client.multi()
+      .hgetall(key)
+      .pexpire(key, this.ttlMs)
+      .exec();
+
+    if (!hash || Object.keys(hash).length === 0) {
+      return null;
+    }
+
+    return this.decode(hash);
+  }
+
+  async update(userId, updates) {
+    const args = this.encode({ ...updates, lastActivity: Date.now() });
+    const updated = await this.client.sessionUpdate(this.key(userId), this.ttlMs, ...args);
+    return updated ? this.get(userId) : null;
+  }
+
+  async increment(userId, field, by) {
+    return this.client.sessionIncrement(this.key(userId), this.ttlMs, field, by);
+  }
+
+  async delete(userId) {
+    return (await this.client.del(this.key(userId))) > 0;
+  }
+
+  async count() {
+    let count = 0;
+    let cursor = '0';
+    do {
+      const [nextCursor, keys] = await this.client.scan(cursor, 'MATCH', `${KEY_PREFIX}*`, 'COUNT', 1000);
+      cursor = nextCursor;
+      count += keys.length;
+    } while (cursor !== '0');
+    return count;
+  }
+
+  async close() {
+    await this.client.quit();
+  }
+}
+
+module.exports = RedisSessionStore;
@@ -0,0 +1,117 @@
+/**
+ * Redis storage backend
+ * Keeps per-user answer and ticket history in Redis lists
+ */
+
+const KEY_PREFIX = 'pdd:';
+
+class RedisStorage {
+  constructor(client) {
+    this.client = client;
+    this.name = 'redis';
+  }
+
+  async initialize() {}
+
+  /**
+   * Build a namespaced Redis key
+   * @param {...(string|number)} parts - Key parts
+   * @returns {string} Redis key
+   */
+  key(...parts) {
+    return KEY_PREFIX + parts.join(':');
+  }
+
+  /**
+   * Read and parse a JSON list
+   * @param {string} key - Redis key
+   * @returns {Promise<Object[]>} Records in insertion order
+   */
+  async readList(key) {
+    const items = await this.client.lrange(key, 0, -1);
+    return items.map(item => JSON.parse(item));
+  }
+
+  async recordAnswer(record) {
+    await this.client.rpush(this.key('answers', record.userId), JSON.stringify(record));
+  }
+
+  async recordTicket(record) {
+    await this.client.rpush(this.key('tickets', record.userId), JSON.stringify(record));
+  }
+
+  async getAnswers(userId) {
+    return this.readList(this.key('answers', userId));
+  }
+
+  async getTickets(userId) {
+    return this.readList(this.key('tickets', userId));
+  }
+
+  async getUserData(userId, name) {
+    const value = await this.client.get(this.key('user', userId, name));
+    return value ? JSON.parse(value) : null;
+  }
+
+  async setUserData(userId, name, value) {
+    await this.client.set(this.key('user', userId, name), JSON.stringify(value));
+  }
+
+  async addToSet(name, member) {
+    await this.client.sadd(this.key('set', name), String(member));
+  }
+
+  async removeFromSet(name, member) {
+    await this.client.srem(this.key('set', name), String(member));
+  }
+
+  async getSetMembers(name) {
+    return this.client.smembers(this.key('set', name));
+  }
+
+  async getMapValue(name, key) {
+    const value = await this.client.hget(this.key('map', name), key);
+    return value ? JSON.parse(value) : null;
+  }
+
+  async setMapValue(name, key, value) {
+    await this.client.hset(this.key('map', name), key, JSON.stringify(value));
+  }
+
+  async deleteMapValue(name, key) {
+    await this.client.hdel(this.key('map', name), key);
+  }
+
+  async acquireLock(key, ttlMs) {
+    const result = await this.client.set(this.key('lock', key), String(process.pid), 'PX', ttlMs, 'NX');
+    return result === 'OK';
+  }
+
+  async incrementCounter(name, field, by) {
+    await this.client.hincrby(this.key('counters', name), field, by);
+  }
+
+  async getCounters(name) {
+    const hash = await this.client.hgetall(this.key('counters', name));
+    const counters = {};
+    Object.entries(hash).forEach(([field, value]) => {
+      counters[field] = parseInt(value);
+    });
+    return counters;
+  }
+
+  async recordAudit(record) {
+    await this.client.rpush(this.key('audit'), JSON.stringify(record));
+  }
+
+  async getAuditLog(limit) {
+    const items = await this.client.lrange(this.key('audit'), -limit, -1);
+    return items.map(item => JSON.parse(item));
+  }
+
+  async close() {
+    await this.client.quit();
+  }
+}
+
+module.exports = RedisStorage;
@@ -0,0 +1,234 @@
+/**
+ * Storage Manager for persistent user history
+ * Uses file storage by default and Redis when STORAGE_BACKEND=redis
+ */
+
+const path = require('path');
+const FileStorage = require('./fileStorage');
+const RedisStorage = require('./redisStorage');
+const { createLogger } = require('../utils/logger');
+
+const log = createLogger('StorageManager');
+
+class StorageManager {
+  constructor(config = {}) {
+    this.backendName = config.backend || process.env.STORAGE_BACKEND || 'file';
+    this.dataDir = config.dataDir || process.env.STORAGE_DIR || path.join(__dirname, '..', 'data');
+    this.redisConfig = {
+      host: process.env.REDIS_HOST || 'localhost',
+      port: process.env.REDIS_PORT || 6379,
+      password: process.env.REDIS_PASSWORD || undefined
+    };
+
+    this.backend = new FileStorage(this.dataDir);
+  }
+
+  /**
+   * Initialize the configured backend
+   * Falls back to file storage when Redis is not available
+   * @returns {Promise<string>} Name of the active backend
+   */
+  async initialize() {
+    if (this.backendName === 'redis') {
+      try {
+        const Redis = require('ioredis');
+        const client = new Redis({ ...this.redisConfig, lazyConnect: true, maxRetriesPerRequest: 1 });
+
+        await Promise.race([
+          client.connect(),
+          new Promise((resolve, reject) => {
+            setTimeout(() => reject(new Error('Redis connection timeout')), 5000);
+          })
+        ]).catch(error => {
+          client.disconnect();
+          throw error;
+        });
+
+        this.backend = new RedisStorage(client);
+      } catch (error) {
+        log.info('Redis not available, using file storage', { reason: error.message });
+      }
+    }
+
+    await this.backend.initialize();
+    log.info('Storage ready', { backend: this.backend.name });
+    return this.backend.name;
+  }
+
+  /**
+   * Record a single answer
+   * @param {Object} record - { userId, questionId, answerIndex, isCorrect, timestamp, mode }
+   * @returns {Promise<void>}
+   */
+  async recordAnswer(record) {
+    await this.backend.recordAnswer(record);
+  }
+
+  /**
+   * Record a finished ticket or exam
+   * @param {Object} record - { userId, mode, ticketNumber, correct, incorrect, total, passed, startTime, finishTime }
+   * @returns {Promise<void>}
+   */
+  async recordTicket(record) {
+    await this.backend.recordTicket(record);
+  }
+
+  /**
+   * Get answer history of a user
+   * @param {number} userId - Telegram user ID
+   * @returns {Promise<Object[]>} Answer records, oldest first
+   */
+  async getAnswers(userId) {
+    return this.backend.getAnswers(userId);
+  }
+
+  /**
+   * Get finished tickets of a user
+   * @param {number} userId - Telegram user ID
+   * @returns {Promise<Object[]>} Ticket records, oldest first
+   */
+  async getTickets(userId) {
+    return this.backend.getTickets(userId);
+  }
+
+  /**
+   * Get a per-user JSON document
+   * @param {number} userId - Telegram user ID
+   * @param {string} name - Document name (e.g. 'mistakes')
+   * @returns {Promise<*>} Stored value or null
+   */
+  async getUserData(userId, name) {
+    return this.backend.getUserData(userId, name);
+  }
+
+  /**
+   * Replace a per-user JSON document
+   * @param {number} userId - Telegram user ID
+   * @param {string} name - Document name
+   * @param {*} value - Value to store
+   * @returns {Promise<void>}
+   */
+  async setUserData(userId, name, value) {
+    await this.backend.setUserData(userId, name, value);
+  }
+
+  /**
+   * Add a member to a named global set
+   * @param {string} name - Set name (e.g. 'reminders')
+   * @param {string|number} member - Member to add
+   * @returns {Promise<void>}
+   */
+  async addToSet(name, member) {
+    await this.backend.addToSet(name, member);
+  }
+
+  /**
+   * Remove a member from a named global set
+   * @param {string} name - Set name
+   * @param {string|number} member - Member to remove
+   * @returns {Promise<void>}
+   */
+  async removeFromSet(name, member) {
+    await this.backend.removeFromSet(name, member);
+  }
+
+  /**
+   * Get all members of a named global set
+   * @param {string} name - Set name
+   * @returns {Promise<string[]>} Members
+   */
+  async getSetMembers(name) {
+    return this.backend.getSetMembers(name);
+  }
+
+  /**
+   * Get a value from a named global map
+   * @param {string} name - Map name (e.g. 'file_ids')
+   * @param {string} key - Key
+   * @returns {Promise<*>} Stored value or null
+   */
+  async getMapValue(name, key) {
+    return this.backend.getMapValue(name, key);
+  }
+
+  /**
+   * Set a value in a named global map
+   * @param {string} name - Map name
+   * @param {string} key - Key
+   * @param {*} value - Value to store
+   * @returns {Promise<void>}
+   */
+  async setMapValue(name, key, value) {
+    await this.backend.setMapValue(name, key, value);
+  }
+
+  /**
+   * Remove a key from a named global map
+   * @param {string} name - Map name
+   * @param {string} key - Key
+   * @returns {Promise<void>}
+   */
+  async deleteMapValue(name, key) {
+    await this.backend.deleteMapValue(name, key);
+  }
+
+  /**
+   * Acquire a lock shared by all bot instances using this storage
+   * The lock is never released explicitly and expires after ttlMs
+   * @param {string} key - Lock key
+   * @param {number} ttlMs - Lock lifetime in milliseconds
+   * @returns {Promise<boolean>} True if this caller got the lock
+   */
+  async acquireLock(key, ttlMs) {
+    return this.backend.acquireLock(key, ttlMs);
+  }
+
+  /**
+   * Increment a field of a named global counter
+   * @param {string} name - Counter name (e.g. 'question_mistakes')
+   * @param {string} field - Field to increment
+   * @param {number} by - Increment
+   * @returns {Promise<void>}
+   */
+  async incrementCounter(name, field, by = 1) {
+    await this.backend.incrementCounter(name, field, by);
+  }
+
+  /**
+   * Get all fields of a named global counter
+   * @param {string} name - Counter name
+   * @returns {Promise<Object>} Map of field -> total
+   */
+  async getCounters(name) {
+    return this.backend.getCounters(name);
+  }
+
+  /**
+   * Append an entry to the admin audit log
+   * @param {Object} record - { timestamp, adminId, action, details, allowed }
+   * @returns {Promise<void>}
+   */
+  async recordAudit(record) {
+    await this.backend.recordAudit(record);
+  }
+
+  /**
+   * Get the latest audit log entries
+   * @param {number} limit - Max entries
+   * @returns {Promise<Object[]>} Entries, oldest first
+   */
+  async getAuditLog(limit = 20) {
+    return this.backend.getAuditLog(limit);
+  }
+
+  /**
+   * Close backend connections
+   * @returns {Promise<void>}
+   */
+  async shutdown() {
+    await this.backend.close();
+    log.info('Storage closed');
+  }
+}
+
+module.exports = StorageManager;
@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const {
+  AnswerGuard,
+  createAttemptId,
+  formatAnswerCallback,
+  parseAnswerCallback,
+  checkAnswerCallback
+} = require('../utils/answerGuard');
+
+function createSession(questions = 3) {
+  return {
+    attemptId: createAttemptId(),
+    currentQuestion: 1,
+    questionIds: Array.from({ length: questions }, (_, i) => `1_${i + 1}`)
+  };
+}
+
+test('callback data round trip', () => {
+  const attemptId = createAttemptId();
+  assert.match(attemptId, /^[0-9a-f]{8}$/);
+  assert.notStrictEqual(attemptId, createAttemptId());
+
+  const data = formatAnswerCallback(attemptId, 12, 3);
+  assert.ok(data.length <= 64, 'Telegram limits callback data to 64 bytes');
+  assert.deepStrictEqual(parseAnswerCallback(data), { attemptId, position: 12, answerIndex: 3 });
+});
+
+test('buttons in the old answer_<ticket>_<q>_<index> format are not accepted', () => {
+  assert.strictEqual(parseAnswerCallback('answer_1_5_2'), null);
+  assert.strictEqual(parseAnswerCallback('answer_abc'), null);
+  assert.strictEqual(checkAnswerCallback(createSession(), parseAnswerCallback('answer_1_5_2')), 'stale');
+});
+
+test('only the current question of the current attempt is accepted', () => {
+  const session = { ...createSession(), currentQuestion: 2 };
+  const { attemptId } = session;
+
+  assert.strictEqual(checkAnswerCallback(session, { attemptId, position: 2, answerIndex: 0 }), 'current');
+  assert.strictEqual(checkAnswerCallback(session, { attemptId, position: 1, answerIndex: 0 }), 'answered');
+  assert.strictEqual(checkAnswerCallback(session, { attemptId, position: 3, answerIndex: 0 }), 'stale');
+  assert.strictEqual(checkAnswerCallback(session, { attemptId: createAttemptId(), position: 2, answerIndex: 0 }), 'stale');
+});
+
+test('sessions started without an attempt ID reject all answers', () => {
+  const session = { currentQuestion: 1, questionIds: ['1_1'] };
+  assert.strictEqual(checkAnswerCallback(session, { attemptId: createAttemptId(), position: 1, answerIndex: 0 }), 'stale');
+});
+
+// Taps on a running bot are covered by the answer scenarios in bot.scenarios.test.js
+test('a question is claimed by one tap until it is released', () => {
+  const guard = new AnswerGuard();
+  const session = createSession();
+  const first = parseAnswerCallback(formatAnswerCallback(session.attemptId, 1, 0));
+  const second = parseAnswerCallback(formatAnswerCallback(session.attemptId, 1, 1));
+
+  assert.strictEqual(guard.accept(session, first), 'current');
+  assert.strictEqual(guard.accept(session, second), 'answered');
+
+  session.currentQuestion++;
+  guard.release(first);
+  assert.strictEqual(guard.accept(session, second), 'answered');
+  assert.strictEqual(guard.inProgress.size, 0);
+});
+
+test('a failed answer releases its claim so the question can be answered again', async () => {
+  const guard = new AnswerGuard();
+  const session = createSession();
+  const callback = parseAnswerCallback(formatAnswerCallback(session.attemptId, 1, 0));
+
+  assert.strictEqual(guard.accept(session, callback), 'current');
+  guard.release(callback);
+  assert.strictEqual(guard.accept(session, callback), 'current');
+});
@@ -0,0 +1,497 @@
+// Only warnings and errors of the bot are printed
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'warn';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const TelegramBot = require('node-telegram-bot-api');
+
+const { createBot } = require('../app');
+const SessionManager = require('../utils/sessionManager');
+const StorageManager = require('../storage/storageManager');
+const QueueManager = require('../queues/queueManager');
+const QuestionBank = require('../utils/questionBank');
+const { parseAnswerCallback } = require('../utils/answerGuard');
+const FakeBotApi = require('./helpers/fakeBotApi');
+
+const USER_ID = 1001;
+const TICKET_COUNT = 2;
+const QUESTIONS_PER_TICKET = 3;
+
+/**
+ * Build a small synthetic question bank: 2 tickets of 3 questions, no images
+ * @returns {QuestionBank}
+ */
+function createTestBank() {
+  const questions = [];
+  for (let ticket = 1; ticket <= TICKET_COUNT; ticket++) {
+    for (let number = 1; number <= QUESTIONS_PER_TICKET; number++) {
+      questions.push({
+        questionId: `${ticket}_${number}`,
+        ticketNumber: ticket,
+        questionNumber: number,
+        text: `Тестовый вопрос ${number} билета ${ticket}`,
+        options: ['Вариант А', 'Вариант Б', 'Вариант В'],
+        correctAnswerIndex: number % 3,
+        explanation: `Пояснение к вопросу ${ticket}_${number}`
+      });
+    }
+  }
+  return new QuestionBank('AB', questions, 'test');
+}
+
+const bank = createTestBank();
+
+/**
+ * Start a bot against the fake API with memory sessions, file storage and no queues
+ * @param {FakeBotApi} api - Running fake Bot API server
+ * @param {string} dataDir - Storage directory
+ * @param {Object} options - Options
+ * @param {number} options.sessionTtlMinutes - Session TTL
+ * @returns {Promise<Object>} { app, sessionManager, storageManager, stop }
+ */
+async function startBot(api, dataDir, { sessionTtlMinutes = 30 } = {}) {
+  const storageManager = new StorageManager({ backend: 'file', dataDir });
+  await storageManager.initialize();
+  const sessionManager = new SessionManager(sessionTtlMinutes);
+  const queueManager = new QueueManager();
+  const bot = new TelegramBot('123:TEST', {
+    polling: { autoStart: false, interval: 0, params: { timeout: 1 } },
+    baseApiUrl: api.url
+  });
+
+  const app = createBot({
+    bot,
+    questionBanks: { AB: bank },
+    storageManager,
+    sessionManager,
+    queueManager,
+    senderOptions: { perChatRate: 1000, perChatBurst: 1000, globalRate: 1000 }
+  });
+  await app.start();
+
+  return {
+    app,
+    sessionManager,
+    storageManager,
+    stop: async () => {
+      await app.stop();
+      await sessionManager.shutdown();
+      await storageManager.shutdown();
+    }
+  };
+}
+
+/**
+ * Send a text message and wait for the bot's reply
+ * @param {FakeBotApi} api - Fake Bot API server
+ * @param {string} text - Message text
+ * @param {Function} predicate - Matches the expected call
+ * @returns {Promise<Object>} Matching call
+ */
+async function say(api, text, predicate) {
+  const since = api.calls.length;
+  api.sendText(USER_ID, text);
+  return api.waitFor(predicate, { since });
+}
+
+/**
+ * Find the last question sent to the user
+ * @param {FakeBotApi} api - Fake Bot API server
+ * @returns {{message: Object, question: Object, buttons: Object[]}}
+ */
+function lastQuestion(api) {
+  const call = [...api.calls].reverse().find(isQuestionCall);
+  assert.ok(call, 'a question was sent');
+
+  const text = call.params.text || call.params.caption;
+  return {
+    message: call.result,
+    question: bank.questions.find(q => text.includes(q.text)),
+    buttons: call.params.reply_markup.inline_keyboard.map(([button]) => button)
+  };
+}
+
+/**
+ * Answer the last question sent to the user and wait for the bot to move on
+ * @param {FakeBotApi} api - Fake Bot API server
+ * @param {boolean} correct - Tap the correct option or a wrong one
+ * @returns {Promise<Object>} answerCallbackQuery call
+ */
+async function answer(api, correct) {
+  const { message, question, buttons } = lastQuestion(api);
+  const button = buttons.find(b => {
+    const callback = parseAnswerCallback(b.callback_data);
+    return callback && (callback.answerIndex === question.correctAnswerIndex) === correct;
+  });
+
+  const since = api.calls.length;
+  api.pressButton(USER_ID, button.callback_data, message);
+  const reply = await api.waitFor(call => call.method === 'answerCallbackQuery', { since });
+  // The next question or the ticket statistics is the last call of an answer
+  await api.waitFor(call => isQuestionCall(call) || isStatistics(call), { since });
+  return reply;
+}
+
+/**
+ * Find the button of the correct option of the last question
+ * @param {FakeBotApi} api - Fake Bot API server
+ * @returns {{message: Object, button: Object}}
+ */
+function correctButton(api) {
+  const { message, question, buttons } = lastQuestion(api);
+  const button = buttons.find(b => parseAnswerCallback(b.callback_data).answerIndex === question.correctAnswerIndex);
+  return { message, button };
+}
+
+/**
+ * Press a button and wait for the bot to answer that callback query
+ * @param {FakeBotApi} api - Fake Bot API server
+ * @param {Object} button - Inline button
+ * @param {Object} message - Message carrying the button
+ * @returns {Promise<Object>} answerCallbackQuery call
+ */
+function pressAndWait(api, button, message) {
+  const since = api.calls.length;
+  const { callback_query: query } = api.pressButton(USER_ID, button.callback_data, message);
+  return api.waitFor(call => call.method === 'answerCallbackQuery' && call.params.callback_query_id === query.id, { since });
+}
+
+/**
+ * Count the answerCallbackQuery calls of a callback query
+ * @param {FakeBotApi} api - Fake Bot API server
+ * @param {Object} reply - One answerCallbackQuery call of the query
+ * @returns {number}
+ */
+function countReplies(api, reply) {
+  return api.getCalls('answerCallbackQuery').filter(call => call.params.callback_query_id === reply.params.callback_query_id).length;
+}
+
+function isQuestionCall(call) {
+  const markup = call.params.reply_markup;
+  return ['sendMessage', 'sendPhoto', 'editMessageText'].includes(call.method) &&
+    Boolean(markup && markup.inline_keyboard) &&
+    markup.inline_keyboard.some(([button]) => parseAnswerCallback(button.callback_data));
+}
+
+function isStatistics(call) {
+  return call.method === 'sendMessage' && /Правильных: \d+/.test(call.params.text);
+}
+
+function keyboardTexts(call) {
+  return call.params.reply_markup.keyboard.flat().map(button => button.text || button);
+}
+
+test('bot scenarios against a fake Bot API', async (t) => {
+  let api;
+  let dataDir;
+  let running = [];
+
+  t.beforeEach(async () => {
+    api = new FakeBotApi();
+    await api.start();
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pdd-bot-test-'));
+    running = [];
+  });
+
+  t.afterEach(async () => {
+    for (const instance of running) {
+      await instance.stop();
+    }
+    await api.stop();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  const launch = async (options) => {
+    const instance = await startBot(api, dataDir, options);
+    running.push(instance);
+    return instance;
+  };
+
+  await t.test('full ticket run', async () => {
+    const { app, storageManager } = await launch();
+
+    const menu = await say(api, '/start', call => call.method === 'sendMessage' && Boolean(call.params.reply_markup && call.params.reply_markup.keyboard));
+    assert.match(menu.params.text, /Выберите номер билета/);
+    assert.ok(keyboardTexts(menu).includes('📋 1'));
+
+    await say(api, '📋 1', isQuestionCall);
+    assert.match(lastQuestion(api).message.text, /Вопрос 1 из 3/);
+
+    for (let i = 0; i < QUESTIONS_PER_TICKET; i++) {
+      const reply = await answer(api, true);
+      assert.strictEqual(reply.params.text, '✅ Правильно!');
+    }
+
+    const statistics = api.calls.find(isStatistics);
+    assert.match(statistics.params.text, /Билет 1 завершён!/);
+    assert.match(statistics.params.text, /✅ Правильных: 3\n❌ Неправильных: 0/);
+
+    const tickets = await storageManager.getTickets(USER_ID);
+    assert.strictEqual(tickets.length, 1);
+    assert.strictEqual(tickets[0].ticketNumber, 1);
+
+    const metrics = await app.metrics.render();
+    assert.match(metrics, /^pdd_tickets_started_total\{mode="ticket",category="AB"\} 1$/m);
+    assert.match(metrics, /^pdd_tickets_completed_total\{mode="ticket",category="AB",result="passed"\} 1$/m);
+    assert.match(metrics, /^pdd_updates_total\{type="callback_query"\} 3$/m);
+    assert.match(metrics, /^pdd_pass_ratio\{mode="ticket"\} 1$/m);
+  });
+
+  await t.test('wrong answers are counted and explained', async () => {
+    await launch();
+    await say(api, '📋 2', isQuestionCall);
+
+    const since = api.calls.length;
+    const reply = await answer(api, false);
+    assert.strictEqual(reply.params.text, '❌ Неправильно!');
+
+    // Default explanation mode reviews mistakes: the question is edited to show the right option
+    const review = api.calls.slice(since).find(call => call.method === 'editMessageText');
+    assert.ok(review, 'the wrong answer is reviewed');
+    assert.match(review.params.text, /✅ Вариант Б/);
+    assert.match(review.params.text, /Пояснение к вопросу 2_1/);
+
+    await answer(api, true);
+    await answer(api, false);
+
+    const statistics = api.calls.find(isStatistics);
+    assert.match(statistics.params.text, /✅ Правильных: 1\n❌ Неправильных: 2/);
+  });
+
+  await t.test('expired session offers to resume the ticket', async () => {
+    // 300ms sessions
+    await launch({ sessionTtlMinutes: 0.005 });
+    await say(api, '📋 1', isQuestionCall);
+    await answer(api, true);
+
+    await new Promise(resolve => setTimeout(resolve, 400));
+
+    const { message, buttons } = lastQuestion(api);
+    const since = api.calls.length;
+    api.pressButton(USER_ID, buttons[0].callback_data, message);
+    const prompt = await api.waitFor(call => call.method === 'sendMessage', { since });
+    const toast = api.calls.slice(since).find(call => call.method === 'answerCallbackQuery');
+
+    assert.strictEqual(toast.params.text, '⏳ Сессия истекла');
+    assert.strictEqual(prompt.params.text, '⏳ Сессия истекла, но прогресс сохранён.');
+    assert.strictEqual(prompt.params.reply_markup.inline_keyboard[0][0].text, '▶️ Продолжить билет 1 с вопроса 2');
+
+    const resumeSince = api.calls.length;
+    api.pressButton(USER_ID, prompt.params.reply_markup.inline_keyboard[0][0].callback_data, prompt.result);
+    await api.waitFor(isQuestionCall, { since: resumeSince });
+    assert.match(lastQuestion(api).message.text, /Вопрос 2 из 3/);
+
+    await answer(api, true);
+    await answer(api, false);
+
+    const statistics = api.calls.find(isStatistics);
+    assert.match(statistics.params.text, /✅ Правильных: 2\n❌ Неправильных: 1/);
+  });
+
+  await t.test('ticket progress survives a restart', async () => {
+    const first = await launch();
+    await say(api, '📋 2', isQuestionCall);
+    await answer(api, true);
+
+    await first.stop();
+    running = running.filter(instance => instance !== first);
+
+    // New process: fresh memory sessions, same storage
+    await launch();
+    const menu = await say(api, '/start', call => call.method === 'sendMessage' && Boolean(call.params.reply_markup && call.params.reply_markup.keyboard));
+    const resumeText = '▶️ Продолжить билет 2 с вопроса 2';
+    assert.strictEqual(keyboardTexts(menu)[0], resumeText);
+
+    await say(api, resumeText, isQuestionCall);
+    assert.match(lastQuestion(api).message.text, /Вопрос 2 из 3/);
+    assert.ok(lastQuestion(api).message.text.includes('Тестовый вопрос 2 билета 2'));
+
+    await answer(api, true);
+    await answer(api, true);
+
+    const statistics = api.calls.find(isStatistics);
+    assert.match(statistics.params.text, /Билет 2 завершён!/);
+    assert.match(statistics.params.text, /✅ Правильных: 3\n❌ Неправильных: 0/);
+  });
+
+  await t.test('marathon progress survives a restart', async () => {
+    const first = await launch();
+    await say(api, '/marathon', isQuestionCall);
+    await answer(api, true);
+    const secondQuestion = lastQuestion(api).message.text.split('\n').find(line => line.includes('Тестовый вопрос'));
+
+    // The order is saved as its seed, not as the ids of the whole bank
+    const progress = await first.storageManager.getUserData(USER_ID, 'progress');
+    assert.strictEqual(progress.currentQuestion, 2);
+    assert.ok(progress.seed);
+    assert.strictEqual(progress.questionIds, undefined);
+
+    await first.stop();
+    running = running.filter(instance => instance !== first);
+
+    await launch();
+    await say(api, '▶️ Продолжить марафон с вопроса 2', isQuestionCall);
+    assert.match(lastQuestion(api).message.text, /Вопрос 2 из 6/);
+    assert.ok(lastQuestion(api).message.text.includes(secondQuestion));
+  });
+
+  await t.test('interface language can be switched', async () => {
+    const { storageManager } = await launch();
+
+    const menu = await say(api, '/language', call => call.method === 'sendMessage');
+    assert.match(menu.params.text, /Язык интерфейса: как в Telegram \(🇷🇺 Русский\)/);
+
+    const since = api.calls.length;
+    api.pressButton(USER_ID, 'language_en', menu.result);
+    const changed = await api.waitFor(call => call.method === 'editMessageText', { since });
+    assert.match(changed.params.text, /Interface language: 🇬🇧 English/);
+    assert.strictEqual((await storageManager.getUserData(USER_ID, 'settings')).language, 'en');
+
+    const start = await say(api, '/start', call => call.method === 'sendMessage' && Boolean(call.params.reply_markup && call.params.reply_markup.keyboard));
+    assert.match(start.params.text, /Choose a ticket number/);
+    assert.ok(keyboardTexts(start).includes('🎓 Exam'));
+
+    // Questions without a translation stay Russian, the quiz texts follow the language
+    await say(api, '📋 1', isQuestionCall);
+    assert.match(lastQuestion(api).message.text, /Question 1 of 3/);
+    assert.ok(lastQuestion(api).message.text.includes('Тестовый вопрос 1 билета 1'));
+    const reply = await answer(api, true);
+    assert.strictEqual(reply.params.text, '✅ Correct!');
+  });
+
+  await t.test('learners join the leaderboard under a nickname', async () => {
+    await launch();
+    await say(api, '📋 1', isQuestionCall);
+    for (let i = 0; i < QUESTIONS_PER_TICKET; i++) {
+      await answer(api, true);
+    }
+
+    const hidden = await say(api, '/top', call => call.method === 'sendMessage');
+    assert.match(hidden.params.text, /Пока никого нет/);
+    assert.match(hidden.params.text, /Вас нет в рейтинге/);
+
+    const since = api.calls.length;
+    api.pressButton(USER_ID, 'leaderboard_on', hidden.result);
+    const toast = await api.waitFor(call => call.method === 'answerCallbackQuery', { since });
+    assert.strictEqual(toast.params.text, '🏆 Вы участвуете в рейтинге');
+
+    const refused = await say(api, '/top nick http://x.y', call => call.method === 'sendMessage');
+    assert.match(refused.params.text, /^❌ Ник/);
+    const renamed = await say(api, '/top nick Гонщик_77', call => call.method === 'sendMessage');
+    assert.strictEqual(renamed.params.text, '✅ Ваш ник в рейтинге: Гонщик_77');
+
+    const board = await say(api, '/top', call => call.method === 'sendMessage');
+    assert.match(board.params.text, /🥇 Гонщик_77 — 1 билет · 100% · 📅 1 день/);
+    assert.match(board.params.text, /Место за неделю: 1 из 1/);
+    assert.strictEqual(board.params.reply_markup.inline_keyboard[0][0].callback_data, 'leaderboard_off');
+  });
+
+  await t.test('an abandoned exam is finished and recorded after its deadline', async () => {
+    const { sessionManager, storageManager } = await launch();
+    await say(api, '/exam', isQuestionCall);
+    await answer(api, true);
+
+    const session = await sessionManager.get(USER_ID);
+    await sessionManager.update(USER_ID, { exam: { ...session.exam, deadline: Date.now() - 1000 } });
+
+    // The exam is finished before the command is handled
+    await say(api, '/mystats', call => call.method === 'sendMessage' && /Ваша статистика/.test(call.params.text));
+    const report = api.calls.find(call => call.method === 'sendMessage' && /^❌ Экзамен не сдан/.test(call.params.text));
+    assert.match(report.params.text, /Время на экзамен истекло/);
+    assert.strictEqual(await sessionManager.get(USER_ID), null);
+
+    const tickets = await storageManager.getTickets(USER_ID);
+    assert.deepStrictEqual(tickets.map(ticket => [ticket.mode, ticket.passed]), [['exam', false]]);
+    assert.deepStrictEqual(await storageManager.getSetMembers('open_exams'), []);
+  });
+
+  await t.test('crafted category, topic and setting callbacks are ignored', async () => {
+    const { storageManager } = await launch();
+    const menu = await say(api, '/start', call => call.method === 'sendMessage');
+
+    for (const data of ['category_constructor', 'category___proto__', 'topic_constructor', 'topic___proto__']) {
+      const since = api.calls.length;
+      api.pressButton(USER_ID, data, menu.result);
+      await api.waitFor(call => call.method === 'answerCallbackQuery', { since });
+    }
+    // Inherited keys are not setting toggles, so nothing answers them
+    for (const data of ['constructor', 'toString']) {
+      const since = api.calls.length;
+      api.pressButton(USER_ID, data, menu.result);
+      await assert.rejects(api.waitFor(call => call.method === 'answerCallbackQuery', { since, timeoutMs: 300 }));
+    }
+    const settings = await storageManager.getUserData(USER_ID, 'settings') || {};
+    assert.strictEqual(settings.category, undefined);
+    assert.ok(!Object.hasOwn(settings, 'undefined'));
+
+    await say(api, '📋 1', isQuestionCall);
+    assert.match(lastQuestion(api).message.text, /Вопрос 1 из 3/);
+  });
+
+  await t.test('repeated taps on an answer are counted once', async () => {
+    const { storageManager, sessionManager } = await launch();
+    await say(api, '📋 1', isQuestionCall);
+    const { message, button } = correctButton(api);
+
+    // All taps arrive before the first one is handled
+    const since = api.calls.length;
+    const replies = await Promise.all([1, 2, 3].map(() => pressAndWait(api, button, message)));
+    await api.waitFor(isQuestionCall, { since });
+
+    assert.deepStrictEqual(replies.map(reply => reply.params.text).sort(), [
+      '✅ Правильно!',
+      '✔️ Этот вопрос уже отвечен',
+      '✔️ Этот вопрос уже отвечен'
+    ]);
+    replies.forEach(reply => assert.strictEqual(countReplies(api, reply), 1));
+    assert.strictEqual(api.calls.slice(since).filter(isQuestionCall).length, 1);
+    assert.match(lastQuestion(api).message.text, /Вопрос 2 из 3/);
+
+    const session = await sessionManager.get(USER_ID);
+    assert.strictEqual(session.correctAnswers, 1);
+    assert.strictEqual(session.incorrectAnswers, 0);
+    assert.strictEqual((await storageManager.getAnswers(USER_ID)).length, 1);
+  });
+
+  await t.test('taps on earlier questions and attempts change nothing', async () => {
+    const { storageManager, sessionManager } = await launch();
+    await say(api, '📋 1', isQuestionCall);
+    const first = correctButton(api);
+    await answer(api, true);
+    await answer(api, false);
+
+    // Out of order: the first question of this attempt again
+    const earlier = await pressAndWait(api, first.button, first.message);
+    assert.strictEqual(earlier.params.text, '✔️ Этот вопрос уже отвечен');
+    assert.strictEqual(countReplies(api, earlier), 1);
+
+    const last = correctButton(api);
+    await answer(api, true);
+    assert.match(api.calls.find(isStatistics).params.text, /✅ Правильных: 2\n❌ Неправильных: 1/);
+
+    // Stale: a button of the finished attempt while the ticket runs again
+    await say(api, '📋 1', isQuestionCall);
+    const since = api.calls.length;
+    const stale = await pressAndWait(api, last.button, last.message);
+    assert.strictEqual(stale.params.text, '⚠️ Этот вопрос из прошлой попытки');
+    assert.strictEqual(countReplies(api, stale), 1);
+    assert.strictEqual(api.calls.slice(since).some(isQuestionCall), false);
+
+    const session = await sessionManager.get(USER_ID);
+    assert.strictEqual(session.currentQuestion, 1);
+    assert.strictEqual(session.correctAnswers + session.incorrectAnswers, 0);
+    assert.strictEqual((await storageManager.getAnswers(USER_ID)).length, 3);
+    assert.strictEqual((await storageManager.getTickets(USER_ID)).length, 1);
+  });
+
+  await t.test('ticket out of range is refused', async () => {
+    await launch();
+
+    const reply = await say(api, '📋 99', call => call.method === 'sendMessage');
+    assert.strictEqual(reply.params.text, `❌ Пожалуйста, выберите билет от 1 до ${TICKET_COUNT}`);
+    assert.strictEqual(api.calls.some(isQuestionCall), false);
+  });
+});
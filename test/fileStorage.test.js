@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const FileStorage = require('../storage/fileStorage');
+
+test('counters add increments appended by other instances', async (t) => {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pdd-storage-test-'));
+  t.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+  const first = new FileStorage(dataDir);
+  const second = new FileStorage(dataDir);
+
+  assert.deepStrictEqual(await first.getCounters('broadcast_1'), {});
+
+  await first.incrementCounter('broadcast_1', 'delivered', 1);
+  await second.incrementCounter('broadcast_1', 'delivered', 1);
+  assert.deepStrictEqual(await first.getCounters('broadcast_1'), { delivered: 2 });
+
+  await second.incrementCounter('broadcast_1', 'blocked', 1);
+  assert.deepStrictEqual(await first.getCounters('broadcast_1'), { delivered: 2, blocked: 1 });
+  assert.deepStrictEqual(await second.getCounters('broadcast_1'), { delivered: 2, blocked: 1 });
+});
+
+test('a counter line still being written is read once it is complete', async (t) => {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pdd-storage-test-'));
+  t.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+  const storage = new FileStorage(dataDir);
+  const filePath = path.join(dataDir, 'counters', 'broadcast_1.jsonl');
+
+  await storage.incrementCounter('broadcast_1', 'delivered', 1);
+  fs.appendFileSync(filePath, '{"field":"fail');
+  assert.deepStrictEqual(await storage.getCounters('broadcast_1'), { delivered: 1 });
+
+  fs.appendFileSync(filePath, 'ed","by":1}\n');
+  assert.deepStrictEqual(await storage.getCounters('broadcast_1'), { delivered: 1, failed: 1 });
+});
+
+test('concurrent writes to one file all succeed', async (t) => {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pdd-storage-test-'));
+  t.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+  const storage = new FileStorage(dataDir);
+  const filePath = path.join(dataDir, 'users', '1', 'settings.json');
+  const values = [1, 2, 3, 4, 5].map(n => ({ n }));
+
+  await Promise.all(values.map(value => storage.writeJson(filePath, value)));
+
+  const { n } = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  assert.ok(values.some(value => value.n === n));
+  assert.deepStrictEqual(fs.readdirSync(path.dirname(filePath)), ['settings.json']);
+});
@@ -0,0 +1,304 @@
+/**
+ * Fake Telegram Bot API server for offline tests
+ * Serves /bot<token>/<method> like api.telegram.org, so a real TelegramBot client
+ * created with { baseApiUrl: api.url } talks to it: every call is recorded,
+ * sends and edits get plausible results and injected updates are returned by getUpdates
+ */
+
+const http = require('http');
+
+// How long an empty getUpdates request is held before it returns no updates
+const DEFAULT_HOLD_MS = 50;
+
+class FakeBotApi {
+  /**
+   * @param {Object} options - Server options
+   * @param {number} options.holdMs - Long polling hold time of an empty getUpdates
+   */
+  constructor({ holdMs = DEFAULT_HOLD_MS } = {}) {
+    this.holdMs = holdMs;
+    this.server = http.createServer((req, res) => this.handleRequest(req, res));
+    this.url = null;
+
+    // Recorded Bot API calls: { method, params, result }
+    this.calls = [];
+    // Injected updates not handed out yet (each update is delivered once)
+    this.updates = [];
+    this.nextUpdateId = 1;
+    this.nextMessageId = 1;
+    this.nextCallbackId = 1;
+    // Held getUpdates requests and waitFor() subscribers
+    this.polls = [];
+    this.waiters = [];
+  }
+
+  /**
+   * Start listening on a free local port
+   * @returns {Promise<string>} Base API URL
+   */
+  async start() {
+    await new Promise(resolve => this.server.listen(0, '127.0.0.1', resolve));
+    this.url = `http://127.0.0.1:${this.server.address().port}`;
+    return this.url;
+  }
+
+  /**
+   * Answer held requests and stop the server
+   */
+  async stop() {
+    this.polls.forEach(poll => poll.respond());
+    this.polls = [];
+    this.waiters.forEach(waiter => waiter.reject(new Error('Fake Bot API stopped')));
+    this.waiters = [];
+    this.server.closeAllConnections();
+    await new Promise(resolve => this.server.close(resolve));
+  }
+
+  /**
+   * Queue an update for getUpdates
+   * @param {Object} update - Update without update_id ({ message } or { callback_query })
+   * @returns {Object} Update with its update_id
+   */
+  injectUpdate(update) {
+    const queued = { update_id: this.nextUpdateId++, ...update };
+    this.updates.push(queued);
+    this.polls.forEach(poll => poll.respond());
+    return queued;
+  }
+
+  /**
+   * Inject a private text message from a user
+   * @param {number} userId - Telegram user ID (also the chat ID)
+   * @param {string} text - Message text
+   * @returns {Object} Injected update
+   */
+  sendText(userId, text) {
+    return this.injectUpdate({
+      message: {
+        message_id: this.nextMessageId++,
+        from: { id: userId, is_bot: false, first_name: 'Test', language_code: 'ru' },
+        chat: { id: userId, type: 'private' },
+        date: Math.floor(Date.now() / 1000),
+        text
+      }
+    });
+  }
+
+  /**
+   * Inject an inline button press
+   * @param {number} userId - Telegram user ID
+   * @param {string} data - Callback data of the button
+   * @param {Object} message - Message carrying the button (a recorded call result)
+   * @returns {Object} Injected update
+   */
+  pressButton(userId, data, message) {
+    return this.injectUpdate({
+      callback_query: {
+        id: String(this.nextCallbackId++),
+        from: { id: userId, is_bot: false, first_name: 'Test', language_code: 'ru' },
+        message,
+        chat_instance: String(userId),
+        data
+      }
+    });
+  }
+
+  /**
+   * Get recorded calls of a method
+   * @param {string} method - Bot API method name
+   * @returns {Object[]} Calls in order
+   */
+  getCalls(method) {
+    return this.calls.filter(call => call.method === method);
+  }
+
+  /**
+   * Wait for a recorded call matching a predicate
+   * @param {Function} predicate - (call) => boolean
+   * @param {Object} options - Wait options
+   * @param {number} options.since - Only calls recorded after this many calls match
+   * @param {number} options.timeoutMs - Rejects after this time
+   * @returns {Promise<Object>} Matching call
+   */
+  waitFor(predicate, { since = 0, timeoutMs = 3000 } = {}) {
+    const found = this.calls.slice(since).find(predicate);
+    if (found) {
+      return Promise.resolve(found);
+    }
+
+    return new Promise((resolve, reject) => {
+      const waiter = {
+        predicate,
+        resolve,
+        reject,
+        timer: setTimeout(() => {
+          this.waiters = this.waiters.filter(w => w !== waiter);
+          const recent = this.calls.slice(since).map(call => call.method).join(', ');
+          reject(new Error(`No matching Bot API call within ${timeoutMs}ms (calls since: ${recent || 'none'})`));
+        }, timeoutMs)
+      };
+      this.waiters.push(waiter);
+    });
+  }
+
+  /**
+   * Record a call and notify waiters
+   * @param {Object} call - { method, params, result }
+   */
+  record(call) {
+    this.calls.push(call);
+    this.waiters = this.waiters.filter(waiter => {
+      if (!waiter.predicate(call)) {
+        return true;
+      }
+      clearTimeout(waiter.timer);
+      waiter.resolve(call);
+      return false;
+    });
+  }
+
+  /**
+   * Handle a Bot API request
+   * @param {http.IncomingMessage} req - Request
+   * @param {http.ServerResponse} res - Response
+   */
+  async handleRequest(req, res) {
+    const match = req.url.match(/^\/bot[^/]+\/(\w+)/);
+    const chunks = [];
+    for await (const chunk of req) {
+      chunks.push(chunk);
+    }
+
+    const send = (body) => {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(body));
+    };
+
+    if (!match) {
+      res.writeHead(404, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ ok: false, error_code: 404, description: 'Not Found' }));
+      return;
+    }
+
+    const method = match[1];
+    const params = parseParams(req.headers['content-type'] || '', Buffer.concat(chunks));
+
+    if (method === 'getUpdates') {
+      this.handleGetUpdates(params, send);
+      return;
+    }
+
+    const result = this.getResult(method, params);
+    this.record({ method, params, result });
+    send({ ok: true, result });
+  }
+
+  /**
+   * Return queued updates at once, or hold the request until one is injected
+   * @param {Object} params - getUpdates parameters
+   * @param {Function} send - Sends the response body
+   */
+  handleGetUpdates(params, send) {
+    const poll = {
+      respond: () => {
+        clearTimeout(poll.timer);
+        this.polls = this.polls.filter(p => p !== poll);
+        const updates = this.updates;
+        this.updates = [];
+        send({ ok: true, result: updates });
+      }
+    };
+
+    if (this.updates.length > 0) {
+      poll.respond();
+      return;
+    }
+
+    poll.timer = setTimeout(() => poll.respond(), this.holdMs);
+    this.polls.push(poll);
+  }
+
+  /**
+   * Build the result of a Bot API method
+   * @param {string} method - Method name
+   * @param {Object} params - Call parameters
+   * @returns {*} Result as Telegram would return it
+   */
+  getResult(method, params) {
+    const chat = { id: Number(params.chat_id), type: 'private' };
+    const date = Math.floor(Date.now() / 1000);
+
+    switch (method) {
+      case 'getMe':
+        return { id: 1, is_bot: true, first_name: 'Fake', username: 'fake_bot' };
+      case 'sendMessage':
+        return { message_id: this.nextMessageId++, chat, date, text: params.text, reply_markup: params.reply_markup };
+      case 'sendPhoto': {
+        const messageId = this.nextMessageId++;
+        return {
+          message_id: messageId,
+          chat,
+          date,
+          caption: params.caption,
+          reply_markup: params.reply_markup,
+          photo: [{ file_id: `photo-${messageId}`, file_unique_id: `u${messageId}`, width: 640, height: 480 }]
+        };
+      }
+      case 'editMessageText':
+      case 'editMessageCaption':
+      case 'editMessageMedia':
+      case 'editMessageReplyMarkup':
+        return { message_id: Number(params.message_id), chat, date, text: params.text, reply_markup: params.reply_markup };
+      case 'getWebHookInfo':
+        return { url: '', has_custom_certificate: false, pending_update_count: 0 };
+      default:
+        // answerCallbackQuery, deleteMessage, setWebHook, deleteWebHook, ...
+        return true;
+    }
+  }
+}
+
+/**
+ * Parse request parameters (node-telegram-bot-api posts forms, multipart for files)
+ * JSON-encoded fields such as reply_markup are decoded
+ * @param {string} contentType - Content-Type header
+ * @param {Buffer} body - Request body
+ * @returns {Object} Parameters
+ */
+function parseParams(contentType, body) {
+  const params = {};
+
+  if (contentType.startsWith('application/json')) {
+    Object.assign(params, body.length > 0 ? JSON.parse(body.toString()) : {});
+  } else if (contentType.startsWith('multipart/form-data')) {
+    const boundary = contentType.split('boundary=')[1];
+    body.toString('latin1').split(`--${boundary}`).forEach(part => {
+      const [head, ...rest] = part.split('\r\n\r\n');
+      const name = (head.match(/name="([^"]+)"/) || [])[1];
+      if (name) {
+        params[name] = /filename="/.test(head)
+          ? '[file]'
+          : Buffer.from(rest.join('\r\n\r\n').replace(/\r\n$/, ''), 'latin1').toString('utf8');
+      }
+    });
+  } else {
+    new URLSearchParams(body.toString()).forEach((value, key) => {
+      params[key] = value;
+    });
+  }
+
+  Object.keys(params).forEach(key => {
+    const value = params[key];
+    if (typeof value === 'string' && /^[{[]/.test(value)) {
+      try {
+        params[key] = JSON.parse(value);
+      } catch (error) {
+        // Plain text that happens to start with a bracket
+      }
+    }
+  });
+
+  return params;
+}
+
+module.exports = FakeBotApi;
@@ -0,0 +1,107 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const {
+  SUPPORTED_LOCALES,
+  resolveLocale,
+  getSettingsLocale,
+  t,
+  isMessage,
+  localizeQuestion
+} = require('../utils/i18n');
+const { validateQuestions } = require('../utils/questionValidator');
+
+const question = {
+  questionId: '1_1',
+  ticketNumber: 1,
+  questionNumber: 1,
+  text: 'Какой знак запрещает стоянку?',
+  options: ['Первый', 'Второй', 'Третий'],
+  correctAnswerIndex: 1,
+  explanation: 'Знак 3.28 запрещает стоянку.',
+  translations: {
+    en: {
+      text: 'Which sign prohibits parking?',
+      options: ['The first', 'The second', 'The third']
+    }
+  }
+};
+
+/**
+ * Collect the dotted keys of a catalogue; plural forms count as one key
+ * @param {Object} node - Catalogue subtree
+ * @param {string} prefix - Key of the subtree
+ * @returns {string[]} Keys
+ */
+function catalogueKeys(node, prefix = '') {
+  return Object.entries(node).flatMap(([name, value]) => {
+    const key = prefix ? `${prefix}.${name}` : name;
+    return typeof value === 'object' && !('other' in value) ? catalogueKeys(value, key) : [key];
+  });
+}
+
+test('every language has the same messages', () => {
+  const [reference, ...others] = SUPPORTED_LOCALES.map(locale => catalogueKeys(require(`../locales/${locale}.json`)).sort());
+  others.forEach(keys => assert.deepStrictEqual(keys, reference));
+});
+
+test('plural forms follow the language rules', () => {
+  assert.strictEqual(t('ru', 'plural.questions', { count: 1 }), '1 вопрос');
+  assert.strictEqual(t('ru', 'plural.questions', { count: 3 }), '3 вопроса');
+  assert.strictEqual(t('ru', 'plural.questions', { count: 11 }), '11 вопросов');
+  assert.strictEqual(t('ru', 'plural.questions', { count: 21 }), '21 вопрос');
+  assert.strictEqual(t('en', 'plural.questions', { count: 1 }), '1 question');
+  assert.strictEqual(t('en', 'plural.questions', { count: 20 }), '20 questions');
+});
+
+test('messages are interpolated and fall back to the default language', () => {
+  assert.strictEqual(t('en', 'quiz.progress', { current: 2, total: 20 }), '📝 Question 2 of 20');
+  assert.strictEqual(t('uz', 'quiz.progress', { current: 2, total: 20 }), '📝 Вопрос 2 из 20');
+  assert.strictEqual(t('en', 'no.such.message'), 'no.such.message');
+});
+
+test('Telegram language codes resolve to supported languages', () => {
+  assert.strictEqual(resolveLocale('en-GB'), 'en');
+  assert.strictEqual(resolveLocale('RU'), 'ru');
+  assert.strictEqual(resolveLocale('uz'), 'ru');
+  assert.strictEqual(resolveLocale(undefined), 'ru');
+
+  assert.strictEqual(getSettingsLocale({ language: null, languageCode: 'en' }), 'en');
+  assert.strictEqual(getSettingsLocale({ language: 'ru', languageCode: 'en' }, 'en-US'), 'ru');
+  assert.strictEqual(getSettingsLocale({ language: null, languageCode: 'ru' }, 'en-US'), 'en');
+});
+
+test('buttons are recognized in any language', () => {
+  assert.ok(isMessage('🎓 Экзамен', 'buttons.exam'));
+  assert.ok(isMessage('🎓 Exam', 'buttons.exam'));
+  assert.ok(!isMessage('🎓 Exam', 'buttons.marathon'));
+});
+
+test('questions are shown translated when a translation exists', () => {
+  const english = localizeQuestion(question, 'en');
+  assert.strictEqual(english.text, 'Which sign prohibits parking?');
+  assert.deepStrictEqual(english.options, ['The first', 'The second', 'The third']);
+  assert.strictEqual(english.explanation, question.explanation, 'missing fields keep the original');
+  assert.strictEqual(english.correctAnswerIndex, 1);
+
+  assert.strictEqual(localizeQuestion(question, 'ru'), question);
+
+  const mismatched = { ...question, translations: { en: { options: ['Only one'] } } };
+  assert.deepStrictEqual(localizeQuestion(mismatched, 'en').options, question.options);
+});
+
+test('translations are validated with the question bank', () => {
+  const broken = {
+    ...question,
+    questionId: '1_2',
+    questionNumber: 2,
+    translations: { en: { text: '', options: ['Only one'] } }
+  };
+  const result = validateQuestions([question, broken], { questionsPerTicket: 1 });
+
+  assert.deepStrictEqual(result.validQuestions, [question]);
+  assert.deepStrictEqual(result.errors.map(error => error.message), [
+    'перевод en: text должен быть непустой строкой',
+    'перевод en: 1 вариантов ответа вместо 3'
+  ]);
+});
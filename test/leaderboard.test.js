@@ -0,0 +1,237 @@
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'warn';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const StorageManager = require('../storage/storageManager');
+const LeaderboardScheduler = require('../utils/leaderboardScheduler');
+const {
+  PARTICIPANTS_SET,
+  getWeekStart,
+  backfillAllTimeResults,
+  recordLeaderboardResult,
+  rankResults,
+  getWeeklyLeaderboard,
+  getAllTimeLeaderboard,
+  normalizeNickname,
+  claimNickname,
+  getDisplayName
+} = require('../utils/leaderboard');
+
+// Noon in Moscow (DEFAULT_TIMEZONE) on Wednesday 2026-10-14 and the days around it
+const WEDNESDAY = Date.parse('2026-10-14T09:00:00Z');
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const dataDirs = [];
+
+test.after(() => {
+  dataDirs.forEach(dataDir => fs.rmSync(dataDir, { recursive: true, force: true }));
+});
+
+/**
+ * Create file storage in a temporary directory
+ * @returns {Promise<StorageManager>} Storage, with its directory as dataDir
+ */
+async function createStorage() {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pdd-leaderboard-test-'));
+  dataDirs.push(dataDir);
+  const storageManager = new StorageManager({ backend: 'file', dataDir });
+  await storageManager.initialize();
+  return Object.assign(storageManager, { dataDir });
+}
+
+/**
+ * Add two participants with results in the week of 2026-10-12
+ * @param {StorageManager} storageManager - Shared storage
+ * @returns {Promise<void>}
+ */
+async function prepareWeek(storageManager) {
+  for (const userId of [1, 2]) {
+    await storageManager.addToSet(PARTICIPANTS_SET, userId);
+  }
+  await recordLeaderboardResult(storageManager, 1, { correct: 20, answered: 20, passed: true }, WEDNESDAY);
+  await recordLeaderboardResult(storageManager, 2, { correct: 15, answered: 20, passed: false }, WEDNESDAY);
+}
+
+// Monday 2026-10-19, 10:00 and 13:00 in Moscow
+const MONDAY_MORNING = Date.parse('2026-10-19T07:00:00Z');
+const MONDAY_AFTERNOON = Date.parse('2026-10-19T10:00:00Z');
+
+test('weeks start on Monday', () => {
+  assert.strictEqual(getWeekStart('2026-10-12'), '2026-10-12');
+  assert.strictEqual(getWeekStart('2026-10-14'), '2026-10-12');
+  assert.strictEqual(getWeekStart('2026-10-18'), '2026-10-12');
+  assert.strictEqual(getWeekStart('2026-10-19'), '2026-10-19');
+});
+
+test('results are ranked by tickets passed, accuracy and streak days', () => {
+  const ranked = rankResults([
+    { userId: 1, passed: 3, correct: 50, answered: 60, streak: 1 },
+    { userId: 2, passed: 5, correct: 80, answered: 100, streak: 1 },
+    { userId: 3, passed: 3, correct: 57, answered: 60, streak: 1 },
+    { userId: 4, passed: 3, correct: 50, answered: 60, streak: 4 }
+  ]);
+
+  assert.deepStrictEqual(ranked.map(result => [result.userId, result.place]), [[2, 1], [3, 2], [4, 3], [1, 4]]);
+});
+
+test('only opted-in users are ranked', async () => {
+  const storageManager = await createStorage();
+  await recordLeaderboardResult(storageManager, 1, { correct: 20, answered: 20, passed: true }, WEDNESDAY);
+  await recordLeaderboardResult(storageManager, 2, { correct: 19, answered: 20, passed: true }, WEDNESDAY);
+  await storageManager.addToSet(PARTICIPANTS_SET, 2);
+
+  const weekly = await getWeeklyLeaderboard(storageManager, '2026-10-12');
+  assert.deepStrictEqual(weekly.map(result => result.userId), [2]);
+  assert.strictEqual(weekly[0].passed, 1);
+  assert.strictEqual(weekly[0].correct, 19);
+
+  assert.deepStrictEqual(await getWeeklyLeaderboard(storageManager, '2026-10-05'), []);
+});
+
+test('streak days count active days in a row', async () => {
+  const storageManager = await createStorage();
+  await storageManager.addToSet(PARTICIPANTS_SET, 1);
+  const result = { correct: 18, answered: 20, passed: true };
+
+  await recordLeaderboardResult(storageManager, 1, result, WEDNESDAY - DAY_MS);
+  await recordLeaderboardResult(storageManager, 1, result, WEDNESDAY);
+  await recordLeaderboardResult(storageManager, 1, result, WEDNESDAY);
+
+  const [weekly] = await getWeeklyLeaderboard(storageManager, '2026-10-12');
+  assert.strictEqual(weekly.passed, 3);
+  assert.strictEqual(weekly.streak, 2, 'two active days this week');
+
+  const [today] = await getAllTimeLeaderboard(storageManager, WEDNESDAY);
+  assert.strictEqual(today.streak, 2);
+  const [later] = await getAllTimeLeaderboard(storageManager, WEDNESDAY + 3 * DAY_MS);
+  assert.strictEqual(later.streak, 0, 'the streak ends after a day without results');
+  assert.strictEqual(later.passed, 3);
+});
+
+test('results finished before the leaderboards count for all time', async () => {
+  const storageManager = await createStorage();
+  await storageManager.addToSet(PARTICIPANTS_SET, 1);
+  const history = [
+    { mode: 'ticket', correct: 19, incorrect: 1, passed: true },
+    { mode: 'exam', correct: 15, incorrect: 3, passed: false },
+    { mode: 'topic', correct: 10, incorrect: 0, passed: true }
+  ];
+  for (const ticket of history) {
+    await storageManager.recordTicket({ userId: 1, ...ticket, finishTime: new Date(WEDNESDAY - 30 * DAY_MS).toISOString() });
+  }
+
+  await recordLeaderboardResult(storageManager, 1, { correct: 20, answered: 20, passed: true }, WEDNESDAY);
+  await backfillAllTimeResults(storageManager, 1);
+
+  const [allTime] = await getAllTimeLeaderboard(storageManager, WEDNESDAY);
+  assert.deepStrictEqual([allTime.passed, allTime.correct, allTime.answered], [2, 54, 58]);
+  const [weekly] = await getWeeklyLeaderboard(storageManager, '2026-10-12');
+  assert.deepStrictEqual([weekly.passed, weekly.correct, weekly.answered], [1, 20, 20]);
+});
+
+test('nicknames are unique regardless of case', async () => {
+  const storageManager = await createStorage();
+
+  assert.strictEqual(await claimNickname(storageManager, 1, 'Гонщик 77'), true);
+  assert.strictEqual(await claimNickname(storageManager, 1, 'Гонщик 77'), true, 'the owner may set it again');
+  assert.strictEqual(await claimNickname(storageManager, 2, 'гонщик 77'), false);
+
+  assert.strictEqual(await claimNickname(storageManager, 1, 'Пилот', 'Гонщик 77'), true);
+  // The short lock taken with the first claim expires
+  fs.rmSync(path.join(storageManager.dataDir, 'locks', encodeURIComponent('leaderboard:nickname:гонщик 77')));
+  assert.strictEqual(await claimNickname(storageManager, 2, 'гонщик 77'), true, 'a changed nickname is freed');
+  assert.strictEqual(await claimNickname(storageManager, 2, 'ПИЛОТ'), false);
+});
+
+test('nicknames are checked and Telegram names are never shown', () => {
+  assert.strictEqual(normalizeNickname('  Гонщик   77 '), 'Гонщик 77');
+  assert.strictEqual(normalizeNickname('x'), null);
+  assert.strictEqual(normalizeNickname('https://spam.example'), null);
+  assert.strictEqual(normalizeNickname('a'.repeat(21)), null);
+
+  assert.strictEqual(getDisplayName({ nickname: 'Гонщик 77' }, 1, 'ru'), 'Гонщик 77');
+  const name = getDisplayName({ nickname: null }, 1, 'ru');
+  assert.match(name, /^Ученик #\d{4}$/);
+  assert.strictEqual(getDisplayName({ nickname: null }, 1, 'ru'), name, 'the numbered name is stable');
+});
+
+test('weekly results are announced once across instances', async () => {
+  const storageManager = await createStorage();
+  await prepareWeek(storageManager);
+
+  const sent = [];
+  const sendResults = async (userId, results) => sent.push({ userId, ...results });
+  // Two instances sharing the storage
+  const schedulers = [new LeaderboardScheduler(storageManager, sendResults), new LeaderboardScheduler(storageManager, sendResults)];
+
+  assert.strictEqual(await schedulers[0].tick(MONDAY_MORNING), 0, 'nothing is sent before the announcement hour');
+
+  const counts = [];
+  for (const scheduler of schedulers) {
+    counts.push(await scheduler.tick(MONDAY_AFTERNOON));
+  }
+  counts.push(await schedulers[1].tick(MONDAY_AFTERNOON + DAY_MS));
+
+  assert.deepStrictEqual(counts, [2, 0, 0]);
+  assert.deepStrictEqual(sent.map(({ userId, place, total }) => [userId, place, total]), [[1, 1, 2], [2, 2, 2]]);
+  assert.strictEqual(sent[0].weekStart, '2026-10-12');
+  assert.deepStrictEqual(sent[0].winners.map(winner => winner.userId), [1, 2]);
+});
+
+test('an announcement cut short by a crash is finished by another instance', async () => {
+  const storageManager = await createStorage();
+  await prepareWeek(storageManager);
+
+  // The first instance dies while sending to the second participant
+  const sent = [];
+  let crashed;
+  const crash = new Promise(resolve => { crashed = resolve; });
+  const crashing = new LeaderboardScheduler(storageManager, async (userId) => {
+    if (userId === 2) {
+      crashed();
+      return new Promise(() => {});
+    }
+    sent.push(userId);
+  });
+  crashing.tick(MONDAY_AFTERNOON);
+  await crash;
+
+  const other = new LeaderboardScheduler(storageManager, async (userId) => sent.push(userId));
+  assert.strictEqual(await other.tick(MONDAY_AFTERNOON), 0, 'the running announcement holds the lock');
+
+  // The lock of the dead instance expires
+  fs.rmSync(path.join(storageManager.dataDir, 'locks', encodeURIComponent('leaderboard:2026-10-12:0')));
+  assert.strictEqual(await other.tick(MONDAY_AFTERNOON + 60 * 60 * 1000), 1);
+  assert.strictEqual(await other.tick(MONDAY_AFTERNOON + 2 * 60 * 60 * 1000), 0);
+  assert.deepStrictEqual(sent, [1, 2]);
+});
+
+test('participants whose announcement failed get it on the next check', async () => {
+  const storageManager = await createStorage();
+  await prepareWeek(storageManager);
+
+  const sent = [];
+  const failures = {
+    // Network failure: tried again
+    1: Object.assign(new Error('socket hang up'), { code: 'EFATAL' }),
+    // Blocked the bot: never tried again
+    2: Object.assign(new Error('Forbidden'), { response: { body: { error_code: 403 } } })
+  };
+  const scheduler = new LeaderboardScheduler(storageManager, async (userId) => {
+    const error = failures[userId];
+    delete failures[userId];
+    if (error) {
+      throw error;
+    }
+    sent.push(userId);
+  });
+
+  assert.strictEqual(await scheduler.tick(MONDAY_AFTERNOON), 0);
+  assert.strictEqual(await scheduler.tick(MONDAY_AFTERNOON + 30 * 60 * 1000), 1);
+  assert.strictEqual(await scheduler.tick(MONDAY_AFTERNOON + 60 * 60 * 1000), 0);
+  assert.deepStrictEqual(sent, [1]);
+});
@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { createLogger, runWithContext, redact } = require('../utils/logger');
+
+/**
+ * Capture the lines a function writes to stdout and stderr
+ * @param {Function} fn - Async function writing logs
+ * @returns {Promise<Object[]>} Parsed log records
+ */
+async function captureLogs(fn) {
+  const lines = [];
+  const originals = { stdout: process.stdout.write, stderr: process.stderr.write };
+  // The test runner reports through stdout as well, its writes are passed on
+  const capture = stream => function (chunk, ...args) {
+    if (String(chunk).startsWith('{"time"')) {
+      lines.push(String(chunk));
+      return true;
+    }
+    return originals[stream].call(this, chunk, ...args);
+  };
+  process.stdout.write = capture('stdout');
+  process.stderr.write = capture('stderr');
+  try {
+    await fn();
+  } finally {
+    process.stdout.write = originals.stdout;
+    process.stderr.write = originals.stderr;
+  }
+  return lines.map(line => JSON.parse(line));
+}
+
+test('log lines are JSON with the component and level', async () => {
+  const [record] = await captureLogs(() => createLogger('QueueManager').info('Processing partition', { partition: 2 }));
+
+  assert.strictEqual(record.level, 'info');
+  assert.strictEqual(record.component, 'QueueManager');
+  assert.strictEqual(record.msg, 'Processing partition');
+  assert.strictEqual(record.partition, 2);
+  assert.ok(!Number.isNaN(Date.parse(record.time)));
+});
+
+test('debug lines are skipped at the default level', async () => {
+  const records = await captureLogs(() => createLogger('Bot').debug('Update queued'));
+  assert.deepStrictEqual(records, []);
+});
+
+test('the update context follows async calls', async () => {
+  const log = createLogger('Bot');
+  const records = await captureLogs(() => runWithContext({ correlationId: 'abc123', userId: 42 }, async () => {
+    await new Promise(resolve => setTimeout(resolve, 1));
+    log.info('Answer recorded');
+    await Promise.resolve().then(() => log.warn('Slow storage'));
+  }));
+
+  assert.deepStrictEqual(records.map(r => [r.msg, r.correlationId, r.userId]), [
+    ['Answer recorded', 'abc123', 42],
+    ['Slow storage', 'abc123', 42]
+  ]);
+
+  const [outside] = await captureLogs(() => log.info('Idle'));
+  assert.strictEqual(outside.correlationId, undefined);
+});
+
+test('errors are flattened and the bot token is removed', async () => {
+  const error = new Error('EFATAL: request to https://api.telegram.org/bot123456789:AAE3kq2lE9xZ-v7Wq0m1Lr8tYb5cNd4pQsU/sendMessage failed');
+  error.code = 'EFATAL';
+
+  const [record] = await captureLogs(() => createLogger('MessageSender').error('Dropped message', { err: error }));
+
+  assert.strictEqual(record.err.code, 'EFATAL');
+  assert.ok(!record.err.message.includes('AAE3kq2lE9xZ'));
+  assert.ok(!record.err.stack.includes('AAE3kq2lE9xZ'));
+  assert.match(record.err.message, /bot\[redacted\]\/sendMessage/);
+});
+
+test('user names and message texts are redacted', () => {
+  const message = {
+    message_id: 7,
+    from: { id: 1001, first_name: 'Иван', last_name: 'Петров', username: 'ivan_p', language_code: 'ru' },
+    chat: { id: 1001, type: 'private' },
+    text: '/start'
+  };
+
+  assert.deepStrictEqual(redact({ message }), {
+    message: {
+      message_id: 7,
+      from: { id: 1001, first_name: '[redacted]', last_name: '[redacted]', username: '[redacted]', language_code: 'ru' },
+      chat: { id: 1001, type: 'private' },
+      text: '[redacted]'
+    }
+  });
+});
@@ -0,0 +1,152 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+
+const { Metrics, sumSeries } = require('../utils/metrics');
+const HttpServer = require('../utils/httpServer');
+const MessageSender = require('../utils/messageSender');
+
+/**
+ * Get the sample lines of a metric from a rendered body
+ * @param {string} body - Exposition format text
+ * @param {string} name - Metric name
+ * @returns {string[]} Sample lines
+ */
+function samples(body, name) {
+  return body.split('\n').filter(line => line.startsWith(name));
+}
+
+test('counters are rendered with their labels', async () => {
+  const metrics = new Metrics();
+  metrics.increment('pdd_updates_total', { type: 'message' });
+  metrics.increment('pdd_updates_total', { type: 'message' });
+  metrics.increment('pdd_updates_total', { type: 'callback_query' });
+  metrics.increment('pdd_telegram_errors_total', { method: 'sendMessage', code: 403 });
+
+  const body = await metrics.render();
+  assert.match(body, /^# TYPE pdd_updates_total counter$/m);
+  assert.deepStrictEqual(samples(body, 'pdd_updates_total{'), [
+    'pdd_updates_total{type="callback_query"} 1',
+    'pdd_updates_total{type="message"} 2'
+  ]);
+  assert.match(body, /^pdd_telegram_errors_total\{method="sendMessage",code="403"\} 1$/m);
+  // Metrics nothing was counted in are still described
+  assert.match(body, /^# TYPE pdd_tickets_completed_total counter$/m);
+
+  assert.throws(() => metrics.increment('pdd_unknown_total'), /Unknown counter/);
+});
+
+test('messages dropped after retries are counted by reason', async () => {
+  const metrics = new Metrics();
+  const networkError = Object.assign(new Error('socket hang up'), { code: 'EFATAL' });
+  const serverError = Object.assign(new Error('Bad Gateway'), { response: { body: { error_code: 502 } } });
+  const errors = [networkError, serverError, serverError];
+  const bot = { sendMessage: async () => { throw errors.shift(); } };
+  const sender = new MessageSender(bot, { maxAttempts: 1, metrics });
+
+  for (let i = 0; i < 3; i++) {
+    await assert.rejects(sender.sendMessage(i, 'text'));
+  }
+
+  const body = await metrics.render();
+  assert.deepStrictEqual(samples(body, 'pdd_messages_dropped_total{'), [
+    'pdd_messages_dropped_total{reason="network"} 1',
+    'pdd_messages_dropped_total{reason="server_error"} 2'
+  ]);
+  assert.strictEqual(sender.getStats().dropped, 3);
+});
+
+test('network failures are not retried and caller-retried messages are not counted', async () => {
+  const metrics = new Metrics();
+  const networkError = Object.assign(new Error('ETIMEDOUT'), { code: 'EFATAL' });
+  const serverError = Object.assign(new Error('Bad Gateway'), { response: { body: { error_code: 502 } } });
+  const errors = [networkError, serverError];
+  let calls = 0;
+  const bot = { sendMessage: async () => { calls++; throw errors.shift(); } };
+  const sender = new MessageSender(bot, { maxAttempts: 3, metrics });
+
+  // The timed out request may have been delivered, so it is not sent again
+  await assert.rejects(sender.sendMessage(1, 'text'));
+  assert.strictEqual(calls, 1);
+
+  await assert.rejects(sender.sendMessage(2, 'text', {}, { retry: false }));
+  assert.strictEqual(calls, 2);
+
+  const body = await metrics.render();
+  assert.deepStrictEqual(samples(body, 'pdd_messages_dropped_total{'), [
+    'pdd_messages_dropped_total{reason="network"} 1'
+  ]);
+  assert.strictEqual(sender.getStats().dropped, 1);
+  assert.strictEqual(sender.getStats().failed, 1);
+});
+
+test('histogram buckets are cumulative and ordered', async () => {
+  const metrics = new Metrics();
+  metrics.observe('pdd_update_duration_seconds', { type: 'message' }, 0.02);
+  metrics.observe('pdd_update_duration_seconds', { type: 'message' }, 0.3);
+  metrics.observe('pdd_update_duration_seconds', { type: 'message' }, 60);
+
+  const lines = samples(await metrics.render(), 'pdd_update_duration_seconds');
+  assert.strictEqual(lines[0], 'pdd_update_duration_seconds_bucket{type="message",le="0.005"} 0');
+  assert.ok(lines.includes('pdd_update_duration_seconds_bucket{type="message",le="0.025"} 1'));
+  assert.ok(lines.includes('pdd_update_duration_seconds_bucket{type="message",le="0.5"} 2'));
+  assert.ok(lines.includes('pdd_update_duration_seconds_bucket{type="message",le="10"} 2'));
+  assert.deepStrictEqual(lines.slice(-3), [
+    'pdd_update_duration_seconds_bucket{type="message",le="+Inf"} 3',
+    'pdd_update_duration_seconds_sum{type="message"} 60.32',
+    'pdd_update_duration_seconds_count{type="message"} 3'
+  ]);
+});
+
+test('collectors add gauges computed from the counter totals', async () => {
+  const metrics = new Metrics();
+  metrics.increment('pdd_tickets_completed_total', { mode: 'exam', category: 'AB', result: 'passed' });
+  metrics.increment('pdd_tickets_completed_total', { mode: 'exam', category: 'CD', result: 'failed' });
+  metrics.increment('pdd_tickets_completed_total', { mode: 'ticket', category: 'AB', result: 'passed' });
+  metrics.addCollector(async values => [{
+    name: 'pdd_pass_ratio',
+    help: 'Pass rate',
+    samples: [{
+      labels: { mode: 'exam' },
+      value: sumSeries(values, 'pdd_tickets_completed_total', { mode: 'exam', result: 'passed' }) /
+        sumSeries(values, 'pdd_tickets_completed_total', { mode: 'exam' })
+    }]
+  }]);
+  metrics.addCollector(async () => {
+    throw new Error('source unavailable');
+  });
+
+  const body = await metrics.render();
+  assert.match(body, /^# TYPE pdd_pass_ratio gauge$/m);
+  assert.match(body, /^pdd_pass_ratio\{mode="exam"\} 0\.5$/m);
+});
+
+test('/metrics is served with an optional bearer token', async () => {
+  const metrics = new Metrics();
+  metrics.increment('pdd_updates_total', { type: 'message' });
+
+  const server = new HttpServer({ port: 0, host: '127.0.0.1' });
+  server.setMetricsHandler(() => metrics.render(), 'scrape-secret');
+  await server.start();
+  const { port } = server.server.address();
+
+  const get = headers => new Promise((resolve, reject) => {
+    http.get({ host: '127.0.0.1', port, path: '/metrics', headers }, res => {
+      let body = '';
+      res.on('data', chunk => { body += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, type: res.headers['content-type'], body }));
+    }).on('error', reject);
+  });
+
+  try {
+    assert.strictEqual((await get({})).status, 401);
+    assert.strictEqual((await get({ authorization: 'Bearer wrong' })).status, 401);
+
+    const response = await get({ authorization: 'Bearer scrape-secret' });
+    assert.strictEqual(response.status, 200);
+    assert.match(response.type, /^text\/plain; version=0\.0\.4/);
+    assert.match(response.body, /^pdd_updates_total\{type="message"\} 1$/m);
+  } finally {
+    await server.stop();
+  }
+});
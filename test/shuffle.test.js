@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { seededShuffle } = require('../utils/random');
+const { generateAnswerKeyboard } = require('../utils/keyboard');
+const { formatAnswerReview } = require('../utils/explanation');
+const { parseAnswerCallback } = require('../utils/answerGuard');
+
+const question = {
+  questionId: '7_3',
+  text: 'Разрешено ли водителю…?',
+  options: ['Разрешено', 'Запрещено', 'Разрешено только днём', 'Разрешено только ночью'],
+  correctAnswerIndex: 2
+};
+
+test('seeded shuffle is a permutation that depends only on the seed', () => {
+  const items = Array.from({ length: 20 }, (_, i) => i);
+  const first = seededShuffle(items, 'a1b2c3d4:3');
+
+  assert.deepStrictEqual(seededShuffle(items, 'a1b2c3d4:3'), first);
+  assert.deepStrictEqual([...first].sort((a, b) => a - b), items);
+  assert.notDeepStrictEqual(seededShuffle(items, 'a1b2c3d4:4'), first);
+  assert.deepStrictEqual(items, Array.from({ length: 20 }, (_, i) => i), 'source array is not changed');
+});
+
+test('seeded shuffle moves options away from their file positions', () => {
+  const indexes = [0, 1, 2, 3];
+  const orders = new Set();
+  for (let position = 1; position <= 50; position++) {
+    orders.add(seededShuffle(indexes, `attempt:${position}`).join(''));
+  }
+  assert.ok(orders.size > 10, `expected varied orders, got ${orders.size}`);
+});
+
+test('shuffled buttons carry the original option index', () => {
+  const optionOrder = [3, 0, 2, 1];
+  const keyboard = generateAnswerKeyboard(question.options, 'a1b2c3d4', 3, { optionOrder });
+  const buttons = keyboard.inline_keyboard.map(([button]) => button);
+
+  assert.deepStrictEqual(buttons.map(b => b.text), optionOrder.map(index => question.options[index]));
+  buttons.forEach((button, row) => {
+    const { answerIndex } = parseAnswerCallback(button.callback_data);
+    assert.strictEqual(answerIndex, optionOrder[row]);
+    assert.strictEqual(question.options[answerIndex], button.text);
+  });
+
+  // The correct answer is found by the original index, wherever its button is
+  const correctButton = buttons.find(b => parseAnswerCallback(b.callback_data).answerIndex === question.correctAnswerIndex);
+  assert.strictEqual(correctButton.text, 'Разрешено только днём');
+});
+
+test('unshuffled keyboard keeps file order', () => {
+  const keyboard = generateAnswerKeyboard(question.options, 'a1b2c3d4', 1);
+  assert.deepStrictEqual(
+    keyboard.inline_keyboard.map(([button]) => parseAnswerCallback(button.callback_data).answerIndex),
+    [0, 1, 2, 3]
+  );
+});
+
+test('marathon keyboard has a stop button for its attempt', () => {
+  const keyboard = generateAnswerKeyboard(question.options, 'a1b2c3d4', 1, { stoppable: true });
+  const [lastButton] = keyboard.inline_keyboard[keyboard.inline_keyboard.length - 1];
+  assert.strictEqual(lastButton.callback_data, 'marathon_stop_a1b2c3d4');
+  assert.strictEqual(keyboard.inline_keyboard.length, question.options.length + 1);
+});
+
+test('review lists options in the order they were shown', () => {
+  const review = formatAnswerReview(question, 1, [3, 0, 2, 1]);
+  const lines = review.split('\n').filter(line => /^(▫️|✅|❌) /.test(line));
+
+  assert.deepStrictEqual(lines, [
+    '▫️ Разрешено только ночью',
+    '▫️ Разрешено',
+    '✅ Разрешено только днём',
+    '❌ Запрещено'
+  ]);
+});
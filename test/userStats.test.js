@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { calculateUserStats } = require('../utils/userStats');
+
+/**
+ * Build a finished ticket record
+ * @param {Object} fields - Record fields
+ * @returns {Object} Ticket record
+ */
+function ticket(fields) {
+  return { mode: 'ticket', ticketNumber: 1, correct: 20, incorrect: 0, total: 20, passed: true, ...fields };
+}
+
+test('exams do not count as ticket scores', () => {
+  const stats = calculateUserStats([], [
+    ticket({ ticketNumber: 1, correct: 19, incorrect: 1 }),
+    // Finished early after 3 mistakes: 17 questions were never answered
+    ticket({ mode: 'exam', ticketNumber: 2, correct: 0, incorrect: 3, passed: false }),
+    ticket({ mode: 'exam', ticketNumber: 1, correct: 20 })
+  ]);
+
+  assert.deepStrictEqual(stats.bestScores, { 1: { correct: 19, total: 20 } });
+  assert.strictEqual(stats.ticketsCompleted, 1);
+  assert.strictEqual(stats.ticketsPassed, 1);
+  assert.strictEqual(stats.examsTaken, 2);
+  assert.strictEqual(stats.examsPassed, 1);
+});
+
+test('the day streak follows the user timezone', () => {
+  // 23:30 and 00:30 on consecutive days in Vladivostok (UTC+10), one UTC day
+  const answers = [
+    { isCorrect: true, timestamp: '2026-10-13T13:30:00Z' },
+    { isCorrect: true, timestamp: '2026-10-13T14:30:00Z' }
+  ];
+  const now = Date.parse('2026-10-13T15:00:00Z');
+
+  assert.strictEqual(calculateUserStats(answers, [], 'Asia/Vladivostok', now).dayStreak, 2);
+  assert.strictEqual(calculateUserStats(answers, [], 'UTC', now).dayStreak, 1);
+});
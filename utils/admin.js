@@ -0,0 +1,180 @@
+/**
+ * Admin access control and admin panel texts
+ */
+
+const { t } = require('./i18n');
+
+const HARDEST_QUESTIONS_LIMIT = 10;
+const QUESTION_PREVIEW_LENGTH = 60;
+
+/**
+ * Parse admin user IDs from config
+ * @param {string} value - Comma-separated Telegram user IDs
+ * @returns {Set<number>} Admin IDs
+ */
+function parseAdminIds(value = '') {
+  return new Set(value.split(',')
+    .map(id => parseInt(id.trim()))
+    .filter(id => Number.isInteger(id)));
+}
+
+/**
+ * Format the admin panel overview
+ * @param {Object} sessionStats - Result of SessionManager.getStats
+ * @param {Object} queueStats - Result of QueueManager.getStats
+ * @param {QuestionBank[]} banks - Loaded question banks
+ * @param {Object} userCounts - Registered users ({ active, inactive })
+ * @param {Object} senderStats - Result of MessageSender.getStats (this instance)
+ * @param {string} locale - UI language
+ * @returns {string} Overview text
+ */
+function formatAdminOverview(sessionStats, queueStats, banks, userCounts, senderStats, locale) {
+  const lines = [
+    t(locale, 'admin.overview.users', userCounts),
+    t(locale, 'admin.overview.sessions', { count: sessionStats.activeSessions, store: sessionStats.store }),
+    t(locale, 'admin.overview.sessionTtl', { minutes: sessionStats.ttlMinutes }),
+    t(locale, 'admin.overview.sender', senderStats),
+    ...banks.map(bank => t(locale, 'admin.overview.bank', {
+      title: bank.getTitle(),
+      tickets: bank.ticketNumbers.length,
+      questions: bank.questions.length
+    })),
+    queueStats.enabled
+      ? t(locale, 'admin.overview.queues', {
+        partitions: queueStats.partitions,
+        waiting: queueStats.updates.reduce((sum, c) => sum + c.waiting, 0)
+      })
+      : t(locale, 'admin.overview.direct')
+  ];
+
+  return `${t(locale, 'admin.title')}\n\n${lines.join('\n')}`;
+}
+
+/**
+ * Format queue depths and failed jobs
+ * @param {Object} queueStats - Result of QueueManager.getStats
+ * @param {Object[]} failedJobs - Result of QueueManager.getFailedJobs
+ * @param {string} locale - UI language
+ * @returns {string} Queue report
+ */
+function formatQueueReport(queueStats, failedJobs, locale) {
+  if (!queueStats.enabled) {
+    return t(locale, 'admin.queues.disabled');
+  }
+
+  let text = t(locale, 'admin.queues.title', { partitions: queueStats.partitions }) + '\n\n';
+  text += queueStats.updates.map((counts, partition) =>
+    t(locale, 'admin.queues.partition', { partition, ...counts })
+  ).join('\n');
+
+  if (failedJobs.length === 0) {
+    return `${text}\n\n${t(locale, 'admin.queues.noFailed')}`;
+  }
+
+  text += `\n\n${t(locale, 'admin.queues.failedTitle')}\n`;
+  text += failedJobs.map(job => t(locale, 'admin.queues.failedJob', {
+    partition: job.partition,
+    id: job.id,
+    userId: job.userId,
+    time: new Date(job.failedAt).toISOString().slice(0, 19).replace('T', ' '),
+    reason: job.failedReason
+  })).join('\n');
+
+  return text;
+}
+
+/**
+ * Format the questions users get wrong most often
+ * @param {Object} attempts - Map of "category:questionId" -> answers count
+ * @param {Object} mistakes - Map of "category:questionId" -> wrong answers count
+ * @param {Function} getQuestion - (category, questionId) => question or null
+ * @param {string} locale - UI language
+ * @param {number} limit - Max questions listed
+ * @returns {string} Report text
+ */
+function formatHardestQuestions(attempts, mistakes, getQuestion, locale, limit = HARDEST_QUESTIONS_LIMIT) {
+  const rows = Object.entries(mistakes)
+    .map(([field, wrong]) => ({ field, wrong, total: attempts[field] || wrong }))
+    .sort((a, b) => b.wrong - a.wrong || b.wrong / b.total - a.wrong / a.total)
+    .slice(0, limit);
+
+  if (rows.length === 0) {
+    return t(locale, 'admin.hardest.empty');
+  }
+
+  return t(locale, 'admin.hardest.title') + '\n\n' + rows.map(({ field, wrong, total }, index) => {
+    const [category, questionId] = field.split(':');
+    const question = getQuestion(category, questionId);
+    const preview = question
+      ? question.text.slice(0, QUESTION_PREVIEW_LENGTH) + (question.text.length > QUESTION_PREVIEW_LENGTH ? '…' : '')
+      : t(locale, 'admin.hardest.removed');
+    return t(locale, 'admin.hardest.entry', {
+      index: index + 1,
+      wrong,
+      total,
+      percent: Math.round((wrong / total) * 100),
+      category,
+      questionId,
+      preview
+    });
+  }).join('\n');
+}
+
+/**
+ * Format user lookup result
+ * @param {number} userId - Telegram user ID
+ * @param {Object} settings - User settings
+ * @param {Object} stats - Result of calculateUserStats
+ * @param {Object|null} session - Active session, if any
+ * @param {number} mistakesCount - Questions in the mistakes list of the current category
+ * @param {string} locale - UI language
+ * @returns {string} User card
+ */
+function formatUserLookup(userId, settings, stats, session, mistakesCount, locale) {
+  const lines = [
+    t(locale, 'admin.user.category', { category: settings.category }),
+    t(locale, 'admin.user.timezone', { timezone: settings.timezone }),
+    t(locale, settings.reminders ? 'admin.user.remindersOn' : 'admin.user.remindersOff'),
+    t(locale, 'admin.user.answers', { count: stats.totalAnswers, accuracy: stats.accuracy }),
+    t(locale, 'admin.user.tickets', { count: stats.ticketsCompleted }),
+    t(locale, 'admin.user.exams', { passed: stats.examsPassed, taken: stats.examsTaken }),
+    t(locale, 'admin.user.mistakes', { count: mistakesCount }),
+    session
+      ? t(locale, session.currentTicket ? 'admin.user.ticketSession' : 'admin.user.session', {
+        mode: session.mode,
+        ticket: session.currentTicket,
+        current: session.currentQuestion,
+        total: session.questionIds.length
+      })
+      : t(locale, 'admin.user.noSession')
+  ];
+
+  return `${t(locale, 'admin.user.title', { userId })}\n\n${lines.join('\n')}`;
+}
+
+/**
+ * Format latest audit log entries
+ * @param {Object[]} entries - Audit records, oldest first
+ * @param {string} locale - UI language
+ * @returns {string} Audit log text
+ */
+function formatAuditLog(entries, locale) {
+  if (entries.length === 0) {
+    return t(locale, 'admin.audit.empty');
+  }
+
+  return t(locale, 'admin.audit.title') + '\n\n' + entries.slice().reverse().map(entry => {
+    const time = entry.timestamp.slice(0, 19).replace('T', ' ');
+    const details = Object.keys(entry.details || {}).length > 0 ? ` ${JSON.stringify(entry.details)}` : '';
+    return `${entry.allowed ? '✅' : '⛔'} ${time} · ${entry.adminId} · ${entry.action}${details}`;
+  }).join('\n');
+}
+
+module.exports = {
+  parseAdminIds,
+  formatAdminOverview,
+  formatQueueReport,
+  formatHardestQuestions,
+  formatUserLookup,
+  formatAuditLog
+};
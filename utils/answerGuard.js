@@ -0,0 +1,120 @@
+/**
+ * Answer callback guard
+ * Answer buttons carry the session attempt and the question position, so taps on
+ * old question messages, questions of previous tickets and double taps are not counted
+ */
+
+const crypto = require('crypto');
+
+const CALLBACK_PREFIX = 'answer_';
+const ATTEMPT_ID_PATTERN = /^[0-9a-f]{8}$/;
+
+/**
+ * Create a unique ID of a session attempt
+ * @returns {string} 8 hex characters
+ */
+function createAttemptId() {
+  return crypto.randomBytes(4).toString('hex');
+}
+
+/**
+ * Build callback data of an answer button
+ * @param {string} attemptId - Session attempt ID
+ * @param {number} position - Question position in the session (1-based)
+ * @param {number} answerIndex - Answer option index
+ * @returns {string} Callback data
+ */
+function formatAnswerCallback(attemptId, position, answerIndex) {
+  return `${CALLBACK_PREFIX}${attemptId}_${position}_${answerIndex}`;
+}
+
+/**
+ * Parse callback data of an answer button
+ * @param {string} data - Callback data
+ * @returns {{attemptId: string, position: number, answerIndex: number}|null} Null for unknown formats
+ *   (including buttons sent before attempts were introduced)
+ */
+function parseAnswerCallback(data) {
+  if (!data.startsWith(CALLBACK_PREFIX)) {
+    return null;
+  }
+
+  const parts = data.slice(CALLBACK_PREFIX.length).split('_');
+  if (parts.length !== 3 || !ATTEMPT_ID_PATTERN.test(parts[0])) {
+    return null;
+  }
+
+  const position = parseInt(parts[1]);
+  const answerIndex = parseInt(parts[2]);
+  if (!Number.isInteger(position) || !Number.isInteger(answerIndex)) {
+    return null;
+  }
+
+  return { attemptId: parts[0], position, answerIndex };
+}
+
+/**
+ * Check an answer callback against the user's session
+ * @param {Object} session - User session
+ * @param {Object|null} callback - Result of parseAnswerCallback
+ * @returns {string} 'current' (may be counted), 'answered' (replay in this attempt)
+ *   or 'stale' (another attempt, unknown format or a question not shown yet)
+ */
+function checkAnswerCallback(session, callback) {
+  if (!callback || !session.attemptId || callback.attemptId !== session.attemptId) {
+    return 'stale';
+  }
+
+  if (callback.position < session.currentQuestion) {
+    return 'answered';
+  }
+
+  return callback.position === session.currentQuestion ? 'current' : 'stale';
+}
+
+class AnswerGuard {
+  constructor() {
+    // Answers being processed by this process ("attemptId:position")
+    this.inProgress = new Set();
+  }
+
+  /**
+   * Check an answer callback and claim it when it answers the current question
+   * A claimed answer stays claimed until release, so a duplicate arriving while
+   * the first one is processed is treated as answered. Updates of one user are
+   * only processed concurrently without queues, i.e. within one process
+   * @param {Object} session - User session
+   * @param {Object|null} callback - Result of parseAnswerCallback
+   * @returns {string} Result of checkAnswerCallback ('current' only for the claiming caller)
+   */
+  accept(session, callback) {
+    const status = checkAnswerCallback(session, callback);
+    if (status !== 'current') {
+      return status;
+    }
+
+    const key = `${callback.attemptId}:${callback.position}`;
+    if (this.inProgress.has(key)) {
+      return 'answered';
+    }
+
+    this.inProgress.add(key);
+    return status;
+  }
+
+  /**
+   * Release a claimed answer once the session has moved on
+   * @param {Object} callback - Accepted callback
+   */
+  release(callback) {
+    this.inProgress.delete(`${callback.attemptId}:${callback.position}`);
+  }
+}
+
+module.exports = {
+  AnswerGuard,
+  createAttemptId,
+  formatAnswerCallback,
+  parseAnswerCallback,
+  checkAnswerCallback
+};
@@ -0,0 +1,52 @@
+/**
+ * Broadcast helpers: message content and delivery report
+ */
+
+const { t } = require('./i18n');
+
+// Outcomes of a single broadcast delivery, counted per broadcast
+const BROADCAST_OUTCOMES = ['delivered', 'blocked', 'failed'];
+
+/**
+ * Build broadcast content from an admin message
+ * @param {Object} msg - Telegram message with the /broadcast command (text or photo caption)
+ * @param {string} text - Broadcast text without the command
+ * @returns {{text: string, photo: string|null}} Content (photo is a Telegram file_id)
+ */
+function getBroadcastContent(msg, text) {
+  // Telegram lists photo sizes from smallest to largest
+  const photo = msg.photo && msg.photo.length > 0 ? msg.photo[msg.photo.length - 1].file_id : null;
+  return { text: text.trim(), photo };
+}
+
+/**
+ * Count finished deliveries of a broadcast
+ * @param {Object} counts - Map of outcome -> count
+ * @returns {number} Delivered, blocked and failed messages
+ */
+function countFinished(counts) {
+  return BROADCAST_OUTCOMES.reduce((sum, outcome) => sum + (counts[outcome] || 0), 0);
+}
+
+/**
+ * Format the final broadcast report
+ * @param {Object} counts - Map of outcome -> count
+ * @param {number} total - Recipients
+ * @param {string} locale - UI language
+ * @returns {string} Report text
+ */
+function formatBroadcastReport(counts, total, locale) {
+  return t(locale, 'broadcast.report', {
+    total,
+    delivered: counts.delivered || 0,
+    blocked: counts.blocked || 0,
+    failed: counts.failed || 0
+  });
+}
+
+module.exports = {
+  BROADCAST_OUTCOMES,
+  getBroadcastContent,
+  countFinished,
+  formatBroadcastReport
+};
@@ -0,0 +1,122 @@
+/**
+ * Exam simulation utilities
+ * Implements the ГИБДД theory exam rules: 20 questions in 4 thematic blocks,
+ * 20 minutes, extra questions for mistakes and failure on the third mistake
+ */
+
+const { pickRandom } = require('./random');
+const { t, localizeQuestion } = require('./i18n');
+
+const EXAM_DURATION_MINUTES = 20;
+const BLOCK_SIZE = 5;
+const EXTRA_QUESTIONS_PER_BLOCK = 5;
+const EXTRA_MINUTES_PER_BLOCK = 5;
+const MAX_MISTAKES = 2;
+
+// Texts are in the catalogue under exam.failReasons
+const FAIL_REASONS = ['timeout', 'tooManyMistakes', 'extraMistake'];
+
+/**
+ * Create initial exam state for a session
+ * @param {number} baseQuestions - Number of questions in the exam ticket
+ * @param {number} now - Start timestamp in milliseconds
+ * @returns {Object} Exam state
+ */
+function createExamState(baseQuestions, now = Date.now()) {
+  return {
+    baseQuestions,
+    deadline: now + EXAM_DURATION_MINUTES * 60 * 1000,
+    extendedBlocks: [],
+    mistakes: []
+  };
+}
+
+/**
+ * Get thematic block index for a question number
+ * @param {number} questionNumber - Question number within the ticket (1-based)
+ * @returns {number} Block index (0-based)
+ */
+function getBlockIndex(questionNumber) {
+  return Math.floor((questionNumber - 1) / BLOCK_SIZE);
+}
+
+/**
+ * Pick random extra questions from the same thematic block of other tickets
+ * @param {Object[]} questions - All questions
+ * @param {number} blockIndex - Thematic block index (0-based)
+ * @param {string[]} excludeIds - Question IDs already used in the exam
+ * @param {number} count - Number of questions to pick
+ * @returns {Object[]} Picked questions
+ */
+function pickExtraQuestions(questions, blockIndex, excludeIds, count = EXTRA_QUESTIONS_PER_BLOCK) {
+  const excluded = new Set(excludeIds);
+  const candidates = questions.filter(q =>
+    getBlockIndex(q.questionNumber) === blockIndex && !excluded.has(q.questionId)
+  );
+
+  return pickRandom(candidates, count);
+}
+
+/**
+ * Format a duration as a countdown
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} Time in mm:ss format
+ */
+function formatDuration(ms) {
+  const totalSeconds = Math.max(0, Math.ceil(ms / 1000));
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = totalSeconds % 60;
+  return `${minutes}:${String(seconds).padStart(2, '0')}`;
+}
+
+/**
+ * Generate final exam report
+ * @param {Object} session - Exam session
+ * @param {string|null} failReason - One of FAIL_REASONS or null if passed
+ * @param {Object} questionById - Question lookup by ID
+ * @param {string} locale - UI language
+ * @returns {string} Report message
+ */
+function generateExamReport(session, failReason, questionById, locale) {
+  const elapsedMs = Date.now() - new Date(session.startTime).getTime();
+  const answered = session.correctAnswers + session.incorrectAnswers;
+
+  let report = failReason
+    ? t(locale, 'exam.failed', { reason: t(locale, `exam.failReasons.${failReason}`, { count: MAX_MISTAKES }) })
+    : t(locale, 'exam.passed');
+
+  report += '\n\n' +
+    `${t(locale, 'exam.ticket', { number: session.currentTicket })}\n` +
+    `${t(locale, 'exam.answered', { answered, total: session.questionIds.length })}\n` +
+    `${t(locale, 'statistics.correct', { count: session.correctAnswers })}\n` +
+    `${t(locale, 'statistics.incorrect', { count: session.incorrectAnswers })}\n` +
+    t(locale, 'exam.timeSpent', { time: formatDuration(elapsedMs) });
+
+  if (session.exam.mistakes.length > 0) {
+    report += `\n\n${t(locale, 'exam.mistakes')}`;
+    session.exam.mistakes.forEach(({ questionId, answerIndex }) => {
+      if (!questionById[questionId]) {
+        return;
+      }
+      const question = localizeQuestion(questionById[questionId], locale);
+      report += `\n\n❓ ${question.text}\n` +
+        `${t(locale, 'exam.yourAnswer', { answer: question.options[answerIndex] })}\n` +
+        t(locale, 'exam.correctAnswer', { answer: question.options[question.correctAnswerIndex] });
+    });
+  }
+
+  return report;
+}
+
+module.exports = {
+  EXAM_DURATION_MINUTES,
+  EXTRA_QUESTIONS_PER_BLOCK,
+  EXTRA_MINUTES_PER_BLOCK,
+  MAX_MISTAKES,
+  FAIL_REASONS,
+  createExamState,
+  getBlockIndex,
+  pickExtraQuestions,
+  formatDuration,
+  generateExamReport
+};
@@ -0,0 +1,54 @@
+/**
+ * Answer review shown after each answer: marked options, explanation and ПДД references
+ */
+
+// Labels are in the catalogue under settings.explanationModes
+const EXPLANATION_MODES = ['always', 'mistakes', 'never'];
+
+/**
+ * Check whether the review should be shown for an answer
+ * @param {string} mode - User's explanations setting
+ * @param {boolean} isCorrect - Whether the answer is correct
+ * @returns {boolean}
+ */
+function shouldShowReview(mode, isCorrect) {
+  return mode === 'always' || (mode === 'mistakes' && !isCorrect);
+}
+
+/**
+ * Format answered question with the user's choice and the correct option marked
+ * @param {Object} question - Question object in the user's language
+ * @param {number} answerIndex - Selected answer index (in the question's original order)
+ * @param {number[]|null} optionOrder - Original option indexes in the order they were shown
+ * @returns {string} Review text
+ */
+function formatAnswerReview(question, answerIndex, optionOrder = null) {
+  const order = optionOrder || question.options.map((option, index) => index);
+  const options = order.map(index => {
+    let mark = '▫️';
+    if (index === question.correctAnswerIndex) {
+      mark = '✅';
+    } else if (index === answerIndex) {
+      mark = '❌';
+    }
+    return `${mark} ${question.options[index]}`;
+  });
+
+  let text = `${question.text}\n\n${options.join('\n')}`;
+
+  if (question.explanation) {
+    text += `\n\n💡 ${question.explanation}`;
+  }
+
+  if (question.ruleRefs && question.ruleRefs.length > 0) {
+    text += `\n📖 ${question.ruleRefs.join('; ')}`;
+  }
+
+  return text;
+}
+
+module.exports = {
+  EXPLANATION_MODES,
+  shouldShowReview,
+  formatAnswerReview
+};
@@ -0,0 +1,100 @@
+/**
+ * Telegram file_id cache for question images
+ * After the first upload of an image its file_id is stored in shared storage,
+ * keyed by the image path; the stored content hash invalidates it when the file changes
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { createLogger } = require('./logger');
+
+const MAP_NAME = 'file_ids';
+
+const log = createLogger('FileIdCache');
+
+class FileIdCache {
+  /**
+   * @param {Object} storageManager - StorageManager instance
+   * @param {string} baseDir - Directory image paths are stored relative to
+   */
+  constructor(storageManager, baseDir) {
+    this.storageManager = storageManager;
+    this.baseDir = baseDir;
+    // Content hashes by absolute path, reused while size and mtime are unchanged
+    this.hashes = new Map();
+  }
+
+  /**
+   * Get cache key of an image
+   * @param {string} filePath - Absolute image path
+   * @returns {string} Path relative to the base directory
+   */
+  key(filePath) {
+    return path.relative(this.baseDir, filePath);
+  }
+
+  /**
+   * Get content hash of an image
+   * @param {string} filePath - Absolute image path
+   * @returns {Promise<string>} SHA-1 hex digest
+   */
+  async getHash(filePath) {
+    const stat = await fs.promises.stat(filePath);
+    const known = this.hashes.get(filePath);
+    if (known && known.size === stat.size && known.mtimeMs === stat.mtimeMs) {
+      return known.hash;
+    }
+
+    const hash = crypto.createHash('sha1').update(await fs.promises.readFile(filePath)).digest('hex');
+    this.hashes.set(filePath, { size: stat.size, mtimeMs: stat.mtimeMs, hash });
+    return hash;
+  }
+
+  /**
+   * Get cached file_id of an image
+   * Storage errors are logged and treated as a cache miss
+   * @param {string} filePath - Absolute image path
+   * @returns {Promise<string|null>} file_id or null if not uploaded since the last change
+   */
+  async get(filePath) {
+    try {
+      const entry = await this.storageManager.getMapValue(MAP_NAME, this.key(filePath));
+      return entry && entry.hash === await this.getHash(filePath) ? entry.fileId : null;
+    } catch (error) {
+      log.error('Error reading file_id', { image: this.key(filePath), err: error });
+      return null;
+    }
+  }
+
+  /**
+   * Store file_id of an uploaded image
+   * @param {string} filePath - Absolute image path
+   * @param {string} fileId - file_id returned by Telegram
+   */
+  async set(filePath, fileId) {
+    try {
+      await this.storageManager.setMapValue(MAP_NAME, this.key(filePath), {
+        fileId,
+        hash: await this.getHash(filePath),
+        uploadedAt: new Date().toISOString()
+      });
+    } catch (error) {
+      log.error('Error saving file_id', { image: this.key(filePath), err: error });
+    }
+  }
+
+  /**
+   * Forget file_id of an image (e.g. rejected by Telegram)
+   * @param {string} filePath - Absolute image path
+   */
+  async delete(filePath) {
+    try {
+      await this.storageManager.deleteMapValue(MAP_NAME, this.key(filePath));
+    } catch (error) {
+      log.error('Error removing file_id', { image: this.key(filePath), err: error });
+    }
+  }
+}
+
+module.exports = FileIdCache;
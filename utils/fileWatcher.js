@@ -0,0 +1,78 @@
+/**
+ * File change watcher
+ * Watches parent directories rather than the files themselves, so editors and
+ * deploy scripts that replace a file by renaming a new one over it are noticed too
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createLogger } = require('./logger');
+
+const log = createLogger('FileWatcher');
+
+class FileWatcher {
+  /**
+   * @param {string[]} filePaths - Absolute paths of watched files
+   * @param {Function} onChange - Called once per burst of changes
+   * @param {number} debounceMs - Quiet period before onChange is called
+   */
+  constructor(filePaths, onChange, debounceMs = 500) {
+    this.filePaths = filePaths;
+    this.onChange = onChange;
+    this.debounceMs = debounceMs;
+    this.watchers = [];
+    this.timer = null;
+  }
+
+  /**
+   * Start watching
+   */
+  start() {
+    const fileNamesByDir = {};
+    this.filePaths.forEach(filePath => {
+      const dir = path.dirname(filePath);
+      fileNamesByDir[dir] = fileNamesByDir[dir] || new Set();
+      fileNamesByDir[dir].add(path.basename(filePath));
+    });
+
+    Object.entries(fileNamesByDir).forEach(([dir, fileNames]) => {
+      try {
+        const watcher = fs.watch(dir, (eventType, fileName) => {
+          // Some platforms do not report the file name, treat it as a possible match
+          if (!fileName || fileNames.has(fileName.toString())) {
+            this.schedule();
+          }
+        });
+        watcher.on('error', (error) => {
+          log.error('Error watching directory', { dir, err: error });
+        });
+        this.watchers.push(watcher);
+      } catch (error) {
+        log.error('Cannot watch directory', { dir, err: error });
+      }
+    });
+  }
+
+  /**
+   * Call onChange after the debounce period, restarting it on every event
+   */
+  schedule() {
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.onChange();
+    }, this.debounceMs);
+  }
+
+  /**
+   * Stop watching (for graceful shutdown)
+   */
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.watchers.forEach(watcher => watcher.close());
+    this.watchers = [];
+  }
+}
+
+module.exports = FileWatcher;
@@ -0,0 +1,227 @@
+/**
+ * Built-in HTTP(S) server
+ * Serves the Telegram webhook endpoint, health probes for PM2 or a load balancer
+ * and Prometheus metrics
+ */
+
+const http = require('http');
+const https = require('https');
+const fs = require('fs');
+const crypto = require('crypto');
+const { createLogger } = require('./logger');
+
+const MAX_BODY_BYTES = 1024 * 1024;
+const SECRET_HEADER = 'x-telegram-bot-api-secret-token';
+
+const log = createLogger('HttpServer');
+
+class HttpServer {
+  /**
+   * @param {Object} options - Server options
+   * @param {number} options.port - Port to listen on
+   * @param {string} options.host - Host to bind (all interfaces if omitted)
+   * @param {string|null} options.certPath - TLS certificate (PEM) for HTTPS
+   * @param {string|null} options.keyPath - TLS private key (PEM) for HTTPS
+   */
+  constructor({ port, host, certPath = null, keyPath = null }) {
+    this.port = port;
+    this.host = host;
+    this.isReady = false;
+    this.webhook = null;
+    this.metrics = null;
+    this.startedAt = Date.now();
+
+    const handler = (req, res) => this.handleRequest(req, res);
+    this.server = certPath && keyPath
+      ? https.createServer({ cert: fs.readFileSync(certPath), key: fs.readFileSync(keyPath) }, handler)
+      : http.createServer(handler);
+  }
+
+  /**
+   * Accept Telegram updates on a secret path
+   * @param {string} path - Secret URL path (e.g. /webhook/<hash>)
+   * @param {string} secretToken - Expected X-Telegram-Bot-Api-Secret-Token header
+   * @param {Function} onUpdate - Called with each update after it is acknowledged
+   */
+  setWebhookHandler(path, secretToken, onUpdate) {
+    this.webhook = { path, secretToken: Buffer.from(secretToken), onUpdate };
+  }
+
+  /**
+   * Serve Prometheus metrics on /metrics
+   * @param {Function} render - async () => metrics in the text exposition format
+   * @param {string|null} token - Bearer token scrapes must send (null - no authorization)
+   */
+  setMetricsHandler(render, token = null) {
+    this.metrics = { render, token: token ? Buffer.from(`Bearer ${token}`) : null };
+  }
+
+  /**
+   * Set readiness reported by /readyz
+   * @param {boolean} ready - Whether the instance accepts work
+   */
+  setReady(ready) {
+    this.isReady = ready;
+  }
+
+  /**
+   * Start listening
+   * @returns {Promise<void>}
+   */
+  start() {
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, () => {
+        this.server.off('error', reject);
+        log.info('Listening', { host: this.host || '*', port: this.port });
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Stop accepting connections
+   * @returns {Promise<void>}
+   */
+  stop() {
+    return new Promise(resolve => {
+      this.server.close(() => resolve());
+      this.server.closeIdleConnections?.();
+    });
+  }
+
+  /**
+   * Send a JSON response
+   * @param {Object} res - HTTP response
+   * @param {number} status - Status code
+   * @param {Object} body - Response body
+   */
+  sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  }
+
+  /**
+   * Check the webhook secret header in constant time
+   * @param {Object} req - HTTP request
+   * @returns {boolean}
+   */
+  hasValidSecret(req) {
+    return this.matchesSecret(req.headers[SECRET_HEADER], this.webhook.secretToken);
+  }
+
+  /**
+   * Compare a received header with the expected value in constant time
+   * @param {string|undefined} header - Received header value
+   * @param {Buffer} expected - Expected value
+   * @returns {boolean}
+   */
+  matchesSecret(header, expected) {
+    const received = Buffer.from(header || '');
+    return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+  }
+
+  /**
+   * Route an HTTP request
+   * @param {Object} req - HTTP request
+   * @param {Object} res - HTTP response
+   */
+  handleRequest(req, res) {
+    const path = req.url.split('?')[0];
+
+    if (req.method === 'GET' && path === '/healthz') {
+      this.sendJson(res, 200, { status: 'ok', uptime: Math.round((Date.now() - this.startedAt) / 1000) });
+      return;
+    }
+
+    if (req.method === 'GET' && path === '/readyz') {
+      this.sendJson(res, this.isReady ? 200 : 503, { status: this.isReady ? 'ready' : 'not ready' });
+      return;
+    }
+
+    if (req.method === 'GET' && path === '/metrics' && this.metrics) {
+      this.handleMetrics(req, res);
+      return;
+    }
+
+    if (this.webhook && path === this.webhook.path) {
+      this.handleWebhook(req, res);
+      return;
+    }
+
+    this.sendJson(res, 404, { error: 'not found' });
+  }
+
+  /**
+   * Render metrics for a Prometheus scrape
+   * @param {Object} req - HTTP request
+   * @param {Object} res - HTTP response
+   */
+  async handleMetrics(req, res) {
+    if (this.metrics.token && !this.matchesSecret(req.headers.authorization, this.metrics.token)) {
+      this.sendJson(res, 401, { error: 'unauthorized' });
+      return;
+    }
+
+    try {
+      const body = await this.metrics.render();
+      res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+      res.end(body);
+    } catch (error) {
+      log.error('Error rendering metrics', { err: error });
+      this.sendJson(res, 500, { error: 'metrics unavailable' });
+    }
+  }
+
+  /**
+   * Receive a Telegram update
+   * The update is acknowledged before handling so Telegram does not wait for it
+   * @param {Object} req - HTTP request
+   * @param {Object} res - HTTP response
+   */
+  handleWebhook(req, res) {
+    if (req.method !== 'POST') {
+      this.sendJson(res, 405, { error: 'method not allowed' });
+      return;
+    }
+
+    if (!this.hasValidSecret(req)) {
+      log.warn('Rejected webhook request with invalid secret token');
+      this.sendJson(res, 401, { error: 'unauthorized' });
+      return;
+    }
+
+    const chunks = [];
+    let size = 0;
+
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        this.sendJson(res, 413, { error: 'payload too large' });
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+
+    req.on('end', () => {
+      let update;
+      try {
+        update = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+      } catch (error) {
+        this.sendJson(res, 400, { error: 'invalid JSON' });
+        return;
+      }
+
+      this.sendJson(res, 200, { ok: true });
+
+      try {
+        this.webhook.onUpdate(update);
+      } catch (error) {
+        log.error('Error handling update', { err: error });
+      }
+    });
+  }
+}
+
+module.exports = HttpServer;
@@ -0,0 +1,133 @@
+/**
+ * UI language catalogues and message formatting
+ * Messages live in locales/<code>.json; a missing message falls back to the default
+ * language. Plural messages are objects keyed by Intl.PluralRules categories
+ */
+
+const LOCALES = {
+  ru: { name: '🇷🇺 Русский', messages: require('../locales/ru.json') },
+  en: { name: '🇬🇧 English', messages: require('../locales/en.json') }
+};
+
+const SUPPORTED_LOCALES = Object.keys(LOCALES);
+const DEFAULT_LOCALE = SUPPORTED_LOCALES.includes(process.env.DEFAULT_LANGUAGE) ? process.env.DEFAULT_LANGUAGE : 'ru';
+
+const pluralRules = {};
+
+/**
+ * Pick a supported language for a Telegram language_code
+ * @param {string|undefined} languageCode - IETF language tag (e.g. 'en', 'en-GB', 'uz')
+ * @returns {string} Supported locale, or the default one
+ */
+function resolveLocale(languageCode) {
+  const language = (languageCode || '').toLowerCase().split('-')[0];
+  return LOCALES[language] ? language : DEFAULT_LOCALE;
+}
+
+/**
+ * Get the UI language of a user
+ * @param {Object} settings - User settings ({ language, languageCode })
+ * @param {string|null} languageCode - language_code of the current update, if any
+ * @returns {string} Chosen language, or the one of the user's Telegram app
+ */
+function getSettingsLocale(settings, languageCode = null) {
+  return LOCALES[settings.language] ? settings.language : resolveLocale(languageCode || settings.languageCode);
+}
+
+/**
+ * Look up a message by its dotted key
+ * @param {string} locale - Locale code
+ * @param {string} key - Message key (e.g. 'ticket.completed')
+ * @returns {string|Object|undefined} Message or plural forms
+ */
+function lookup(locale, key) {
+  return key.split('.').reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined),
+    LOCALES[locale].messages);
+}
+
+/**
+ * Format a message
+ * "{name}" placeholders are replaced with params; plural messages pick their form by params.count
+ * @param {string} locale - Locale code
+ * @param {string} key - Message key
+ * @param {Object} params - Placeholder values
+ * @returns {string} Formatted message, or the key itself when no catalogue has it
+ */
+function t(locale, key, params = {}) {
+  const language = LOCALES[locale] ? locale : DEFAULT_LOCALE;
+  let message = lookup(language, key);
+  if (message === undefined && language !== DEFAULT_LOCALE) {
+    message = lookup(DEFAULT_LOCALE, key);
+  }
+  if (message === undefined) {
+    return key;
+  }
+
+  if (typeof message === 'object') {
+    if (!pluralRules[language]) {
+      pluralRules[language] = new Intl.PluralRules(language);
+    }
+    message = message[pluralRules[language].select(params.count)] || message.other;
+  }
+
+  return message.replace(/\{(\w+)\}/g, (placeholder, name) =>
+    (params[name] !== undefined ? String(params[name]) : placeholder));
+}
+
+/**
+ * Check whether a text is a message in any language
+ * Reply keyboards stay on screen after the language is changed, so their buttons are matched this way
+ * @param {string} text - Received text
+ * @param {string} key - Message key
+ * @param {Object} params - Placeholder values
+ * @returns {boolean}
+ */
+function isMessage(text, key, params = {}) {
+  return SUPPORTED_LOCALES.some(locale => t(locale, key, params) === text);
+}
+
+/**
+ * Get a question in a language
+ * Translations are optional per-question fields: { translations: { en: { text, options, explanation } } };
+ * missing fields, and options that do not match the original count, keep the original text
+ * @param {Object} question - Question object
+ * @param {string} locale - Locale code
+ * @returns {Object} Question with translated texts
+ */
+function localizeQuestion(question, locale) {
+  const translation = question.translations && question.translations[locale];
+  if (!translation) {
+    return question;
+  }
+
+  const localized = { ...question };
+  if (translation.text) {
+    localized.text = translation.text;
+  }
+  if (Array.isArray(translation.options) && translation.options.length === question.options.length) {
+    localized.options = translation.options;
+  }
+  if (translation.explanation) {
+    localized.explanation = translation.explanation;
+  }
+  return localized;
+}
+
+/**
+ * Get language names for the language menu
+ * @returns {{code: string, name: string}[]}
+ */
+function getLanguageOptions() {
+  return SUPPORTED_LOCALES.map(code => ({ code, name: LOCALES[code].name }));
+}
+
+module.exports = {
+  SUPPORTED_LOCALES,
+  DEFAULT_LOCALE,
+  resolveLocale,
+  getSettingsLocale,
+  t,
+  isMessage,
+  localizeQuestion,
+  getLanguageOptions
+};
@@ -1,22 +1,39 @@
 /**
  * Keyboard generation utilities for Telegram bot
+ * Keyboards are built in the user's language
  */
 
+const { formatAnswerCallback } = require('./answerGuard');
+const { t } = require('./i18n');
+
+// Catalogue keys of the mode buttons on the ticket keyboard
+const MODE_BUTTONS = {
+  exam: 'buttons.exam',
+  mistakes: 'buttons.mistakes',
+  topics: 'buttons.topics',
+  review: 'buttons.review',
+  marathon: 'buttons.marathon'
+};
+
 /**
- * Generate ticket selection keyboard (40 tickets, 8 per row)
+ * Generate ticket selection keyboard (mode buttons + tickets, 8 per row)
+ * @param {number[]} ticketNumbers - Ticket numbers of the selected bank, ascending
+ * @param {string|null} resumeText - Text of the button resuming an interrupted ticket, if any
+ * @param {string} locale - UI language
  * @returns {Object} Reply keyboard markup
  */
-function generateTicketKeyboard() {
-  const keyboard = [];
+function generateTicketKeyboard(ticketNumbers, resumeText, locale) {
+  const keyboard = [
+    [{ text: t(locale, MODE_BUTTONS.exam) }, { text: t(locale, MODE_BUTTONS.mistakes) }],
+    [{ text: t(locale, MODE_BUTTONS.topics) }, { text: t(locale, MODE_BUTTONS.review) }, { text: t(locale, MODE_BUTTONS.marathon) }]
+  ];
+  if (resumeText) {
+    keyboard.unshift([{ text: resumeText }]);
+  }
   const ticketsPerRow = 8;
-  const totalTickets = 40;
-
-  for (let i = 0; i < totalTickets; i += ticketsPerRow) {
-    const row = [];
-    for (let j = i; j < Math.min(i + ticketsPerRow, totalTickets); j++) {
-      row.push({ text: `📋 ${j + 1}` });
-    }
-    keyboard.push(row);
+
+  for (let i = 0; i < ticketNumbers.length; i += ticketsPerRow) {
+    keyboard.push(ticketNumbers.slice(i, i + ticketsPerRow).map(n => ({ text: `📋 ${n}` })));
   }
 
   return {
@@ -26,18 +43,59 @@ function generateTicketKeyboard() {
   };
 }
 
+/**
+ * Generate licence category selection keyboard
+ * @param {Array<{id: string, title: string}>} categories - Loaded categories
+ * @param {string|null} currentCategory - Currently selected category, if any
+ * @param {string} locale - UI language
+ * @returns {Object} Inline keyboard markup
+ */
+function generateCategoryKeyboard(categories, currentCategory, locale) {
+  return {
+    inline_keyboard: categories.map(category => [{
+      text: `${category.id === currentCategory ? '✅ ' : ''}${t(locale, 'menu.categoryButton', { title: category.title })}`,
+      callback_data: `category_${category.id}`
+    }])
+  };
+}
+
+/**
+ * Generate topic selection inline keyboard (one topic per row)
+ * @param {Array<{id: string, title: string, count: number}>} topics - Topics to offer
+ * @returns {Object} Inline keyboard markup
+ */
+function generateTopicKeyboard(topics) {
+  return {
+    inline_keyboard: topics.map(topic => [{
+      text: `${topic.title} (${topic.count})`,
+      callback_data: `topic_${topic.id}`
+    }])
+  };
+}
+
 /**
  * Generate answer inline keyboard
+ * Callback data always carries the original option index, whatever the display order
  * @param {string[]} options - Answer options
- * @param {string} questionId - Question identifier for callback data
+ * @param {string} attemptId - Session attempt ID for callback data
+ * @param {number} position - Question position in the session for callback data
+ * @param {Object} extras - Display options
+ * @param {number[]|null} extras.optionOrder - Original option indexes in display order (null - file order)
+ * @param {boolean} extras.stoppable - Add a button finishing the marathon
+ * @param {string} extras.locale - UI language of the stop button
  * @returns {Object} Inline keyboard markup
  */
-function generateAnswerKeyboard(options, questionId) {
-  const keyboard = options.map((option, index) => [{
-    text: option,
-    callback_data: `answer_${questionId}_${index}`
+function generateAnswerKeyboard(options, attemptId, position, { optionOrder = null, stoppable = false, locale } = {}) {
+  const order = optionOrder || options.map((option, index) => index);
+  const keyboard = order.map(index => [{
+    text: options[index],
+    callback_data: formatAnswerCallback(attemptId, position, index)
   }]);
 
+  if (stoppable) {
+    keyboard.push([{ text: t(locale, 'buttons.stopMarathon'), callback_data: `marathon_stop_${attemptId}` }]);
+  }
+
   return {
     inline_keyboard: keyboard
   };
@@ -46,21 +104,200 @@ function generateAnswerKeyboard(options, questionId) {
 /**
  * Generate post-completion keyboard
  * @param {number} ticketNumber - Current ticket number
+ * @param {string} locale - UI language
+ * @returns {Object} Inline keyboard markup
+ */
+function generateCompletionKeyboard(ticketNumber, locale) {
+  return {
+    inline_keyboard: [
+      [
+        { text: t(locale, 'buttons.restartTicket'), callback_data: `restart_${ticketNumber}` }
+      ],
+      [
+        { text: t(locale, 'buttons.chooseAnotherTicket'), callback_data: 'choose_ticket' }
+      ]
+    ]
+  };
+}
+
+/**
+ * Generate post-completion keyboard for non-ticket modes
+ * @param {string} repeatText - Repeat button text
+ * @param {string} repeatCallbackData - Repeat button callback data
+ * @param {string} locale - UI language
  * @returns {Object} Inline keyboard markup
  */
-function generateCompletionKeyboard(ticketNumber) {
+function generateModeCompletionKeyboard(repeatText, repeatCallbackData, locale) {
   return {
     inline_keyboard: [
       [
-        { text: '🔄 Повторить билет', callback_data: `restart_${ticketNumber}` }
+        { text: repeatText, callback_data: repeatCallbackData }
       ],
       [
-        { text: '📋 Выбрать другой билет', callback_data: 'choose_ticket' }
+        { text: t(locale, 'buttons.chooseTicket'), callback_data: 'choose_ticket' }
+      ]
+    ]
+  };
+}
+
+/**
+ * Generate resume keyboard for an interrupted ticket
+ * @param {string} resumeText - Button text
+ * @returns {Object} Inline keyboard markup
+ */
+function generateResumeKeyboard(resumeText) {
+  return {
+    inline_keyboard: [
+      [
+        { text: resumeText, callback_data: 'resume' }
       ]
     ]
   };
 }
 
+/**
+ * Generate reminder settings keyboard
+ * @param {boolean} enabled - Whether reminders are currently enabled
+ * @param {string} locale - UI language
+ * @returns {Object} Inline keyboard markup
+ */
+function generateRemindersKeyboard(enabled, locale) {
+  return {
+    inline_keyboard: [
+      [
+        enabled
+          ? { text: t(locale, 'buttons.remindersOff'), callback_data: 'reminders_off' }
+          : { text: t(locale, 'buttons.remindersOn'), callback_data: 'reminders_on' }
+      ]
+    ]
+  };
+}
+
+/**
+ * Generate leaderboard participation keyboard
+ * @param {boolean} enabled - Whether the user is shown on the leaderboards
+ * @param {string} locale - UI language
+ * @returns {Object} Inline keyboard markup
+ */
+function generateLeaderboardKeyboard(enabled, locale) {
+  return {
+    inline_keyboard: [
+      [
+        enabled
+          ? { text: t(locale, 'buttons.leaderboardLeave'), callback_data: 'leaderboard_off' }
+          : { text: t(locale, 'buttons.leaderboardJoin'), callback_data: 'leaderboard_on' }
+      ]
+    ]
+  };
+}
+
+/**
+ * Generate settings keyboard
+ * @param {Object} settings - User settings
+ * @param {string[]} explanationModes - Explanations modes
+ * @param {Object} toggles - Map of callback data -> on/off setting ({ field, messages })
+ * @param {string} locale - UI language
+ * @returns {Object} Inline keyboard markup
+ */
+function generateSettingsKeyboard(settings, explanationModes, toggles, locale) {
+  return {
+    inline_keyboard: [
+      ...explanationModes.map(mode => [{
+        text: `${settings.explanations === mode ? '🔘' : '⚪️'} ` +
+          t(locale, 'settings.explanations', { mode: t(locale, `settings.explanationModes.${mode}`) }),
+        callback_data: `explanations_${mode}`
+      }]),
+      ...Object.entries(toggles).map(([callbackData, { field, messages }]) => [{
+        text: `${settings[field] ? '✅' : '⬜️'} ${t(locale, `${messages}.label`)}`,
+        callback_data: callbackData
+      }])
+    ]
+  };
+}
+
+/**
+ * Generate interface language keyboard
+ * @param {Array<{code: string, name: string}>} languages - Supported languages
+ * @param {string|null} current - Chosen language (null - same as Telegram)
+ * @param {string} locale - UI language
+ * @returns {Object} Inline keyboard markup
+ */
+function generateLanguageKeyboard(languages, current, locale) {
+  return {
+    inline_keyboard: [
+      ...languages.map(({ code, name }) => [{
+        text: `${current === code ? '✅ ' : ''}${name}`,
+        callback_data: `language_${code}`
+      }]),
+      [{ text: `${current ? '' : '✅ '}${t(locale, 'language.auto')}`, callback_data: 'language_auto' }]
+    ]
+  };
+}
+
+/**
+ * Generate admin panel inline keyboard
+ * @param {string} locale - UI language
+ * @returns {Object} Inline keyboard markup
+ */
+function generateAdminKeyboard(locale) {
+  const button = action => ({ text: t(locale, `admin.buttons.${action}`), callback_data: `admin_${action}` });
+  return {
+    inline_keyboard: [
+      [button('sessions'), button('queues')],
+      [button('questions'), button('user')],
+      [button('reload'), button('audit')],
+      [button('broadcast'), button('warmup')]
+    ]
+  };
+}
+
+/**
+ * Generate broadcast confirmation keyboard
+ * @param {string} locale - UI language
+ * @returns {Object} Inline keyboard markup
+ */
+function generateBroadcastKeyboard(locale) {
+  return {
+    inline_keyboard: [
+      [
+        { text: t(locale, 'broadcast.send'), callback_data: 'admin_broadcast_send' },
+        { text: t(locale, 'broadcast.cancel'), callback_data: 'admin_broadcast_cancel' }
+      ]
+    ]
+  };
+}
+
+/**
+ * Generate retry buttons for failed queue jobs
+ * @param {Object[]} failedJobs - Failed jobs ({ partition, id })
+ * @param {string} locale - UI language
+ * @returns {Object} Inline keyboard markup
+ */
+function generateFailedJobsKeyboard(failedJobs, locale) {
+  return {
+    inline_keyboard: [
+      ...failedJobs.map(job => [{
+        text: t(locale, 'admin.buttons.retry', { partition: job.partition, id: job.id }),
+        callback_data: `admin_retry_${job.partition}_${job.id}`
+      }]),
+      ...generateAdminBackKeyboard(locale).inline_keyboard
+    ]
+  };
+}
+
+/**
+ * Generate "back to admin panel" inline keyboard
+ * @param {string} locale - UI language
+ * @returns {Object} Inline keyboard markup
+ */
+function generateAdminBackKeyboard(locale) {
+  return {
+    inline_keyboard: [
+      [{ text: t(locale, 'admin.title'), callback_data: 'admin_panel' }]
+    ]
+  };
+}
+
 /**
  * Remove keyboard
  * @returns {Object} Remove keyboard markup
@@ -72,8 +309,21 @@ function removeKeyboard() {
 }
 
 module.exports = {
+  MODE_BUTTONS,
   generateTicketKeyboard,
+  generateTopicKeyboard,
+  generateCategoryKeyboard,
   generateAnswerKeyboard,
   generateCompletionKeyboard,
+  generateModeCompletionKeyboard,
+  generateResumeKeyboard,
+  generateRemindersKeyboard,
+  generateLeaderboardKeyboard,
+  generateSettingsKeyboard,
+  generateLanguageKeyboard,
+  generateAdminKeyboard,
+  generateFailedJobsKeyboard,
+  generateAdminBackKeyboard,
+  generateBroadcastKeyboard,
   removeKeyboard
 };
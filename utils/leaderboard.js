@@ -0,0 +1,355 @@
+/**
+ * Weekly and all-time leaderboards of completed tickets and exams
+ * Results are storage counters (one per week and one for all time) with
+ * <userId>:<field> fields, so every instance adds to the same totals.
+ * Weeks start on Monday in the DEFAULT_TIMEZONE of the school
+ */
+
+const crypto = require('crypto');
+const { DEFAULT_SETTINGS } = require('./settings');
+const { getLocalDate, addDays } = require('./spacedRepetition');
+const { t } = require('./i18n');
+
+const LEADERBOARD_TIMEZONE = DEFAULT_SETTINGS.timezone;
+// Users who opted in (mirrors the leaderboard setting)
+const PARTICIPANTS_SET = 'leaderboard';
+// userId -> { days, lastDay }: current run of days with a completed ticket or exam
+const STREAKS_MAP = 'leaderboard_streaks';
+const ALL_TIME_COUNTER = 'leaderboard_all';
+// userId -> true once results finished before the leaderboards are in the all-time counter
+const BACKFILLED_MAP = 'leaderboard_backfilled';
+// Lower-cased nickname -> userId of the participant using it
+const NICKNAMES_MAP = 'leaderboard_nicknames';
+// Keeps two users from taking a free nickname at the same moment; a nickname freed
+// right after it was taken can be claimed again once this expires
+const NICKNAME_LOCK_TTL_MS = 5 * 1000;
+const BACKFILL_LOCK_TTL_MS = 60 * 60 * 1000;
+// Finished quizzes of these modes count on the leaderboards
+const LEADERBOARD_MODES = ['ticket', 'exam'];
+const TOP_SIZE = 10;
+const NICKNAME_PATTERN = /^[\p{L}\p{N}][\p{L}\p{N} ._-]{1,19}$/u;
+const MEDALS = ['🥇', '🥈', '🥉'];
+
+/**
+ * Get the Monday of a date's week
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @returns {string} Week start in YYYY-MM-DD format
+ */
+function getWeekStart(date) {
+  const weekday = new Date(Date.parse(date)).getUTCDay();
+  return addDays(date, -((weekday + 6) % 7));
+}
+
+/**
+ * Get the counter of a week's results
+ * @param {string} weekStart - Monday of the week (YYYY-MM-DD)
+ * @returns {string} Counter name
+ */
+function getWeekCounter(weekStart) {
+  return `leaderboard_week_${weekStart}`;
+}
+
+/**
+ * Add a user's tickets and exams finished before the leaderboards to the all-time results
+ * Runs once per user. The history is summed and only what the counter is missing is
+ * added, so a run interrupted halfway is completed by the next one. Must run before the
+ * next result is counted and before that result is stored in the ticket history
+ * @param {Object} storageManager - StorageManager instance
+ * @param {number} userId - Telegram user ID
+ * @returns {Promise<void>}
+ */
+async function backfillAllTimeResults(storageManager, userId) {
+  if (await storageManager.getMapValue(BACKFILLED_MAP, String(userId))) {
+    return;
+  }
+
+  const [tickets, counters] = await Promise.all([
+    storageManager.getTickets(userId),
+    storageManager.getCounters(ALL_TIME_COUNTER)
+  ]);
+  const history = { passed: 0, correct: 0, answered: 0 };
+  tickets.filter(ticket => LEADERBOARD_MODES.includes(ticket.mode)).forEach(ticket => {
+    history.passed += ticket.passed ? 1 : 0;
+    history.correct += ticket.correct;
+    history.answered += ticket.correct + ticket.incorrect;
+  });
+
+  for (const [field, total] of Object.entries(history)) {
+    const missing = total - (counters[`${userId}:${field}`] || 0);
+    if (missing > 0) {
+      await storageManager.incrementCounter(ALL_TIME_COUNTER, `${userId}:${field}`, missing);
+    }
+  }
+  await storageManager.setMapValue(BACKFILLED_MAP, String(userId), true);
+}
+
+/**
+ * Add a finished ticket or exam to the current week and all-time results
+ * @param {Object} storageManager - StorageManager instance
+ * @param {number} userId - Telegram user ID
+ * @param {Object} result - { correct, answered, passed }
+ * @param {number} now - Finish timestamp in milliseconds
+ * @returns {Promise<void>}
+ */
+async function recordLeaderboardResult(storageManager, userId, result, now = Date.now()) {
+  await backfillAllTimeResults(storageManager, userId);
+
+  const today = getLocalDate(now, LEADERBOARD_TIMEZONE);
+  const weekCounter = getWeekCounter(getWeekStart(today));
+
+  // The first result of a day extends the streak (or starts a new one) and counts as an active day of the week
+  const streak = await storageManager.getMapValue(STREAKS_MAP, String(userId));
+  const firstToday = !streak || streak.lastDay !== today;
+  if (firstToday) {
+    const days = streak && streak.lastDay === addDays(today, -1) ? streak.days + 1 : 1;
+    await storageManager.setMapValue(STREAKS_MAP, String(userId), { days, lastDay: today });
+    await storageManager.incrementCounter(weekCounter, `${userId}:days`);
+  }
+
+  for (const counter of [weekCounter, ALL_TIME_COUNTER]) {
+    if (result.passed) {
+      await storageManager.incrementCounter(counter, `${userId}:passed`);
+    }
+    await storageManager.incrementCounter(counter, `${userId}:correct`, result.correct);
+    await storageManager.incrementCounter(counter, `${userId}:answered`, result.answered);
+  }
+}
+
+/**
+ * Group counter fields by user
+ * @param {Object} counters - Map of "<userId>:<field>" -> total
+ * @returns {Object[]} [{ userId, passed, correct, answered, days }]
+ */
+function parseResults(counters) {
+  const results = {};
+  Object.entries(counters).forEach(([key, value]) => {
+    const [userId, field] = key.split(':');
+    results[userId] = results[userId] || { userId: Number(userId), passed: 0, correct: 0, answered: 0, days: 0 };
+    results[userId][field] = value;
+  });
+  return Object.values(results);
+}
+
+/**
+ * Get the accuracy of a result
+ * @param {Object} result - { correct, answered }
+ * @returns {number} Share of correct answers (0-1)
+ */
+function getAccuracy(result) {
+  return result.answered > 0 ? result.correct / result.answered : 0;
+}
+
+/**
+ * Rank results: by tickets passed, then accuracy, then streak days
+ * @param {Object[]} results - [{ userId, passed, correct, answered, streak }]
+ * @returns {Object[]} Sorted results with place (1-based)
+ */
+function rankResults(results) {
+  return results
+    .slice()
+    .sort((a, b) => b.passed - a.passed
+      || getAccuracy(b) - getAccuracy(a)
+      || b.streak - a.streak
+      || a.userId - b.userId)
+    .map((result, index) => ({ ...result, place: index + 1 }));
+}
+
+/**
+ * Load the results of opted-in users from a counter
+ * @param {Object} storageManager - StorageManager instance
+ * @param {string} counter - Counter name
+ * @returns {Promise<Object[]>} Results of participants with answers
+ */
+async function loadResults(storageManager, counter) {
+  const [counters, members] = await Promise.all([
+    storageManager.getCounters(counter),
+    storageManager.getSetMembers(PARTICIPANTS_SET)
+  ]);
+  const participants = new Set(members.map(String));
+  return parseResults(counters).filter(result => participants.has(String(result.userId)) && result.answered > 0);
+}
+
+/**
+ * Get the ranked results of a week
+ * Streak days of a week are the days it had a completed ticket or exam
+ * @param {Object} storageManager - StorageManager instance
+ * @param {string} weekStart - Monday of the week (YYYY-MM-DD)
+ * @returns {Promise<Object[]>} Ranked results
+ */
+async function getWeeklyLeaderboard(storageManager, weekStart) {
+  const results = await loadResults(storageManager, getWeekCounter(weekStart));
+  return rankResults(results.map(result => ({ ...result, streak: result.days })));
+}
+
+/**
+ * Get the ranked all-time results
+ * Streak days are the current run of days in a row, as in /mystats
+ * @param {Object} storageManager - StorageManager instance
+ * @param {number} now - Current timestamp in milliseconds
+ * @returns {Promise<Object[]>} Ranked results
+ */
+async function getAllTimeLeaderboard(storageManager, now = Date.now()) {
+  const yesterday = addDays(getLocalDate(now, LEADERBOARD_TIMEZONE), -1);
+  const results = await loadResults(storageManager, ALL_TIME_COUNTER);
+  const streaks = await Promise.all(results.map(result =>
+    storageManager.getMapValue(STREAKS_MAP, String(result.userId))));
+
+  return rankResults(results.map((result, index) => {
+    const streak = streaks[index];
+    return { ...result, streak: streak && streak.lastDay >= yesterday ? streak.days : 0 };
+  }));
+}
+
+/**
+ * Check and normalize a nickname
+ * @param {string} text - Nickname entered by the user
+ * @returns {string|null} Nickname with collapsed spaces, or null if it is not allowed
+ */
+function normalizeNickname(text) {
+  const nickname = String(text || '').trim().replace(/\s+/g, ' ');
+  return NICKNAME_PATTERN.test(nickname) ? nickname : null;
+}
+
+/**
+ * Reserve a nickname for a user and free their previous one
+ * Nicknames are unique regardless of case
+ * @param {Object} storageManager - StorageManager instance
+ * @param {number} userId - Telegram user ID
+ * @param {string} nickname - Normalized nickname
+ * @param {string|null} previous - The user's current nickname
+ * @returns {Promise<boolean>} False if another user has the nickname
+ */
+async function claimNickname(storageManager, userId, nickname, previous = null) {
+  const key = nickname.toLowerCase();
+  const owner = await storageManager.getMapValue(NICKNAMES_MAP, key);
+  if (owner === userId) {
+    return true;
+  }
+  if (owner || !await storageManager.acquireLock(`leaderboard:nickname:${key}`, NICKNAME_LOCK_TTL_MS)) {
+    return false;
+  }
+
+  await storageManager.setMapValue(NICKNAMES_MAP, key, userId);
+  if (previous && previous.toLowerCase() !== key) {
+    await storageManager.deleteMapValue(NICKNAMES_MAP, previous.toLowerCase());
+  }
+  return true;
+}
+
+/**
+ * Bring participants who joined before backfills and unique nicknames up to date:
+ * add their earlier results and register their nicknames (the first user keeps a duplicate)
+ * @param {Object} storageManager - StorageManager instance
+ * @returns {Promise<void>}
+ */
+async function backfillParticipants(storageManager) {
+  // Every instance calls this on start; one run at a time is enough
+  if (!await storageManager.acquireLock('leaderboard:backfill', BACKFILL_LOCK_TTL_MS)) {
+    return;
+  }
+
+  const members = await storageManager.getSetMembers(PARTICIPANTS_SET);
+  for (const member of members) {
+    const userId = Number(member);
+    await backfillAllTimeResults(storageManager, userId);
+
+    const settings = await storageManager.getUserData(userId, 'settings');
+    if (settings && settings.nickname && !await storageManager.getMapValue(NICKNAMES_MAP, settings.nickname.toLowerCase())) {
+      await storageManager.setMapValue(NICKNAMES_MAP, settings.nickname.toLowerCase(), userId);
+    }
+  }
+}
+
+/**
+ * Get the name shown for a user on the leaderboards
+ * Telegram names are never shown: users without a nickname get a stable numbered name
+ * @param {Object} settings - User settings
+ * @param {number} userId - Telegram user ID
+ * @param {string} locale - UI language
+ * @returns {string} Display name
+ */
+function getDisplayName(settings, userId, locale) {
+  if (settings.nickname) {
+    return settings.nickname;
+  }
+  const number = crypto.createHash('sha256').update(String(userId)).digest().readUInt32BE(0) % 10000;
+  return t(locale, 'leaderboard.anonymous', { number: String(number).padStart(4, '0') });
+}
+
+/**
+ * Format a week as a date range
+ * @param {string} weekStart - Monday of the week (YYYY-MM-DD)
+ * @returns {string} e.g. 13.10–19.10
+ */
+function formatWeek(weekStart) {
+  const format = date => date.slice(8, 10) + '.' + date.slice(5, 7);
+  return `${format(weekStart)}–${format(addDays(weekStart, 6))}`;
+}
+
+/**
+ * Format one leaderboard line
+ * @param {Object} result - Ranked result
+ * @param {string} name - Display name
+ * @param {string} locale - UI language
+ * @returns {string} Line with place, name, tickets passed, accuracy and streak days
+ */
+function formatEntry(result, name, locale) {
+  return t(locale, 'leaderboard.entry', {
+    place: MEDALS[result.place - 1] || `${result.place}.`,
+    name,
+    passed: t(locale, 'plural.tickets', { count: result.passed }),
+    accuracy: Math.round(getAccuracy(result) * 100),
+    days: t(locale, 'plural.days', { count: result.streak })
+  });
+}
+
+/**
+ * Format the top of a leaderboard
+ * @param {string} title - Leaderboard title
+ * @param {Object[]} ranked - Ranked results
+ * @param {Object} names - Map of userId -> display name (at least for the top)
+ * @param {string} locale - UI language
+ * @returns {string} Leaderboard text
+ */
+function formatLeaderboard(title, ranked, names, locale) {
+  const top = ranked.slice(0, TOP_SIZE);
+  const lines = top.length > 0
+    ? top.map(result => formatEntry(result, names[result.userId], locale))
+    : [t(locale, 'leaderboard.empty')];
+  return [title, ...lines].join('\n');
+}
+
+/**
+ * Format the user's own place on a leaderboard
+ * @param {Object[]} ranked - Ranked results
+ * @param {number} userId - Telegram user ID
+ * @param {string} locale - UI language
+ * @returns {string} Place of total, or a note that the user has no results
+ */
+function formatOwnPlace(ranked, userId, locale) {
+  const own = ranked.find(result => result.userId === userId);
+  return own
+    ? t(locale, 'leaderboard.place', { place: own.place, total: ranked.length })
+    : t(locale, 'leaderboard.noPlace');
+}
+
+module.exports = {
+  LEADERBOARD_TIMEZONE,
+  PARTICIPANTS_SET,
+  TOP_SIZE,
+  LEADERBOARD_MODES,
+  getWeekStart,
+  backfillAllTimeResults,
+  recordLeaderboardResult,
+  rankResults,
+  getWeeklyLeaderboard,
+  getAllTimeLeaderboard,
+  normalizeNickname,
+  claimNickname,
+  backfillParticipants,
+  getDisplayName,
+  formatWeek,
+  formatEntry,
+  formatLeaderboard,
+  formatOwnPlace
+};
@@ -0,0 +1,128 @@
+/**
+ * Weekly leaderboard announcements
+ * Runs in-process on every bot instance. A short lock in shared storage lets one instance
+ * at a time send the results of a finished week; the week is marked announced only after
+ * every participant was handled (got the results or cannot get them, e.g. blocked the bot).
+ * A run that hit transient errors is retried by the next check, and a run cut short by a
+ * crash once its lock expires, both skipping the participants who were handled
+ */
+
+const { getUserSettings } = require('./settings');
+const { getLocalDate, getLocalHour, addDays } = require('./spacedRepetition');
+const { LEADERBOARD_TIMEZONE, getWeekStart, getWeeklyLeaderboard } = require('./leaderboard');
+const { getTelegramErrorCode, isTransientError } = require('./telegramErrors');
+const { createLogger } = require('./logger');
+
+// Longer than sending the results takes; after a crash another instance continues once it expires
+const LOCK_TTL_MS = 60 * 60 * 1000;
+// weekStart -> { attempt } while participants are left to handle (each attempt has its own lock),
+// { announcedAt, participants } once the week is announced
+const ANNOUNCED_MAP = 'leaderboard_announced';
+const WINNERS_COUNT = 3;
+
+const log = createLogger('LeaderboardScheduler');
+
+class LeaderboardScheduler {
+  /**
+   * @param {Object} storageManager - StorageManager instance
+   * @param {Function} sendResults - async (userId, { weekStart, place, total, winners }) => void,
+   *   winners are ranked results with the winner's settings
+   * @param {number} announceHour - Local hour on Monday from which the previous week is announced
+   * @param {number} intervalMinutes - How often to check for a finished week
+   */
+  constructor(storageManager, sendResults, announceHour = 12, intervalMinutes = 30) {
+    this.storageManager = storageManager;
+    this.sendResults = sendResults;
+    this.announceHour = announceHour;
+    this.intervalMs = intervalMinutes * 60 * 1000;
+    this.interval = null;
+  }
+
+  /**
+   * Start periodic checks
+   */
+  start() {
+    this.interval = setInterval(() => {
+      this.tick().catch(error => {
+        log.error('Tick failed', { err: error });
+      });
+    }, this.intervalMs);
+  }
+
+  /**
+   * Announce the winners of the previous week to its participants
+   * @param {number} now - Current timestamp in milliseconds
+   * @returns {Promise<number>} Number of announcements sent by this instance
+   */
+  async tick(now = Date.now()) {
+    const today = getLocalDate(now, LEADERBOARD_TIMEZONE);
+    const currentWeek = getWeekStart(today);
+    if (today === currentWeek && getLocalHour(now, LEADERBOARD_TIMEZONE) < this.announceHour) {
+      return 0;
+    }
+
+    const weekStart = addDays(currentWeek, -7);
+    const state = await this.storageManager.getMapValue(ANNOUNCED_MAP, weekStart) || { attempt: 0 };
+    if (state.announcedAt) {
+      return 0;
+    }
+    const locked = await this.storageManager.acquireLock(`leaderboard:${weekStart}:${state.attempt}`, LOCK_TTL_MS);
+    if (!locked) {
+      return 0;
+    }
+
+    const ranked = await getWeeklyLeaderboard(this.storageManager, weekStart);
+    const winners = await Promise.all(ranked.slice(0, WINNERS_COUNT).map(async result => ({
+      ...result,
+      settings: await getUserSettings(this.storageManager, result.userId)
+    })));
+    // Participants handled by this or an earlier, interrupted run
+    const handledSet = `leaderboard_sent_${weekStart}`;
+    const handled = new Set(await this.storageManager.getSetMembers(handledSet));
+    let sent = 0;
+    let pending = 0;
+
+    for (const result of ranked) {
+      if (handled.has(String(result.userId))) {
+        continue;
+      }
+      try {
+        await this.sendResults(result.userId, { weekStart, place: result.place, total: ranked.length, winners });
+        sent++;
+      } catch (error) {
+        log.error('Failed to announce results', { userId: result.userId, err: error });
+        // Network errors, 429 and 5xx may pass later; 400 and 403 will not
+        if (isTransientError(error) || !getTelegramErrorCode(error)) {
+          pending++;
+          continue;
+        }
+      }
+      await this.storageManager.addToSet(handledSet, result.userId);
+    }
+
+    if (pending > 0) {
+      await this.storageManager.setMapValue(ANNOUNCED_MAP, weekStart, { attempt: state.attempt + 1 });
+      log.warn('Weekly results partly announced, retrying later', { weekStart, participants: ranked.length, sent, pending });
+      return sent;
+    }
+
+    await this.storageManager.setMapValue(ANNOUNCED_MAP, weekStart, {
+      announcedAt: new Date(now).toISOString(),
+      participants: ranked.length
+    });
+    log.info('Weekly results announced', { weekStart, participants: ranked.length, sent });
+    return sent;
+  }
+
+  /**
+   * Stop periodic checks (for graceful shutdown)
+   */
+  stop() {
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+    }
+  }
+}
+
+module.exports = LeaderboardScheduler;
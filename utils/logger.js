@@ -0,0 +1,217 @@
+/**
+ * Structured logger
+ * One JSON object per line with the level, component and the context of the update being
+ * handled (correlation id, user id), so the lines of one update can be found in the merged
+ * logs of all instances. The context follows async calls through AsyncLocalStorage.
+ * The bot token and user names and message texts are never written
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+const crypto = require('crypto');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const LOG_LEVEL = LEVELS[process.env.LOG_LEVEL] ? process.env.LOG_LEVEL : 'info';
+// json - one object per line, text - readable lines for development
+const LOG_FORMAT = process.env.LOG_FORMAT === 'text' ? 'text' : 'json';
+
+// Fields with user names and message content (Telegram objects passed as log fields)
+const REDACTED_KEYS = new Set(['first_name', 'last_name', 'username', 'text', 'caption', 'phone_number']);
+const REDACTED = '[redacted]';
+// Bot tokens in request URLs of node-telegram-bot-api errors
+const TOKEN_PATTERN = /\d{5,}:[\w-]{30,}/g;
+const MAX_DEPTH = 5;
+// Written on every line: process, and PM2 instance number in cluster mode
+const PROCESS_FIELDS = process.env.NODE_APP_INSTANCE !== undefined
+  ? { pid: process.pid, instance: process.env.NODE_APP_INSTANCE }
+  : { pid: process.pid };
+
+const contextStorage = new AsyncLocalStorage();
+
+/**
+ * Create a correlation id for a Telegram update
+ * @returns {string} Random id (12 hex characters)
+ */
+function createCorrelationId() {
+  return crypto.randomBytes(6).toString('hex');
+}
+
+/**
+ * Run a function with fields added to every log line written inside it
+ * @param {Object} context - Context fields (e.g. { correlationId, userId })
+ * @param {Function} fn - Function to run
+ * @returns {*} Result of fn
+ */
+function runWithContext(context, fn) {
+  return contextStorage.run({ ...getContext(), ...context }, fn);
+}
+
+/**
+ * Get the context of the current async call
+ * @returns {Object} Context fields (empty outside runWithContext)
+ */
+function getContext() {
+  return contextStorage.getStore() || {};
+}
+
+/**
+ * Remove bot tokens from a string
+ * @param {string} text - Text
+ * @returns {string} Text with tokens replaced
+ */
+function redactString(text) {
+  const token = process.env.TELEGRAM_BOT_TOKEN;
+  const redacted = token ? text.split(token).join(REDACTED) : text;
+  return redacted.replace(TOKEN_PATTERN, REDACTED);
+}
+
+/**
+ * Make a value safe to log: errors are flattened, user names, message texts and tokens are removed
+ * @param {*} value - Field value
+ * @param {number} depth - Nesting depth
+ * @returns {*} Serializable value
+ */
+function redact(value, depth = 0) {
+  if (typeof value === 'string') {
+    return redactString(value);
+  }
+  if (value instanceof Error) {
+    const error = { message: redactString(value.message) };
+    if (value.code !== undefined) {
+      error.code = value.code;
+    }
+    if (value.stack) {
+      error.stack = redactString(value.stack);
+    }
+    return error;
+  }
+  if (!value || typeof value !== 'object') {
+    return value;
+  }
+  if (depth >= MAX_DEPTH) {
+    return '[object]';
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, depth + 1));
+  }
+
+  const result = {};
+  Object.entries(value).forEach(([key, field]) => {
+    result[key] = REDACTED_KEYS.has(key) ? REDACTED : redact(field, depth + 1);
+  });
+  return result;
+}
+
+/**
+ * Format a log record for output
+ * @param {Object} record - Log record
+ * @returns {string} Output line
+ */
+function formatRecord(record) {
+  if (LOG_FORMAT === 'json') {
+    return JSON.stringify(record);
+  }
+
+  const { time, level, component, msg, err, ...fields } = record;
+  const pairs = Object.entries(fields).map(([key, value]) => `${key}=${typeof value === 'object' ? JSON.stringify(value) : value}`);
+  let line = `${time} ${level.toUpperCase()} [${component}] ${msg}${pairs.length > 0 ? ` ${pairs.join(' ')}` : ''}`;
+  if (err) {
+    line += `\n${err.stack || err.message}`;
+  }
+  return line;
+}
+
+class Logger {
+  /**
+   * @param {string} component - Part of the bot writing the logs (Bot, QueueManager, ...)
+   * @param {Object} fields - Fields added to every line of this logger
+   */
+  constructor(component, fields = {}) {
+    this.component = component;
+    this.fields = fields;
+  }
+
+  /**
+   * Create a logger with extra fields
+   * @param {Object} fields - Fields added to every line
+   * @returns {Logger}
+   */
+  child(fields) {
+    return new Logger(this.component, { ...this.fields, ...fields });
+  }
+
+  /**
+   * Write a log line
+   * Debug and info go to stdout, warnings and errors to stderr
+   * @param {string} level - debug, info, warn or error
+   * @param {string} message - Message
+   * @param {Object} fields - Fields of this line ({ err } for an error)
+   */
+  write(level, message, fields = {}) {
+    if (LEVELS[level] < LEVELS[LOG_LEVEL]) {
+      return;
+    }
+
+    const record = redact({
+      time: new Date().toISOString(),
+      level,
+      component: this.component,
+      msg: message,
+      ...PROCESS_FIELDS,
+      ...getContext(),
+      ...this.fields,
+      ...fields
+    });
+    const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+    stream.write(formatRecord(record) + '\n');
+  }
+
+  /**
+   * @param {string} message - Message
+   * @param {Object} fields - Fields of this line
+   */
+  debug(message, fields) {
+    this.write('debug', message, fields);
+  }
+
+  /**
+   * @param {string} message - Message
+   * @param {Object} fields - Fields of this line
+   */
+  info(message, fields) {
+    this.write('info', message, fields);
+  }
+
+  /**
+   * @param {string} message - Message
+   * @param {Object} fields - Fields of this line
+   */
+  warn(message, fields) {
+    this.write('warn', message, fields);
+  }
+
+  /**
+   * @param {string} message - Message
+   * @param {Object} fields - Fields of this line ({ err } for an error)
+   */
+  error(message, fields) {
+    this.write('error', message, fields);
+  }
+}
+
+/**
+ * Create a logger of a component
+ * @param {string} component - Component name (e.g. 'Bot', 'SessionManager')
+ * @returns {Logger}
+ */
+function createLogger(component) {
+  return new Logger(component);
+}
+
+module.exports = {
+  LEVELS,
+  createLogger,
+  createCorrelationId,
+  runWithContext,
+  getContext,
+  redact
+};
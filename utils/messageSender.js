@@ -0,0 +1,264 @@
+/**
+ * Outgoing message sender
+ * Every message and edit goes through here: calls to one chat run in order,
+ * per-chat and global rate limits are applied, 429 responses are retried after
+ * retry_after and 5xx ones with exponential backoff. Network failures are not retried:
+ * the request may have reached Telegram, and a repeat could deliver the message twice
+ */
+
+const {
+  getTelegramErrorCode,
+  getRetryAfter,
+  isTransientError,
+  isRetryableError,
+  getDropReason
+} = require('./telegramErrors');
+const { createLogger } = require('./logger');
+
+const RETRY_BASE_DELAY_MS = 1000;
+// Forget rate limit state of idle chats once this many are tracked
+const CHAT_SLOTS_SWEEP_SIZE = 1000;
+
+const log = createLogger('MessageSender');
+
+/**
+ * Wait for a given time
+ * @param {number} ms - Milliseconds (nothing is awaited for zero or less)
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return ms > 0 ? new Promise(resolve => setTimeout(resolve, ms)) : Promise.resolve();
+}
+
+class MessageSender {
+  /**
+   * @param {Object} bot - TelegramBot instance
+   * @param {Object} options - Limits
+   * @param {number} options.perChatRate - Messages per second to one chat
+   * @param {number} options.perChatBurst - Messages to one chat sent without delay after a pause
+   * @param {number} options.globalRate - Messages per second to all chats (per process)
+   * @param {number} options.maxAttempts - Attempts per message before it is dropped
+   * @param {Object|null} options.metrics - Metrics counting failed calls and dropped messages
+   */
+  constructor(bot, { perChatRate = 1, perChatBurst = 3, globalRate = 30, maxAttempts = 3, metrics = null } = {}) {
+    this.bot = bot;
+    this.metrics = metrics;
+    this.perChatInterval = 1000 / perChatRate;
+    this.perChatTolerance = (perChatBurst - 1) * this.perChatInterval;
+    this.globalInterval = 1000 / globalRate;
+    this.globalTolerance = (globalRate - 1) * this.globalInterval;
+    this.maxAttempts = maxAttempts;
+
+    // Earliest time the next message may go out (virtual schedule without burst)
+    this.chatSlots = new Map();
+    this.globalSlot = 0;
+    // Set by a 429 response: Telegram asks the whole bot to wait
+    this.pausedUntil = 0;
+    // Tail of the pending calls of each chat
+    this.chatQueues = new Map();
+
+    this.stats = { sent: 0, retried: 0, dropped: 0, failed: 0 };
+  }
+
+  /**
+   * Send a text message
+   * @param {number} chatId - Telegram chat ID
+   * @param {string} text - Message text
+   * @param {Object} options - sendMessage options
+   * @param {Object} delivery - Delivery options (see send)
+   * @returns {Promise<Object>} Sent message
+   */
+  sendMessage(chatId, text, options = {}, delivery = {}) {
+    return this.send(chatId, 'sendMessage', [chatId, text, options], delivery);
+  }
+
+  /**
+   * Send a photo
+   * @param {number} chatId - Telegram chat ID
+   * @param {string} photo - File path, URL or file_id
+   * @param {Object} options - sendPhoto options
+   * @param {Object} delivery - Delivery options (see send)
+   * @returns {Promise<Object>} Sent message
+   */
+  sendPhoto(chatId, photo, options = {}, delivery = {}) {
+    return this.send(chatId, 'sendPhoto', [chatId, photo, options], delivery);
+  }
+
+  /**
+   * Edit text of a sent message
+   * @param {string} text - New text
+   * @param {Object} options - Target ({ chat_id, message_id }) and edit options
+   * @returns {Promise<Object>} Edited message
+   */
+  editMessageText(text, options) {
+    return this.send(options.chat_id, 'editMessageText', [text, options]);
+  }
+
+  /**
+   * Edit caption of a sent photo
+   * @param {string} caption - New caption
+   * @param {Object} options - Target ({ chat_id, message_id }) and edit options
+   * @returns {Promise<Object>} Edited message
+   */
+  editMessageCaption(caption, options) {
+    return this.send(options.chat_id, 'editMessageCaption', [caption, options]);
+  }
+
+  /**
+   * Replace media (and caption) of a sent message
+   * @param {Object} media - InputMedia (media is a file_id, URL or attach://<file path>)
+   * @param {Object} options - Target ({ chat_id, message_id }) and edit options
+   * @returns {Promise<Object>} Edited message
+   */
+  editMessageMedia(media, options) {
+    return this.send(options.chat_id, 'editMessageMedia', [media, options]);
+  }
+
+  /**
+   * Replace inline keyboard of a sent message
+   * @param {Object} replyMarkup - New inline keyboard
+   * @param {Object} options - Target ({ chat_id, message_id })
+   * @returns {Promise<Object>} Edited message
+   */
+  editMessageReplyMarkup(replyMarkup, options) {
+    return this.send(options.chat_id, 'editMessageReplyMarkup', [replyMarkup, options]);
+  }
+
+  /**
+   * Delete a message
+   * @param {number} chatId - Telegram chat ID
+   * @param {number} messageId - Message ID
+   * @returns {Promise<boolean>}
+   */
+  deleteMessage(chatId, messageId) {
+    return this.send(chatId, 'deleteMessage', [chatId, messageId]);
+  }
+
+  /**
+   * Queue a Bot API call behind earlier calls to the same chat
+   * @param {number} chatId - Telegram chat ID the call is limited by
+   * @param {string} method - TelegramBot method name
+   * @param {Array} args - Method arguments
+   * @param {Object} delivery - Delivery options
+   * @param {boolean} delivery.retry - Retry 429 and 5xx here and count the message as dropped
+   *   when it still fails; false for callers that retry and count failures themselves
+   * @returns {Promise<*>} Method result
+   */
+  send(chatId, method, args, { retry = true } = {}) {
+    const previous = this.chatQueues.get(chatId) || Promise.resolve();
+    const result = previous.then(() => this.deliver(chatId, method, args, retry ? this.maxAttempts : 1, retry));
+    const tail = result.catch(() => {});
+
+    this.chatQueues.set(chatId, tail);
+    tail.then(() => {
+      if (this.chatQueues.get(chatId) === tail) {
+        this.chatQueues.delete(chatId);
+      }
+    });
+
+    return result;
+  }
+
+  /**
+   * Make a Bot API call within the rate limits, retrying 429 and 5xx responses
+   * @param {number} chatId - Telegram chat ID
+   * @param {string} method - TelegramBot method name
+   * @param {Array} args - Method arguments
+   * @param {number} maxAttempts - Attempts before the call is given up
+   * @param {boolean} countDrops - Count a call given up on a transient error as dropped
+   * @returns {Promise<*>} Method result
+   * @throws {Error} Other errors at once, 429 and 5xx after the last attempt
+   */
+  async deliver(chatId, method, args, maxAttempts, countDrops) {
+    for (let attempt = 1; ; attempt++) {
+      await this.waitForSlot(chatId);
+
+      try {
+        const result = await this.bot[method](...args);
+        this.stats.sent++;
+        return result;
+      } catch (error) {
+        if (this.metrics) {
+          this.metrics.increment('pdd_telegram_errors_total', { method, code: getTelegramErrorCode(error) || 'network' });
+        }
+
+        if (!isRetryableError(error) || attempt >= maxAttempts) {
+          if (countDrops && isTransientError(error)) {
+            this.stats.dropped++;
+            if (this.metrics) {
+              this.metrics.increment('pdd_messages_dropped_total', { reason: getDropReason(error) });
+            }
+            log.error('Dropped message', { method, chatId, attempts: attempt, err: error });
+          } else {
+            this.stats.failed++;
+          }
+          throw error;
+        }
+
+        this.stats.retried++;
+        const retryAfter = getRetryAfter(error);
+        if (retryAfter) {
+          this.pausedUntil = Math.max(this.pausedUntil, Date.now() + retryAfter * 1000);
+          log.warn('Rate limited by Telegram, pausing', { retryAfter });
+        } else {
+          await sleep(RETRY_BASE_DELAY_MS * Math.pow(2, attempt - 1));
+        }
+      }
+    }
+  }
+
+  /**
+   * Wait until a message to the chat is allowed by the pause, per-chat and global limits
+   * @param {number} chatId - Telegram chat ID
+   */
+  async waitForSlot(chatId) {
+    await sleep(this.pausedUntil - Date.now());
+
+    const chatSlot = this.reserveSlot(this.chatSlots.get(chatId) || 0, this.perChatInterval, this.perChatTolerance);
+    this.chatSlots.set(chatId, chatSlot.next);
+    await sleep(chatSlot.wait);
+
+    const globalSlot = this.reserveSlot(this.globalSlot, this.globalInterval, this.globalTolerance);
+    this.globalSlot = globalSlot.next;
+    await sleep(globalSlot.wait);
+
+    if (this.chatSlots.size > CHAT_SLOTS_SWEEP_SIZE) {
+      this.sweepChatSlots();
+    }
+  }
+
+  /**
+   * Reserve the next send time of a rate limit (generic cell rate algorithm)
+   * @param {number} slot - Current virtual schedule time
+   * @param {number} interval - Milliseconds between messages
+   * @param {number} tolerance - Burst allowance in milliseconds
+   * @returns {{wait: number, next: number}} Wait before sending and the new schedule time
+   */
+  reserveSlot(slot, interval, tolerance) {
+    const now = Date.now();
+    const start = Math.max(slot, now);
+    return { wait: start - tolerance - now, next: start + interval };
+  }
+
+  /**
+   * Forget chats whose schedule is in the past (they are back to full burst)
+   */
+  sweepChatSlots() {
+    const now = Date.now();
+    for (const [chatId, slot] of this.chatSlots) {
+      if (slot <= now) {
+        this.chatSlots.delete(chatId);
+      }
+    }
+  }
+
+  /**
+   * Get sending statistics
+   * @returns {Object} { sent, retried, dropped, failed, pendingChats }
+   */
+  getStats() {
+    return { ...this.stats, pendingChats: this.chatQueues.size };
+  }
+}
+
+module.exports = MessageSender;
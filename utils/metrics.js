@@ -0,0 +1,362 @@
+/**
+ * Prometheus metrics
+ * Counters and histograms are kept per process and added to a Redis hash every few
+ * seconds, so /metrics of any instance reports totals of the whole cluster (PM2 workers
+ * share one port and a scrape reaches a random one). Without Redis the values of this
+ * process are reported. Gauges (sessions, queues) are read from their sources on scrape
+ */
+
+const { createLogger } = require('./logger');
+
+const METRICS_KEY = 'pdd:metrics';
+const FLUSH_INTERVAL_MS = 5000;
+
+const log = createLogger('Metrics');
+
+// Handler latency buckets, seconds
+const DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const METRICS = {
+  pdd_updates_total: {
+    type: 'counter',
+    help: 'Telegram updates handled, by update type'
+  },
+  pdd_update_errors_total: {
+    type: 'counter',
+    help: 'Telegram updates whose handler failed, by update type'
+  },
+  pdd_update_duration_seconds: {
+    type: 'histogram',
+    help: 'Time to handle a Telegram update, by update type',
+    buckets: DURATION_BUCKETS
+  },
+  pdd_telegram_errors_total: {
+    type: 'counter',
+    help: 'Failed Bot API calls, by method and error code (network for connection failures)'
+  },
+  pdd_messages_dropped_total: {
+    type: 'counter',
+    help: 'Outgoing messages given up after the last retry, by reason (rate_limited, server_error, network)'
+  },
+  pdd_tickets_started_total: {
+    type: 'counter',
+    help: 'Quizzes started, by mode (ticket, exam, topic, ...) and licence category'
+  },
+  pdd_tickets_completed_total: {
+    type: 'counter',
+    help: 'Quizzes finished, by mode, licence category and result (passed, failed)'
+  }
+};
+
+/**
+ * Format a label value for the exposition format
+ * @param {*} value - Label value
+ * @returns {string} Escaped value
+ */
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * Build a series name: metric name with its labels
+ * @param {string} name - Metric (or histogram sample) name
+ * @param {Object} labels - Label values
+ * @returns {string} e.g. pdd_updates_total{type="message"}
+ */
+function formatSeries(name, labels = {}) {
+  const pairs = Object.entries(labels).map(([label, value]) => `${label}="${escapeLabel(value)}"`);
+  return pairs.length > 0 ? `${name}{${pairs.join(',')}}` : name;
+}
+
+/**
+ * Format a sample value
+ * @param {number} value - Sample value
+ * @returns {string}
+ */
+function formatValue(value) {
+  if (value === Infinity) {
+    return '+Inf';
+  }
+  // HINCRBYFLOAT sums can pick up float noise (0.30000000000000004)
+  return String(Number.isInteger(value) ? value : Number(value.toPrecision(12)));
+}
+
+/**
+ * Get the metric a series belongs to
+ * @param {string} series - Series name
+ * @returns {string} Metric name (histogram samples map to their histogram)
+ */
+function getMetricName(series) {
+  const name = series.split('{')[0];
+  const histogram = name.replace(/_(bucket|sum|count)$/, '');
+  return histogram !== name && METRICS[histogram] && METRICS[histogram].type === 'histogram' ? histogram : name;
+}
+
+/**
+ * Get the upper bound of a histogram bucket series
+ * @param {string} series - Series name
+ * @returns {number} Bucket bound (Infinity for +Inf and sum/count samples)
+ */
+function getBucketBound(series) {
+  const match = series.match(/le="([^"]+)"/);
+  return match && match[1] !== '+Inf' ? parseFloat(match[1]) : Infinity;
+}
+
+/**
+ * Order the samples of one metric: by labels, histogram buckets by bound before sum and count
+ * @param {string[]} series - Series names of one metric
+ * @returns {string[]} Sorted series names
+ */
+function sortSeries(series) {
+  const order = series => {
+    const name = series.split('{')[0];
+    const labels = series.slice(name.length).replace(/,?le="[^"]+"/, '').replace('{}', '');
+    const sample = name.endsWith('_sum') ? 1 : name.endsWith('_count') ? 2 : 0;
+    return { labels, sample, bound: getBucketBound(series) };
+  };
+  return series.slice().sort((a, b) => {
+    const x = order(a);
+    const y = order(b);
+    return x.labels.localeCompare(y.labels) || x.sample - y.sample || x.bound - y.bound;
+  });
+}
+
+class Metrics {
+  /**
+   * @param {Object} redisConfig - Redis connection (defaults to REDIS_* environment variables)
+   * @param {number} flushIntervalMs - How often local values are added to Redis
+   */
+  constructor(redisConfig = {}, flushIntervalMs = FLUSH_INTERVAL_MS) {
+    this.redisConfig = {
+      host: redisConfig.host || process.env.REDIS_HOST || 'localhost',
+      port: redisConfig.port || process.env.REDIS_PORT || 6379,
+      password: redisConfig.password || process.env.REDIS_PASSWORD || undefined
+    };
+    this.flushIntervalMs = flushIntervalMs;
+
+    this.client = null;
+    this.flushTimer = null;
+    // Changes not yet added to Redis (series -> delta); totals of this process without Redis
+    this.pending = new Map();
+    this.totals = new Map();
+    // Functions returning gauges on scrape
+    this.collectors = [];
+  }
+
+  /**
+   * Connect to Redis and start adding local values to the cluster totals
+   * Falls back to per-process values when Redis is not available
+   * @returns {Promise<string>} 'redis' or 'memory'
+   */
+  async initialize() {
+    try {
+      const Redis = require('ioredis');
+      const client = new Redis({ ...this.redisConfig, lazyConnect: true, maxRetriesPerRequest: 1 });
+      client.on('error', (error) => {
+        log.error('Redis error', { err: error });
+      });
+
+      await Promise.race([
+        client.connect(),
+        new Promise((resolve, reject) => {
+          setTimeout(() => reject(new Error('Redis connection timeout')), 5000);
+        })
+      ]).catch(error => {
+        client.disconnect();
+        throw error;
+      });
+
+      this.client = client;
+      this.flushTimer = setInterval(() => this.flush(), this.flushIntervalMs);
+      this.flushTimer.unref();
+    } catch (error) {
+      log.info('Redis not available, reporting this process only', { reason: error.message });
+    }
+
+    const store = this.client ? 'redis' : 'memory';
+    log.info('Metrics store ready', { store });
+    return store;
+  }
+
+  /**
+   * Add to a series
+   * @param {string} series - Series name
+   * @param {number} by - Increment
+   */
+  add(series, by) {
+    this.pending.set(series, (this.pending.get(series) || 0) + by);
+  }
+
+  /**
+   * Increment a counter
+   * @param {string} name - Counter name (from METRICS)
+   * @param {Object} labels - Label values
+   * @param {number} by - Increment
+   */
+  increment(name, labels = {}, by = 1) {
+    if (!METRICS[name] || METRICS[name].type !== 'counter') {
+      throw new Error(`Unknown counter ${name}`);
+    }
+    this.add(formatSeries(name, labels), by);
+  }
+
+  /**
+   * Record a value in a histogram
+   * @param {string} name - Histogram name (from METRICS)
+   * @param {Object} labels - Label values
+   * @param {number} value - Observed value
+   */
+  observe(name, labels, value) {
+    const metric = METRICS[name];
+    if (!metric || metric.type !== 'histogram') {
+      throw new Error(`Unknown histogram ${name}`);
+    }
+
+    // Buckets are cumulative: a value is counted in every bucket it fits in.
+    // The others get 0, so every bucket is exported from the first observation
+    [...metric.buckets, Infinity].forEach(bound => {
+      this.add(formatSeries(`${name}_bucket`, { ...labels, le: formatValue(bound) }), value <= bound ? 1 : 0);
+    });
+    this.add(formatSeries(`${name}_sum`, labels), value);
+    this.add(formatSeries(`${name}_count`, labels), 1);
+  }
+
+  /**
+   * Start timing for a histogram
+   * @param {string} name - Histogram name
+   * @param {Object} labels - Label values
+   * @returns {Function} Call to record the elapsed seconds
+   */
+  startTimer(name, labels) {
+    const start = process.hrtime.bigint();
+    return () => this.observe(name, labels, Number(process.hrtime.bigint() - start) / 1e9);
+  }
+
+  /**
+   * Register gauges read on every scrape
+   * @param {Function} collector - async (values) => [{ name, help, samples: [{ labels, value }] }],
+   *   values are the cluster totals of the counters (series -> value)
+   */
+  addCollector(collector) {
+    this.collectors.push(collector);
+  }
+
+  /**
+   * Add pending changes to Redis (or to the process totals without Redis)
+   * Changes that fail to reach Redis are kept for the next flush
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    if (this.pending.size === 0) {
+      return;
+    }
+
+    const pending = this.pending;
+    this.pending = new Map();
+
+    if (!this.client) {
+      pending.forEach((delta, series) => this.totals.set(series, (this.totals.get(series) || 0) + delta));
+      return;
+    }
+
+    try {
+      const multi = this.client.multi();
+      pending.forEach((delta, series) => multi.hincrbyfloat(METRICS_KEY, series, delta));
+      await multi.exec();
+    } catch (error) {
+      log.error('Error flushing metrics', { err: error });
+      pending.forEach((delta, series) => this.add(series, delta));
+    }
+  }
+
+  /**
+   * Get the current counter and histogram values
+   * @returns {Promise<Map<string, number>>} Series -> value
+   */
+  async getValues() {
+    await this.flush();
+
+    if (!this.client) {
+      return new Map(this.totals);
+    }
+
+    const hash = await this.client.hgetall(METRICS_KEY);
+    return new Map(Object.entries(hash).map(([series, value]) => [series, parseFloat(value)]));
+  }
+
+  /**
+   * Render all metrics in the Prometheus text exposition format
+   * @returns {Promise<string>} Response body for /metrics
+   */
+  async render() {
+    const values = await this.getValues();
+    const lines = [];
+
+    const byMetric = {};
+    values.forEach((value, series) => {
+      const name = getMetricName(series);
+      (byMetric[name] = byMetric[name] || []).push(series);
+    });
+
+    Object.entries(METRICS).forEach(([name, { type, help }]) => {
+      lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+      sortSeries(byMetric[name] || []).forEach(series => {
+        lines.push(`${series} ${formatValue(values.get(series))}`);
+      });
+    });
+
+    for (const collector of this.collectors) {
+      try {
+        const gauges = await collector(values);
+        gauges.forEach(({ name, help, samples }) => {
+          lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} gauge`);
+          samples.forEach(({ labels, value }) => lines.push(`${formatSeries(name, labels)} ${formatValue(value)}`));
+        });
+      } catch (error) {
+        log.error('Error collecting gauges', { err: error });
+      }
+    }
+
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * Flush pending values and close the Redis connection (for graceful shutdown)
+   * @returns {Promise<void>}
+   */
+  async shutdown() {
+    if (this.flushTimer) {
+      clearInterval(this.flushTimer);
+      this.flushTimer = null;
+    }
+    await this.flush();
+    if (this.client) {
+      await this.client.quit().catch(() => {});
+      this.client = null;
+    }
+  }
+}
+
+/**
+ * Sum the values of a counter over the series matching some labels
+ * @param {Map<string, number>} values - Series -> value (as passed to collectors)
+ * @param {string} name - Counter name
+ * @param {Object} labels - Labels the series must have
+ * @returns {number} Sum
+ */
+function sumSeries(values, name, labels = {}) {
+  const required = Object.entries(labels).map(([label, value]) => `${label}="${escapeLabel(value)}"`);
+  let sum = 0;
+  values.forEach((value, series) => {
+    if (series.split('{')[0] === name && required.every(pair => series.includes(pair))) {
+      sum += value;
+    }
+  });
+  return sum;
+}
+
+module.exports = {
+  METRICS,
+  Metrics,
+  sumSeries
+};
@@ -0,0 +1,49 @@
+/**
+ * Per-user mistakes list for the "Работа над ошибками" mode
+ * A question stays in the list until it is answered correctly N times in a row
+ */
+
+/**
+ * Apply an answer result to a mistakes list
+ * @param {Object} mistakes - Map of questionId -> { correctStreak, lastMistake }
+ * @param {string} questionId - Answered question ID
+ * @param {boolean} isCorrect - Whether the answer is correct
+ * @param {number} requiredStreak - Correct answers in a row needed to leave the list
+ * @returns {boolean} Whether the list was changed
+ */
+function applyAnswerToMistakes(mistakes, questionId, isCorrect, requiredStreak) {
+  if (!isCorrect) {
+    mistakes[questionId] = {
+      correctStreak: 0,
+      lastMistake: new Date().toISOString()
+    };
+    return true;
+  }
+
+  const entry = mistakes[questionId];
+  if (!entry) {
+    return false;
+  }
+
+  entry.correctStreak++;
+  if (entry.correctStreak >= requiredStreak) {
+    delete mistakes[questionId];
+  }
+  return true;
+}
+
+/**
+ * Get question IDs from a mistakes list, most recent mistakes first
+ * @param {Object} mistakes - Map of questionId -> { correctStreak, lastMistake }
+ * @returns {string[]} Question IDs
+ */
+function getMistakeQuestionIds(mistakes) {
+  return Object.keys(mistakes).sort((a, b) =>
+    mistakes[b].lastMistake.localeCompare(mistakes[a].lastMistake)
+  );
+}
+
+module.exports = {
+  applyAnswerToMistakes,
+  getMistakeQuestionIds
+};
@@ -0,0 +1,100 @@
+/**
+ * Saved progress of interrupted tickets, topics and marathons
+ * Sessions expire after SESSION_TTL_MINUTES (and memory sessions are lost on restart),
+ * so practice progress is also kept in durable storage until the ticket is finished
+ */
+
+const { getTopicTitle } = require('./topics');
+const { SUPPORTED_LOCALES, t } = require('./i18n');
+
+// User document holding the progress (one per user, the last started ticket, topic or marathon)
+const PROGRESS_DOC = 'progress';
+// Exams are not resumable: their time limit runs out with the session anyway
+const RESUMABLE_MODES = ['ticket', 'topic', 'marathon'];
+
+/**
+ * Check whether progress of a session is saved
+ * @param {Object} session - User session
+ * @returns {boolean}
+ */
+function isResumable(session) {
+  return RESUMABLE_MODES.includes(session.mode);
+}
+
+/**
+ * Build the saved progress of a session
+ * A marathon saves the seed of its order instead of the ids of the whole bank,
+ * so the document written after every answer stays small
+ * @param {Object} session - User session with the current question not answered yet
+ * @returns {Object} Session fields needed to continue it
+ */
+function createProgress(session) {
+  const progress = {
+    mode: session.mode,
+    category: session.category,
+    bankVersion: session.bankVersion,
+    singleMessage: session.singleMessage,
+    shuffleOptions: session.shuffleOptions,
+    currentTicket: session.currentTicket,
+    topic: session.topic,
+    currentQuestion: session.currentQuestion,
+    correctAnswers: session.correctAnswers,
+    incorrectAnswers: session.incorrectAnswers,
+    startTime: session.startTime,
+    savedAt: new Date().toISOString()
+  };
+
+  if (session.seed) {
+    progress.seed = session.seed;
+  } else {
+    progress.questionIds = session.questionIds;
+  }
+  return progress;
+}
+
+/**
+ * Describe what the progress belongs to
+ * @param {Object} progress - Saved progress
+ * @param {string} locale - UI language
+ * @returns {string} E.g. "билет 3" or "тему «Дорожные знаки»"
+ */
+function formatProgressTarget(progress, locale) {
+  if (progress.mode === 'marathon') {
+    return t(locale, 'progress.targetMarathon');
+  }
+  return progress.mode === 'topic'
+    ? t(locale, 'progress.targetTopic', { topic: getTopicTitle(progress.topic, locale) })
+    : t(locale, 'progress.targetTicket', { number: progress.currentTicket });
+}
+
+/**
+ * Format the resume button text
+ * @param {Object} progress - Saved progress
+ * @param {string} locale - UI language
+ * @returns {string} E.g. "▶️ Продолжить билет 3 с вопроса 7"
+ */
+function formatResumeText(progress, locale) {
+  return t(locale, 'progress.resumeButton', {
+    prefix: t(locale, 'progress.resumePrefix'),
+    target: formatProgressTarget(progress, locale),
+    question: progress.currentQuestion
+  });
+}
+
+/**
+ * Check whether a text is a resume button in any language
+ * @param {string} text - Received text
+ * @returns {boolean}
+ */
+function isResumeText(text) {
+  return SUPPORTED_LOCALES.some(locale => text.startsWith(t(locale, 'progress.resumePrefix')));
+}
+
+module.exports = {
+  PROGRESS_DOC,
+  isResumable,
+  createProgress,
+  formatProgressTarget,
+  formatResumeText,
+  isResumeText
+};
@@ -2,6 +2,8 @@
  * Progress bar utility for visualizing ticket completion
  */
 
+const { t } = require('./i18n');
+
 /**
  * Generate a text-based progress bar
  * @param {number} current - Current question number (1-based)
@@ -24,20 +26,22 @@ function generateProgressBar(current, total, barLength = 10) {
  * Generate a simple text progress indicator
  * @param {number} current - Current question number (1-based)
  * @param {number} total - Total number of questions
+ * @param {string} locale - UI language
  * @returns {string} Progress text
  */
-function generateProgressText(current, total) {
-  return `📝 Вопрос ${current} из ${total}`;
+function generateProgressText(current, total, locale) {
+  return t(locale, 'quiz.progress', { current, total });
 }
 
 /**
  * Generate completion statistics
  * @param {number} correct - Number of correct answers
  * @param {number} incorrect - Number of incorrect answers
- * @param {number} ticketNumber - Ticket number
+ * @param {string} title - Completion title (e.g. "Билет 5 завершён!")
+ * @param {string} locale - UI language
  * @returns {string} Statistics message
  */
-function generateStatistics(correct, incorrect, ticketNumber) {
+function generateStatistics(correct, incorrect, title, locale) {
   const total = correct + incorrect;
   const percentage = total > 0 ? Math.round((correct / total) * 100) : 0;
   
@@ -52,10 +56,10 @@ function generateStatistics(correct, incorrect, ticketNumber) {
     emoji = '💪';
   }
 
-  return `${emoji} Билет ${ticketNumber} завершён!\n\n` +
-    `✅ Правильных: ${correct}\n` +
-    `❌ Неправильных: ${incorrect}\n` +
-    `📊 Результат: ${percentage}%`;
+  return `${emoji} ${title}\n\n` +
+    `${t(locale, 'statistics.correct', { count: correct })}\n` +
+    `${t(locale, 'statistics.incorrect', { count: incorrect })}\n` +
+    t(locale, 'statistics.result', { percent: percentage });
 }
 
 module.exports = {
@@ -0,0 +1,140 @@
+/**
+ * Question bank for one licence category
+ * Loads, validates and indexes questions by ticket, topic and ID
+ */
+
+const fs = require('fs');
+const crypto = require('crypto');
+const { validateQuestions, formatValidationReport } = require('./questionValidator');
+const { createLogger } = require('./logger');
+
+const log = createLogger('QuestionBank');
+
+const CATEGORY_TITLES = {
+  AB: 'A, B, M',
+  CD: 'C, D',
+  M: 'M'
+};
+
+// Category whose user documents were stored before categories were introduced
+const LEGACY_CATEGORY = 'AB';
+
+class QuestionBank {
+  /**
+   * @param {string} category - Licence category code (e.g. 'AB')
+   * @param {Object[]} questions - Validated questions
+   * @param {string|null} version - Content hash of the source file
+   */
+  constructor(category, questions, version = null) {
+    this.category = category;
+    this.questions = questions;
+    this.version = version;
+    // Without a prototype, keys from callback data ('constructor', '__proto__') find nothing
+    this.questionsByTicket = Object.create(null);
+    this.questionsByTopic = Object.create(null);
+    this.questionById = Object.create(null);
+
+    questions.forEach(q => {
+      if (!this.questionsByTicket[q.ticketNumber]) {
+        this.questionsByTicket[q.ticketNumber] = [];
+      }
+      this.questionsByTicket[q.ticketNumber].push(q);
+      this.questionById[q.questionId] = q;
+
+      if (q.topic) {
+        if (!this.questionsByTopic[q.topic]) {
+          this.questionsByTopic[q.topic] = [];
+        }
+        this.questionsByTopic[q.topic].push(q);
+      }
+    });
+
+    this.ticketNumbers = Object.keys(this.questionsByTicket)
+      .map(Number)
+      .sort((a, b) => a - b);
+  }
+
+  /**
+   * Load and validate a bank from a JSON file
+   * @param {string} category - Licence category code
+   * @param {string} filePath - Path to the questions JSON file
+   * @param {Object} options - Load options
+   * @param {string} options.baseDir - Directory image paths are relative to
+   * @param {boolean} options.strict - Throw on any validation error instead of skipping entries
+   * @returns {QuestionBank}
+   */
+  static load(category, filePath, { baseDir, strict = false } = {}) {
+    const content = fs.readFileSync(filePath, 'utf8');
+    const version = crypto.createHash('sha1').update(content).digest('hex').slice(0, 12);
+    const questions = JSON.parse(content);
+    const validation = validateQuestions(questions, { baseDir });
+
+    if (validation.errors.length > 0 || validation.warnings.length > 0) {
+      log.warn('Validation report', { category, report: formatValidationReport(validation) });
+    }
+
+    if (validation.errors.length > 0 && strict) {
+      throw new Error(`Question bank ${category} is invalid (${validation.errors.length} errors)`);
+    }
+
+    return new QuestionBank(category, validation.validQuestions, version);
+  }
+
+  /**
+   * Get name of a per-category user document (mistakes, review schedule)
+   * The legacy category keeps unsuffixed names so existing progress is preserved
+   * @param {string} name - Document name (e.g. 'mistakes')
+   * @param {string} category - Licence category code
+   * @returns {string} Document name
+   */
+  static getUserDocName(name, category) {
+    return category === LEGACY_CATEGORY ? name : `${name}_${category}`;
+  }
+
+  /**
+   * Check whether a history record belongs to a category
+   * Records written before categories were introduced belong to the legacy category
+   * @param {Object} record - Answer or ticket record
+   * @param {string} category - Licence category code
+   * @returns {boolean}
+   */
+  static isRecordOfCategory(record, category) {
+    return (record.category || LEGACY_CATEGORY) === category;
+  }
+
+  /**
+   * Get display title of the bank's category
+   * @returns {string} Title (e.g. "A, B, M")
+   */
+  getTitle() {
+    return CATEGORY_TITLES[this.category] || this.category;
+  }
+
+  /**
+   * Get questions for a specific ticket
+   * @param {number} ticketNumber - Ticket number
+   * @returns {Object[]} Questions in ticket order
+   */
+  getTicketQuestions(ticketNumber) {
+    return this.questionsByTicket[ticketNumber] || [];
+  }
+
+  /**
+   * Get question by ID
+   * @param {string} questionId - Question ID
+   * @returns {Object|null} Question or null
+   */
+  getQuestion(questionId) {
+    return this.questionById[questionId] || null;
+  }
+
+  /**
+   * Get number of tickets (the highest ticket number)
+   * @returns {number}
+   */
+  getTicketCount() {
+    return this.ticketNumbers.length > 0 ? this.ticketNumbers[this.ticketNumbers.length - 1] : 0;
+  }
+}
+
+module.exports = QuestionBank;
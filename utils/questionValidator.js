@@ -0,0 +1,220 @@
+/**
+ * Question bank validation
+ * Shared by the import CLI and the bot startup
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const QUESTIONS_PER_TICKET = 20;
+const MIN_OPTIONS = 2;
+const MAX_OPTIONS = 5;
+const REPORT_LIMIT = 10;
+
+/**
+ * Check a single question's fields
+ * @param {Object} q - Question object
+ * @returns {string[]} Error messages
+ */
+function checkQuestionFields(q) {
+  const errors = [];
+
+  if (typeof q.questionId !== 'string' || !q.questionId) {
+    errors.push('questionId должен быть непустой строкой');
+  }
+  if (!Number.isInteger(q.ticketNumber) || q.ticketNumber < 1) {
+    errors.push('ticketNumber должен быть целым числом >= 1');
+  }
+  if (!Number.isInteger(q.questionNumber) || q.questionNumber < 1) {
+    errors.push('questionNumber должен быть целым числом >= 1');
+  }
+  if (typeof q.text !== 'string' || !q.text.trim()) {
+    errors.push('text пустой');
+  }
+
+  if (!Array.isArray(q.options)) {
+    errors.push('options должен быть массивом');
+  } else {
+    if (q.options.length < MIN_OPTIONS || q.options.length > MAX_OPTIONS) {
+      errors.push(`должно быть от ${MIN_OPTIONS} до ${MAX_OPTIONS} вариантов ответа, найдено ${q.options.length}`);
+    }
+    if (q.options.some(option => typeof option !== 'string' || !option.trim())) {
+      errors.push('есть пустой вариант ответа');
+    }
+    if (!Number.isInteger(q.correctAnswerIndex) ||
+        q.correctAnswerIndex < 0 || q.correctAnswerIndex >= q.options.length) {
+      errors.push(`correctAnswerIndex ${q.correctAnswerIndex} вне диапазона 0-${q.options.length - 1}`);
+    }
+  }
+
+  if (q.imageUrl !== undefined && typeof q.imageUrl !== 'string') {
+    errors.push('imageUrl должен быть строкой');
+  }
+  if (q.topic !== undefined && typeof q.topic !== 'string') {
+    errors.push('topic должен быть строкой');
+  }
+  if (q.explanation !== undefined && typeof q.explanation !== 'string') {
+    errors.push('explanation должен быть строкой');
+  }
+  if (q.ruleRefs !== undefined &&
+      (!Array.isArray(q.ruleRefs) || q.ruleRefs.some(ref => typeof ref !== 'string'))) {
+    errors.push('ruleRefs должен быть массивом строк');
+  }
+  if (q.translations !== undefined) {
+    errors.push(...checkTranslations(q));
+  }
+
+  return errors;
+}
+
+/**
+ * Check a question's translations: { <language>: { text, options, explanation } }, every field optional
+ * @param {Object} q - Question object
+ * @returns {string[]} Error messages
+ */
+function checkTranslations(q) {
+  if (!q.translations || typeof q.translations !== 'object' || Array.isArray(q.translations)) {
+    return ['translations должен быть объектом { язык: перевод }'];
+  }
+
+  const errors = [];
+  Object.entries(q.translations).forEach(([language, translation]) => {
+    if (!translation || typeof translation !== 'object') {
+      errors.push(`перевод ${language} должен быть объектом`);
+      return;
+    }
+    ['text', 'explanation'].forEach(field => {
+      if (translation[field] !== undefined && (typeof translation[field] !== 'string' || !translation[field].trim())) {
+        errors.push(`перевод ${language}: ${field} должен быть непустой строкой`);
+      }
+    });
+    if (translation.options !== undefined) {
+      if (!Array.isArray(translation.options) ||
+          translation.options.some(option => typeof option !== 'string' || !option.trim())) {
+        errors.push(`перевод ${language}: options должен быть массивом непустых строк`);
+      } else if (Array.isArray(q.options) && translation.options.length !== q.options.length) {
+        errors.push(`перевод ${language}: ${translation.options.length} вариантов ответа вместо ${q.options.length}`);
+      }
+    }
+  });
+  return errors;
+}
+
+/**
+ * Validate a question bank
+ * Question-level errors exclude the question from validQuestions;
+ * ticket-level errors (wrong question count) only affect strict mode
+ * @param {Object[]} questions - Questions to validate
+ * @param {Object} options - Validation options
+ * @param {string} options.baseDir - Directory image paths are relative to (skip image checks if omitted)
+ * @param {boolean} options.requireImages - Treat missing images as errors instead of warnings
+ * @param {number} options.questionsPerTicket - Expected ticket size
+ * @returns {{validQuestions: Object[], rejected: number, errors: Object[], warnings: Object[]}}
+ */
+function validateQuestions(questions, options = {}) {
+  const {
+    baseDir = null,
+    requireImages = false,
+    questionsPerTicket = QUESTIONS_PER_TICKET
+  } = options;
+
+  const errors = [];
+  const warnings = [];
+  const validQuestions = [];
+  const seenIds = new Set();
+
+  if (!Array.isArray(questions)) {
+    errors.push({ questionId: null, message: 'Банк вопросов должен быть JSON-массивом' });
+    return { validQuestions, rejected: 0, errors, warnings };
+  }
+
+  questions.forEach((q, index) => {
+    if (!q || typeof q !== 'object') {
+      errors.push({ questionId: `#${index}`, message: 'запись не является объектом' });
+      return;
+    }
+
+    const questionId = q.questionId || `#${index}`;
+    const questionErrors = checkQuestionFields(q);
+
+    if (seenIds.has(q.questionId)) {
+      questionErrors.push('дублирующийся questionId');
+    }
+    seenIds.add(q.questionId);
+
+    if (q.imageUrl && baseDir && !fs.existsSync(path.join(baseDir, q.imageUrl))) {
+      const issue = { questionId, message: `изображение не найдено: ${q.imageUrl}` };
+      if (requireImages) {
+        questionErrors.push(issue.message);
+      } else {
+        warnings.push(issue);
+      }
+    }
+
+    if (questionErrors.length > 0) {
+      questionErrors.forEach(message => errors.push({ questionId, message }));
+      return;
+    }
+
+    validQuestions.push(q);
+  });
+
+  // Ticket completeness is checked on the entries that passed validation
+  const ticketSizes = {};
+  validQuestions.forEach(q => {
+    ticketSizes[q.ticketNumber] = (ticketSizes[q.ticketNumber] || 0) + 1;
+  });
+  Object.entries(ticketSizes).forEach(([ticketNumber, size]) => {
+    if (size !== questionsPerTicket) {
+      errors.push({
+        questionId: null,
+        ticketNumber: parseInt(ticketNumber),
+        message: `билет ${ticketNumber}: ${size} вопросов вместо ${questionsPerTicket}`
+      });
+    }
+  });
+
+  return {
+    validQuestions,
+    rejected: questions.length - validQuestions.length,
+    errors,
+    warnings
+  };
+}
+
+/**
+ * Format a human-readable validation report
+ * @param {Object} result - Result of validateQuestions
+ * @param {number} limit - Max issues listed per section
+ * @returns {string} Report text
+ */
+function formatValidationReport(result, limit = REPORT_LIMIT) {
+  const formatIssues = (title, issues) => {
+    if (issues.length === 0) {
+      return [];
+    }
+    const lines = [`${title} (${issues.length}):`];
+    issues.slice(0, limit).forEach(issue => {
+      lines.push(issue.questionId ? `  - [${issue.questionId}] ${issue.message}` : `  - ${issue.message}`);
+    });
+    if (issues.length > limit) {
+      lines.push(`  ... и ещё ${issues.length - limit}`);
+    }
+    return lines;
+  };
+
+  return [
+    `Корректных вопросов: ${result.validQuestions.length}`,
+    `Отклонено записей: ${result.rejected}`,
+    ...formatIssues('Ошибки', result.errors),
+    ...formatIssues('Предупреждения', result.warnings)
+  ].join('\n');
+}
+
+module.exports = {
+  QUESTIONS_PER_TICKET,
+  MIN_OPTIONS,
+  MAX_OPTIONS,
+  validateQuestions,
+  formatValidationReport
+};
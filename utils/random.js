@@ -0,0 +1,54 @@
+/**
+ * Randomization helpers
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Return a shuffled copy of an array (Fisher-Yates)
+ * @param {Array} items - Source array
+ * @param {Function} random - Source of numbers in [0, 1)
+ * @returns {Array} Shuffled copy
+ */
+function shuffle(items, random = Math.random) {
+  const result = [...items];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+}
+
+/**
+ * Return a shuffled copy of an array that is always the same for the same seed
+ * (mulberry32 generator seeded with a hash of the seed string)
+ * @param {Array} items - Source array
+ * @param {string} seed - Seed string
+ * @returns {Array} Shuffled copy
+ */
+function seededShuffle(items, seed) {
+  let state = crypto.createHash('sha1').update(seed).digest().readUInt32LE(0);
+  const random = () => {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  return shuffle(items, random);
+}
+
+/**
+ * Pick random items without repetition
+ * @param {Array} items - Source array
+ * @param {number} count - Number of items to pick
+ * @returns {Array} Picked items
+ */
+function pickRandom(items, count) {
+  return shuffle(items).slice(0, count);
+}
+
+module.exports = {
+  shuffle,
+  seededShuffle,
+  pickRandom
+};
@@ -0,0 +1,92 @@
+/**
+ * Daily review reminder scheduler
+ * Runs in-process on every bot instance; a per-user per-day lock in shared
+ * storage makes sure only one instance sends each reminder
+ */
+
+const { getUserSettings } = require('./settings');
+const QuestionBank = require('./questionBank');
+const { getLocalDate, getLocalHour, getDueQuestionIds, isQuietHour } = require('./spacedRepetition');
+const { createLogger } = require('./logger');
+
+const LOCK_TTL_MS = 48 * 60 * 60 * 1000;
+
+const log = createLogger('ReminderScheduler');
+
+class ReminderScheduler {
+  /**
+   * @param {Object} storageManager - StorageManager instance
+   * @param {Function} sendReminder - async (userId, dueCount) => void
+   * @param {number} intervalMinutes - How often to check for due reviews
+   */
+  constructor(storageManager, sendReminder, intervalMinutes = 15) {
+    this.storageManager = storageManager;
+    this.sendReminder = sendReminder;
+    this.intervalMs = intervalMinutes * 60 * 1000;
+    this.interval = null;
+  }
+
+  /**
+   * Start periodic checks
+   */
+  start() {
+    this.interval = setInterval(() => {
+      this.tick().catch(error => {
+        log.error('Tick failed', { err: error });
+      });
+    }, this.intervalMs);
+  }
+
+  /**
+   * Send reminders to opted-in users with reviews due today
+   * @param {number} now - Current timestamp in milliseconds
+   * @returns {Promise<number>} Number of reminders sent by this instance
+   */
+  async tick(now = Date.now()) {
+    const userIds = await this.storageManager.getSetMembers('reminders');
+    let sent = 0;
+
+    for (const userId of userIds) {
+      try {
+        const settings = await getUserSettings(this.storageManager, userId);
+        if (!settings.reminders || isQuietHour(getLocalHour(now, settings.timezone), settings.quietHours)) {
+          continue;
+        }
+
+        const today = getLocalDate(now, settings.timezone);
+        const schedule = await this.storageManager.getUserData(userId, QuestionBank.getUserDocName('srs', settings.category)) || {};
+        const dueCount = getDueQuestionIds(schedule, today).length;
+        if (dueCount === 0) {
+          continue;
+        }
+
+        const locked = await this.storageManager.acquireLock(`reminder:${userId}:${today}`, LOCK_TTL_MS);
+        if (!locked) {
+          continue;
+        }
+
+        await this.sendReminder(Number(userId), dueCount);
+        sent++;
+      } catch (error) {
+        log.error('Failed to remind user', { userId, err: error });
+      }
+    }
+
+    if (sent > 0) {
+      log.info('Reminders sent', { sent });
+    }
+    return sent;
+  }
+
+  /**
+   * Stop periodic checks (for graceful shutdown)
+   */
+  stop() {
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+    }
+  }
+}
+
+module.exports = ReminderScheduler;
@@ -1,131 +1,136 @@
 /**
- * Session Manager with TTL-based cleanup
- * Stores user sessions in memory with automatic expiration
+ * Session Manager with TTL-based expiration
+ * Stores sessions in Redis when available so all instances share them,
+ * otherwise in memory with automatic cleanup
  */
 
+const MemorySessionStore = require('../storage/memorySessionStore');
+const RedisSessionStore = require('../storage/redisSessionStore');
+const { createLogger } = require('./logger');
+
+const log = createLogger('SessionManager');
+
 class SessionManager {
-  constructor(ttlMinutes = 30) {
-    this.sessions = new Map();
+  constructor(ttlMinutes = 30, redisConfig = {}) {
     this.ttlMs = ttlMinutes * 60 * 1000;
-    
-    // Start cleanup interval (runs every 5 minutes)
-    this.cleanupInterval = setInterval(() => {
-      this.cleanup();
-    }, 5 * 60 * 1000);
+    this.redisConfig = {
+      host: redisConfig.host || process.env.REDIS_HOST || 'localhost',
+      port: redisConfig.port || process.env.REDIS_PORT || 6379,
+      password: redisConfig.password || process.env.REDIS_PASSWORD || undefined
+    };
+
+    this.store = new MemorySessionStore(this.ttlMs);
+  }
+
+  /**
+   * Connect to Redis and switch to the shared session store
+   * Falls back to in-memory sessions when Redis is not available
+   * @returns {Promise<string>} Name of the active store
+   */
+  async initialize() {
+    try {
+      const Redis = require('ioredis');
+      const client = new Redis({ ...this.redisConfig, lazyConnect: true, maxRetriesPerRequest: 1 });
+      client.on('error', (error) => {
+        log.error('Redis error', { err: error });
+      });
+
+      await Promise.race([
+        client.connect(),
+        new Promise((resolve, reject) => {
+          setTimeout(() => reject(new Error('Redis connection timeout')), 5000);
+        })
+      ]).catch(error => {
+        client.disconnect();
+        throw error;
+      });
+
+      await this.store.close();
+      this.store = new RedisSessionStore(client, this.ttlMs);
+    } catch (error) {
+      log.info('Redis not available, using in-memory sessions', { reason: error.message });
+    }
+
+    log.info('Session store ready', { store: this.store.name });
+    return this.store.name;
   }
 
   /**
-   * Create or update a user session
+   * Create or replace a user session
    * @param {number} userId - Telegram user ID
    * @param {Object} data - Session data
-   * @returns {Object} The session object
+   * @returns {Promise<Object>} The session object
    */
-  set(userId, data) {
-    const session = {
-      userId,
-      ...data,
-      lastActivity: Date.now()
-    };
-    this.sessions.set(userId, session);
-    return session;
+  async set(userId, data) {
+    return this.store.set(userId, data);
   }
 
   /**
-   * Get user session
+   * Get user session and extend its lifetime
    * @param {number} userId - Telegram user ID
-   * @returns {Object|null} Session data or null if not found/expired
+   * @returns {Promise<Object|null>} Session data or null if not found/expired
    */
-  get(userId) {
-    const session = this.sessions.get(userId);
-    
-    if (!session) {
-      return null;
-    }
-
-    // Check if session has expired
-    if (Date.now() - session.lastActivity > this.ttlMs) {
-      this.sessions.delete(userId);
-      return null;
-    }
-
-    // Update last activity
-    session.lastActivity = Date.now();
-    return session;
+  async get(userId) {
+    return this.store.get(userId);
   }
 
   /**
    * Update specific fields in a session
    * @param {number} userId - Telegram user ID
    * @param {Object} updates - Fields to update
-   * @returns {Object|null} Updated session or null if not found
+   * @returns {Promise<Object|null>} Updated session or null if not found
    */
-  update(userId, updates) {
-    const session = this.get(userId);
-    
-    if (!session) {
-      return null;
-    }
-
-    Object.assign(session, updates, { lastActivity: Date.now() });
-    return session;
+  async update(userId, updates) {
+    return this.store.update(userId, updates);
   }
 
   /**
-   * Delete a user session
+   * Atomically increment a numeric session field
    * @param {number} userId - Telegram user ID
-   * @returns {boolean} True if deleted, false if not found
+   * @param {string} field - Field name (e.g. 'correctAnswers', 'currentQuestion')
+   * @param {number} by - Increment
+   * @returns {Promise<number|null>} New value or null if the session is gone
    */
-  delete(userId) {
-    return this.sessions.delete(userId);
+  async increment(userId, field, by = 1) {
+    return this.store.increment(userId, field, by);
   }
 
   /**
-   * Check if user has an active session
+   * Delete a user session
    * @param {number} userId - Telegram user ID
-   * @returns {boolean}
+   * @returns {Promise<boolean>} True if deleted, false if not found
    */
-  has(userId) {
-    return this.get(userId) !== null;
+  async delete(userId) {
+    return this.store.delete(userId);
   }
 
   /**
-   * Clean up expired sessions
+   * Check if user has an active session
+   * @param {number} userId - Telegram user ID
+   * @returns {Promise<boolean>}
    */
-  cleanup() {
-    const now = Date.now();
-    let cleaned = 0;
-
-    for (const [userId, session] of this.sessions) {
-      if (now - session.lastActivity > this.ttlMs) {
-        this.sessions.delete(userId);
-        cleaned++;
-      }
-    }
-
-    if (cleaned > 0) {
-      console.log(`[SessionManager] Cleaned up ${cleaned} expired sessions`);
-    }
+  async has(userId) {
+    return (await this.get(userId)) !== null;
   }
 
   /**
    * Get session statistics
-   * @returns {Object} Stats object
+   * @returns {Promise<Object>} Stats object
    */
-  getStats() {
+  async getStats() {
     return {
-      activeSessions: this.sessions.size,
-      ttlMinutes: this.ttlMs / 60 / 1000
+      activeSessions: await this.store.count(),
+      ttlMinutes: this.ttlMs / 60 / 1000,
+      store: this.store.name
     };
   }
 
   /**
-   * Stop the cleanup interval (for graceful shutdown)
+   * Stop cleanup and close connections (for graceful shutdown)
+   * @returns {Promise<void>}
    */
-  destroy() {
-    if (this.cleanupInterval) {
-      clearInterval(this.cleanupInterval);
-      this.cleanupInterval = null;
-    }
+  async shutdown() {
+    await this.store.close();
   }
 }
 
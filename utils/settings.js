@@ -0,0 +1,73 @@
+/**
+ * Per-user settings stored as the 'settings' user document
+ */
+
+const DEFAULT_SETTINGS = {
+  timezone: process.env.DEFAULT_TIMEZONE || 'Europe/Moscow',
+  reminders: false,
+  quietHours: { start: 22, end: 9 },
+  explanations: 'mistakes',
+  // Replace the answered question with the next one instead of sending a new message
+  singleMessage: false,
+  // Random question order within a ticket and random answer option order
+  shuffleQuestions: false,
+  shuffleOptions: false,
+  // Interface language chosen with /language (null - same as the Telegram app)
+  language: null,
+  // language_code of the user's Telegram app, kept for messages sent outside an update (reminders)
+  languageCode: null,
+  // Shown on the leaderboards (opt-in) under the nickname set with /top nick (null - a numbered name)
+  leaderboard: false,
+  nickname: null,
+  category: (process.env.DEFAULT_CATEGORY || 'AB').toUpperCase()
+};
+
+// On/off settings switched from /settings: callback data -> setting and its catalogue
+// messages (label, enabled and disabled popup texts).
+// They are copied into the session when it starts, so changes apply from the next ticket
+const SETTING_TOGGLES = {
+  single_message_toggle: {
+    field: 'singleMessage',
+    messages: 'settings.singleMessage'
+  },
+  shuffle_questions_toggle: {
+    field: 'shuffleQuestions',
+    messages: 'settings.shuffleQuestions'
+  },
+  shuffle_options_toggle: {
+    field: 'shuffleOptions',
+    messages: 'settings.shuffleOptions'
+  }
+};
+
+/**
+ * Get user settings merged with defaults
+ * @param {Object} storageManager - StorageManager instance
+ * @param {number} userId - Telegram user ID
+ * @returns {Promise<Object>} Settings
+ */
+async function getUserSettings(storageManager, userId) {
+  const stored = await storageManager.getUserData(userId, 'settings');
+  return { ...DEFAULT_SETTINGS, ...stored };
+}
+
+/**
+ * Update user settings
+ * @param {Object} storageManager - StorageManager instance
+ * @param {number} userId - Telegram user ID
+ * @param {Object} updates - Fields to change
+ * @returns {Promise<Object>} Updated settings
+ */
+async function updateUserSettings(storageManager, userId, updates) {
+  const stored = await storageManager.getUserData(userId, 'settings') || {};
+  const updated = { ...stored, ...updates };
+  await storageManager.setUserData(userId, 'settings', updated);
+  return { ...DEFAULT_SETTINGS, ...updated };
+}
+
+module.exports = {
+  DEFAULT_SETTINGS,
+  SETTING_TOGGLES,
+  getUserSettings,
+  updateUserSettings
+};
@@ -0,0 +1,115 @@
+/**
+ * Leitner-style spaced repetition schedule
+ * Each seen question sits in a box; correct answers move it to the next box
+ * with a longer interval, a mistake sends it back to the first box
+ */
+
+const INTERVAL_DAYS = [0, 1, 3, 7, 14, 30, 60];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Get local calendar date in a timezone
+ * @param {number} timestamp - Timestamp in milliseconds
+ * @param {string} timeZone - IANA timezone (e.g. 'Europe/Moscow')
+ * @returns {string} Date in YYYY-MM-DD format
+ */
+function getLocalDate(timestamp, timeZone) {
+  // en-CA formats dates as YYYY-MM-DD
+  return new Intl.DateTimeFormat('en-CA', { timeZone }).format(new Date(timestamp));
+}
+
+/**
+ * Get local hour in a timezone
+ * @param {number} timestamp - Timestamp in milliseconds
+ * @param {string} timeZone - IANA timezone
+ * @returns {number} Hour (0-23)
+ */
+function getLocalHour(timestamp, timeZone) {
+  const hour = new Intl.DateTimeFormat('en-GB', { timeZone, hour: 'numeric', hourCycle: 'h23' })
+    .format(new Date(timestamp));
+  return parseInt(hour);
+}
+
+/**
+ * Check whether a timezone name is valid
+ * @param {string} timeZone - IANA timezone
+ * @returns {boolean}
+ */
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-CA', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Add days to a calendar date
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {number} days - Days to add
+ * @returns {string} Date in YYYY-MM-DD format
+ */
+function addDays(date, days) {
+  return new Date(Date.parse(date) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * Apply an answer result to a user's schedule
+ * @param {Object} schedule - Map of questionId -> { box, due }
+ * @param {string} questionId - Answered question ID
+ * @param {boolean} isCorrect - Whether the answer is correct
+ * @param {string} today - Local date in YYYY-MM-DD format
+ */
+function applyAnswerToSchedule(schedule, questionId, isCorrect, today) {
+  const entry = schedule[questionId];
+  let box = 0;
+
+  if (isCorrect) {
+    box = entry ? Math.min(entry.box + 1, INTERVAL_DAYS.length - 1) : 1;
+  }
+
+  schedule[questionId] = {
+    box,
+    due: addDays(today, INTERVAL_DAYS[box])
+  };
+}
+
+/**
+ * Get question IDs due for review, lowest box first
+ * @param {Object} schedule - Map of questionId -> { box, due }
+ * @param {string} today - Local date in YYYY-MM-DD format
+ * @returns {string[]} Due question IDs
+ */
+function getDueQuestionIds(schedule, today) {
+  return Object.keys(schedule)
+    .filter(questionId => schedule[questionId].due <= today)
+    .sort((a, b) => schedule[a].box - schedule[b].box);
+}
+
+/**
+ * Check whether an hour falls into quiet hours (range may wrap midnight)
+ * @param {number} hour - Local hour (0-23)
+ * @param {{start: number, end: number}} quietHours - Quiet hours range
+ * @returns {boolean}
+ */
+function isQuietHour(hour, quietHours) {
+  const { start, end } = quietHours;
+  if (start === end) {
+    return false;
+  }
+  return start < end
+    ? hour >= start && hour < end
+    : hour >= start || hour < end;
+}
+
+module.exports = {
+  INTERVAL_DAYS,
+  getLocalDate,
+  getLocalHour,
+  isValidTimeZone,
+  addDays,
+  applyAnswerToSchedule,
+  getDueQuestionIds,
+  isQuietHour
+};
@@ -0,0 +1,71 @@
+/**
+ * Classification of errors thrown by node-telegram-bot-api
+ */
+
+/**
+ * Get Bot API error code of a failed request
+ * @param {Error} error - Error thrown by node-telegram-bot-api
+ * @returns {number|null} Error code (e.g. 403, 429) or null for network errors
+ */
+function getTelegramErrorCode(error) {
+  const body = error.response && error.response.body;
+  return (body && body.error_code) || (error.response && error.response.statusCode) || null;
+}
+
+/**
+ * Get the wait time Telegram asks for in a 429 response
+ * @param {Error} error - Error thrown by node-telegram-bot-api
+ * @returns {number|null} Seconds to wait or null if not rate limited
+ */
+function getRetryAfter(error) {
+  const body = error && error.response && error.response.body;
+  return (body && body.parameters && body.parameters.retry_after) || null;
+}
+
+/**
+ * Check whether a request may succeed if repeated later
+ * Network failures (EFATAL), unparsable proxy responses (EPARSE) and 5xx are transient,
+ * other Bot API errors (400 bad request, 403 blocked) are not
+ * @param {Error} error - Error thrown by node-telegram-bot-api
+ * @returns {boolean}
+ */
+function isTransientError(error) {
+  if (error.code === 'EFATAL' || error.code === 'EPARSE') {
+    return true;
+  }
+  const code = getTelegramErrorCode(error);
+  return code === 429 || code >= 500;
+}
+
+/**
+ * Check whether a request can be repeated automatically without risking a duplicate message
+ * Only a 429 or 5xx answer from Telegram qualifies; after a network failure or timeout
+ * the request may have been handled, so sending it again could deliver it twice
+ * @param {Error} error - Error thrown by node-telegram-bot-api
+ * @returns {boolean}
+ */
+function isRetryableError(error) {
+  const code = getTelegramErrorCode(error);
+  return code === 429 || code >= 500;
+}
+
+/**
+ * Get the metrics label of a message given up on after a transient error
+ * @param {Error} error - Error of the last attempt
+ * @returns {string} rate_limited, server_error or network
+ */
+function getDropReason(error) {
+  const code = getTelegramErrorCode(error);
+  if (code === 429) {
+    return 'rate_limited';
+  }
+  return code ? 'server_error' : 'network';
+}
+
+module.exports = {
+  getTelegramErrorCode,
+  getRetryAfter,
+  isTransientError,
+  isRetryableError,
+  getDropReason
+};
@@ -0,0 +1,56 @@
+/**
+ * Thematic catalogue of ПДД questions
+ * Question `topic` fields reference the ids below; titles are in the
+ * message catalogue under topics.names
+ */
+
+const { t } = require('./i18n');
+
+const TOPICS = {
+  general: { emoji: '📘' },
+  signs: { emoji: '🪧' },
+  markings: { emoji: '〰️' },
+  signals: { emoji: '🚦' },
+  maneuvering: { emoji: '↪️' },
+  speed: { emoji: '🏎' },
+  overtaking: { emoji: '⏩' },
+  stopping: { emoji: '🅿️' },
+  intersections: { emoji: '✖️' },
+  pedestrians: { emoji: '🚶' },
+  railway: { emoji: '🚂' },
+  motorways: { emoji: '🛣' },
+  towing: { emoji: '🪝' },
+  transport: { emoji: '📦' },
+  emergency: { emoji: '⚠️' },
+  technical: { emoji: '🔧' },
+  first_aid: { emoji: '🩹' },
+  liability: { emoji: '⚖️' }
+};
+
+/**
+ * Get display title for a topic
+ * @param {string} topicId - Topic identifier
+ * @param {string} locale - UI language
+ * @returns {string} Title with emoji, or the raw id for unknown topics
+ */
+function getTopicTitle(topicId, locale) {
+  const topic = Object.hasOwn(TOPICS, topicId) ? TOPICS[topicId] : null;
+  return topic ? `${topic.emoji} ${t(locale, `topics.names.${topicId}`)}` : topicId;
+}
+
+/**
+ * Get topic ids present in an index, in catalogue order
+ * @param {Object} questionsByTopic - Map of topicId -> questions
+ * @returns {string[]} Topic ids
+ */
+function getAvailableTopics(questionsByTopic) {
+  const known = Object.keys(TOPICS).filter(id => questionsByTopic[id]);
+  const unknown = Object.keys(questionsByTopic).filter(id => !Object.hasOwn(TOPICS, id));
+  return [...known, ...unknown];
+}
+
+module.exports = {
+  TOPICS,
+  getTopicTitle,
+  getAvailableTopics
+};
@@ -0,0 +1,107 @@
+/**
+ * Per-user statistics built from the persistent answer history
+ */
+
+const { MAX_MISTAKES } = require('./exam');
+const { t } = require('./i18n');
+const { DEFAULT_SETTINGS } = require('./settings');
+const { getLocalDate, addDays } = require('./spacedRepetition');
+
+/**
+ * Calculate statistics for a user
+ * @param {Object[]} answers - Answer records, oldest first
+ * @param {Object[]} tickets - Finished ticket records, oldest first
+ * @param {string} timezone - User's timezone, days of the day streak are local days
+ * @param {number} now - Current timestamp in milliseconds
+ * @returns {Object} Statistics
+ */
+function calculateUserStats(answers, tickets, timezone = DEFAULT_SETTINGS.timezone, now = Date.now()) {
+  const correctAnswers = answers.filter(a => a.isCorrect).length;
+
+  // Correct answer streaks
+  let currentStreak = 0;
+  let bestStreak = 0;
+  answers.forEach(a => {
+    currentStreak = a.isCorrect ? currentStreak + 1 : 0;
+    bestStreak = Math.max(bestStreak, currentStreak);
+  });
+
+  // Consecutive active days ending today or yesterday
+  const activeDays = new Set(answers.map(a => getLocalDate(Date.parse(a.timestamp), timezone)));
+  let dayStreak = 0;
+  let day = getLocalDate(now, timezone);
+  if (!activeDays.has(day)) {
+    day = addDays(day, -1);
+  }
+  while (activeDays.has(day)) {
+    dayStreak++;
+    day = addDays(day, -1);
+  }
+
+  // Best score per ticket number, from practice tickets only: exams pick a random
+  // ticket and one finished early would count its unanswered questions as mistakes
+  const practiceTickets = tickets.filter(ticket => ticket.mode === 'ticket');
+  const bestScores = {};
+  practiceTickets.forEach(ticket => {
+    const best = bestScores[ticket.ticketNumber];
+    if (!best || ticket.correct > best.correct) {
+      bestScores[ticket.ticketNumber] = { correct: ticket.correct, total: ticket.total };
+    }
+  });
+
+  const exams = tickets.filter(ticket => ticket.mode === 'exam');
+
+  return {
+    totalAnswers: answers.length,
+    correctAnswers,
+    accuracy: answers.length > 0 ? Math.round((correctAnswers / answers.length) * 100) : 0,
+    currentStreak,
+    bestStreak,
+    dayStreak,
+    ticketsCompleted: practiceTickets.length,
+    ticketsPassed: Object.values(bestScores).filter(s => s.total - s.correct <= MAX_MISTAKES).length,
+    examsTaken: exams.length,
+    examsPassed: exams.filter(exam => exam.passed).length,
+    bestScores
+  };
+}
+
+/**
+ * Format user statistics message
+ * @param {Object} stats - Result of calculateUserStats
+ * @param {string} locale - UI language
+ * @returns {string} Statistics message
+ */
+function formatUserStats(stats, locale) {
+  if (stats.totalAnswers === 0) {
+    return t(locale, 'stats.empty');
+  }
+
+  let text = t(locale, 'stats.summary', {
+    answers: stats.totalAnswers,
+    accuracy: stats.accuracy,
+    streak: stats.currentStreak,
+    bestStreak: stats.bestStreak,
+    days: stats.dayStreak,
+    tickets: stats.ticketsCompleted,
+    examsPassed: stats.examsPassed,
+    examsTaken: stats.examsTaken
+  });
+
+  const ticketNumbers = Object.keys(stats.bestScores).sort((a, b) => a - b);
+  if (ticketNumbers.length > 0) {
+    text += `\n\n${t(locale, 'stats.bestScores', { passed: stats.ticketsPassed, total: ticketNumbers.length })}\n`;
+    text += ticketNumbers.map(n => {
+      const { correct, total } = stats.bestScores[n];
+      const mark = total - correct <= MAX_MISTAKES ? '✅' : '❌';
+      return t(locale, 'stats.bestScore', { mark, number: n, correct, total });
+    }).join('\n');
+  }
+
+  return text;
+}
+
+module.exports = {
+  calculateUserStats,
+  formatUserStats
+};